@@ -1,37 +1,170 @@
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-import inquirer from "inquirer";
 import { ExitPromptError } from "@inquirer/core";
-import clipboardy from "clipboardy";
 
 import { checkForUpdates, handleUpdate } from "./services/update.js";
-import { categorizeCommits } from "./services/commit.js";
+import {
+  loadConfig,
+  resolveOptions,
+  runConfigCommand,
+} from "./services/config.js";
+import { COMMIT_TYPES, TEMPLATE_LANGUAGES } from "./constants.js";
 import {
   getPRTemplates,
   chooseTemplate,
-  generatePRDescription,
+  promptForTemplate,
+  describeChanges,
   getExistingPRDescription,
+  choosePRTitle,
 } from "./services/pr.js";
+import { reviewPRDescription } from "./services/review.js";
 
-import { executeCommand } from "./utils/helpers.js";
-import { getCommitHistory, getCommitDiffs } from "./utils/git.js";
 import {
+  runCommand,
+  runMutatingCommand,
+  setDryRun,
+} from "./utils/helpers.js";
+import { configureRedaction } from "./utils/redact.js";
+import {
+  configurePrompts,
+  promptUser,
+  NonInteractiveError,
+} from "./utils/prompt.js";
+import {
+  getCommitHistory,
+  getDiffsForRead,
+  configureRemotes,
+  countCommits,
+  getCurrentBranch,
+  getRemoteUrl,
+  isAncestor,
+  resolveBaseBranch,
+  resolveBaseRef,
+  resolveCommitRange,
+} from "./utils/git.js";
+import {
+  configureAIProvider,
   generateAIBranchType,
   generateAIBranchName,
-  generateAIContent,
+  getDiffTokenBudget,
   suggestBranchType,
 } from "./utils/ai.js";
-import {
-  openGitHubPRInBrowser,
-  createGitHubPRWithCLI,
-} from "./utils/github.js";
+import { PROVIDERS } from "./providers/index.js";
+import { FORGES, detectForge, getForge } from "./services/forge.js";
+import { runStackCommand } from "./services/stack.js";
+import { copyToClipboard, writePRBodyFile } from "./utils/publish.js";
+import { markGenerated } from "./utils/sections.js";
 
 async function main() {
   try {
-    const updateAvailable = await checkForUpdates();
-    await handleUpdate(updateAvailable);
-
     let argv = yargs(hideBin(process.argv))
+      .command(
+        "config <action> [key] [value]",
+        "Get, set or list configuration (actions: get, set, list)",
+        (cmd) =>
+          cmd.option("project", {
+            type: "boolean",
+            description:
+              "With `set`, write to the repository's .prclirc instead of ~/.pr-cli/config",
+          })
+      )
+      .command(
+        "stack",
+        "Describe and create a PR for every branch in a stack of dependent branches"
+      )
+      .option("yes", {
+        alias: "y",
+        type: "boolean",
+        description:
+          "Run without prompts and answer every confirmation with yes",
+      })
+      .option("input", {
+        type: "boolean",
+        description:
+          "Use --no-input to never prompt; missing answers fail with exit code 2",
+      })
+      .option("description", {
+        alias: "d",
+        type: "string",
+        description: "Brief description of what changed (skips the prompt)",
+      })
+      .option("template", {
+        alias: "t",
+        type: "string",
+        description:
+          'PR template file name to use, or "none" (skips automatic selection and the prompt)',
+      })
+      .option("lang", {
+        alias: "language",
+        type: "string",
+        description: "Language of the PR template, e.g. en, pt (skips the prompt)",
+      })
+      .option("commits", {
+        alias: "n",
+        type: "number",
+        description: "Number of commits from HEAD to describe",
+      })
+      .option("branch", {
+        alias: "b",
+        type: "string",
+        description:
+          "Name of the branch to create when publishing (--gh, --gitlab, --publish) from main/master",
+      })
+      .option("title", {
+        type: "string",
+        description:
+          "PR title (defaults to a generated conventional-commit style title)",
+      })
+      .option("base", {
+        type: "string",
+        description:
+          "Base branch for the PR (defaults to the upstream branch, origin/HEAD, then main/master)",
+      })
+      .option("remote", {
+        type: "string",
+        description:
+          "Remote of the repository the PR is opened against (defaults to origin, e.g. upstream for forks)",
+      })
+      .option("head-remote", {
+        type: "string",
+        description:
+          "Remote the branch is pushed to, e.g. fork (defaults to the branch's push remote)",
+      })
+      .option("from", {
+        type: "string",
+        description:
+          "Describe commits after this revision (tag, branch or SHA)",
+      })
+      .option("to", {
+        type: "string",
+        description: "Last revision to describe (defaults to HEAD)",
+      })
+      .option("range", {
+        type: "string",
+        description: "Explicit commit range to describe, e.g. v1.2.0..HEAD",
+      })
+      .option("fork-point", {
+        type: "boolean",
+        description:
+          "Describe every commit since the branch forked from the base branch",
+      })
+      .conflicts("range", ["from", "to", "fork-point", "commits"])
+      .conflicts("fork-point", "from")
+      .option("review", {
+        type: "boolean",
+        description:
+          "Review the description before publishing (use --no-review to skip)",
+      })
+      .option("dry-run", {
+        type: "boolean",
+        description:
+          "Print mutating git/gh commands and the AI prompts instead of running them",
+      })
+      .option("redact", {
+        type: "boolean",
+        description:
+          "Mask secrets and emails in commits and diffs before sending them to the AI (default: on; --no-redact to disable)",
+      })
       .option("copy", {
         alias: "c",
         type: "boolean",
@@ -39,24 +172,69 @@ async function main() {
           "Automatically copy the generated PR description to the clipboard",
       })
       .option("github", {
-        alias: "g",
+        alias: ["g", "web"],
         type: "boolean",
         description:
-          "Open GitHub PR page with pre-filled description in browser",
+          "Open the new PR/MR page of the repository's forge with pre-filled description",
       })
       .option("gh", {
         type: "boolean",
-        description: "Create GitHub PR using GitHub CLI",
+        description:
+          "Create the GitHub PR (REST API with GITHUB_TOKEN, otherwise GitHub CLI)",
+      })
+      .option("gitlab", {
+        type: "boolean",
+        description: "Create the GitLab merge request (REST API with GITLAB_TOKEN)",
+      })
+      .option("publish", {
+        alias: "p",
+        type: "boolean",
+        description:
+          "Create the PR (or update its description) on the forge of the origin remote",
+      })
+      .option("forge", {
+        type: "string",
+        choices: Object.keys(FORGES),
+        description:
+          "Forge hosting the repository (defaults to detection from the origin remote)",
       })
+      .conflicts("gh", ["gitlab", "forge"])
+      .conflicts("gitlab", "forge")
       .option("read", {
         alias: "r",
-        type: "boolean",
-        description: "Include commit diffs for more detailed PR descriptions",
+        description:
+          'Include code diffs for more detailed PR descriptions: "commits" (one diff per commit), "branch" (the net diff), or no value to pick by commit count',
+        coerce: (value) => {
+          if (value === "" || value === "auto") {
+            return true;
+          }
+          if (typeof value === "boolean" || value === "commits" || value === "branch") {
+            return value;
+          }
+          throw new Error(`Invalid --read mode "${value}". Use "commits" or "branch".`);
+        },
+      })
+      .option("exclude", {
+        type: "array",
+        string: true,
+        description:
+          "Glob of files to leave out of --read diffs (repeatable; adds to .prcliignore)",
+      })
+      .option("include", {
+        type: "array",
+        string: true,
+        description:
+          "Glob of files to limit --read diffs to (repeatable; wins over excludes)",
+      })
+      .option("diff-budget", {
+        type: "number",
+        description:
+          "Maximum tokens of diff to send with --read (also limited by the model's context window)",
       })
       .option("refill", {
         type: "boolean",
         description:
-          "When a PR already exists for the branch, overwrite its description without asking for confirmation",
+          "When a PR already exists for the branch, update its description (without asking in non-interactive runs)",
       })
       .option("self", {
         type: "boolean",
@@ -66,50 +244,165 @@ async function main() {
         type: "boolean",
         description: "Create the PR as a draft",
       })
+      .option("provider", {
+        type: "string",
+        choices: Object.keys(PROVIDERS),
+        description:
+          "AI provider to use (defaults to $PR_CLI_PROVIDER or gemini)",
+      })
+      .option("model", {
+        type: "string",
+        description: "Model name for the selected AI provider",
+      })
+      .option("ai-base-url", {
+        type: "string",
+        description:
+          "Base URL for the AI provider (OpenAI-compatible gateway, Ollama host, local stub)",
+      })
       .help().argv;
 
+    if (argv._[0] === "config") {
+      try {
+        await runConfigCommand(argv);
+      } catch (error) {
+        console.error(`✖ ${error.message}`);
+        process.exitCode = 1;
+      }
+      return;
+    }
+
+    const cliArgs = argv;
+    const { config } = await loadConfig();
+    argv = resolveOptions(config, argv);
+
+    setDryRun(argv.dryRun);
+
+    configurePrompts({
+      interactive: !argv.yes && argv.input !== false && Boolean(process.stdin.isTTY),
+      assumeYes: argv.yes,
+    });
+
+    const updateAvailable = await checkForUpdates();
+    await handleUpdate(updateAvailable);
+    Object.assign(COMMIT_TYPES, argv.commitTypes);
+
+    configureAIProvider({
+      provider: argv.provider,
+      model: argv.model,
+      baseUrl: argv.aiBaseUrl,
+    });
+    configureRedaction({ enabled: argv.redact, patterns: argv.redactPatterns });
+
     if (argv.refill && argv.self) {
       argv.self = false;
     }
 
+    configureRemotes({ base: argv.remote, head: argv.headRemote });
+
+    let repoUrl = "";
+    try {
+      repoUrl = await getRemoteUrl();
+    } catch (error) {
+      if (argv.remote) {
+        console.error(`✖ Remote "${argv.remote}" is not configured.`);
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    const baseBranch = await resolveBaseBranch(argv.base);
+
+    let forgeName = argv.forge || detectForge(repoUrl, argv.forgeHosts);
+    if (argv.gh) {
+      forgeName = "github";
+    } else if (argv.gitlab) {
+      forgeName = "gitlab";
+    }
+    const forge = getForge(forgeName);
+    const publish = argv.gh || argv.gitlab || argv.publish;
+
+    if (argv._[0] === "stack") {
+      await runStackCommand(argv, forge, forgeName, baseBranch);
+      return;
+    }
+
+    let commitRange;
+    try {
+      commitRange = await resolveCommitRange({
+        range: argv.range,
+        from: argv.from,
+        to: argv.to,
+        forkPoint: argv.forkPoint,
+        baseBranch,
+      });
+    } catch (error) {
+      console.error(`✖ ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    let existingPR = null;
+    if (argv.read || argv.refill) {
+      try {
+        const currentBranch = await getCurrentBranch();
+        existingPR = await getExistingPRDescription(currentBranch, forgeName);
+        if (existingPR) {
+          console.log("✓ Found existing PR description. Will use it as context for updates.");
+        }
+      } catch (error) {}
+    }
+    const existingPRDescription = existingPR?.description ?? null;
+
+    if (argv.refill && existingPR?.lastSha && !commitRange && !argv.commits) {
+      try {
+        const shortSha = existingPR.lastSha.slice(0, 7);
+        if (!(await isAncestor(existingPR.lastSha))) {
+          console.warn(
+            `Commit ${shortSha}, the last one described in the PR, is no longer in this branch's history (rebase or force-push?). Reading all commits of the branch.`
+          );
+          commitRange = await resolveCommitRange({ forkPoint: true, baseBranch });
+        } else if ((await countCommits(`${existingPR.lastSha}..HEAD`)) === 0) {
+          console.log(
+            `No commits since ${shortSha}, the last one described in the PR. Reading all commits of the branch.`
+          );
+          commitRange = await resolveCommitRange({ forkPoint: true, baseBranch });
+        } else {
+          commitRange = `${existingPR.lastSha}..HEAD`;
+          console.log(`✓ Reading only the commits after ${shortSha}, the last one described in the PR.`);
+        }
+      } catch (error) {
+        console.warn(`Could not limit the refill to new commits: ${error.message}`);
+      }
+    }
+
     const readOptions = {
       readDiffs: argv.read || false,
-      includeMergeDiffs: false
+      includeMergeDiffs: false,
+      baseBranch,
+      range: commitRange,
     };
     
-    let commitHistoryResult = await getCommitHistory(undefined, readOptions);
+    let commitHistoryResult = await getCommitHistory(argv.commits, readOptions);
     
     let commitMessages = commitHistoryResult.messages || [];
     let commitFullMessages = commitHistoryResult.fullMessages || commitMessages;
     let commitHashes = commitHistoryResult.hashes || [];
 
+    if (commitRange && commitMessages.length === 0) {
+      console.log(`No commits found in range ${commitRange}. Exiting.`);
+      return;
+    }
+
     if (commitMessages.length === 0) {
       console.log("No new local commits found since the last push to origin.");
       try {
-        const currentBranch = await executeCommand(
-          "git rev-parse --abbrev-ref HEAD",
-          "Getting current branch...",
-          false
-        );
+        const currentBranch = await getCurrentBranch();
 
-        let baseBranch = "main";
-        try {
-          const remoteHead = await executeCommand(
-            "git symbolic-ref refs/remotes/origin/HEAD",
-            "Getting remote default branch...",
-            false
-          );
-          baseBranch = remoteHead.split("/").pop();
-        } catch (e) {
-          console.warn(
-            "Could not determine remote default branch, falling back to 'main'."
-          );
-        }
-
-        const commitCountStr = await executeCommand(
-          `git rev-list --count ${baseBranch}..HEAD`,
-          `Counting commits on branch "${currentBranch}" against "${baseBranch}"...`,
-          false
+        const baseRef = await resolveBaseRef(baseBranch);
+        const { stdout: commitCountStr } = await runCommand(
+          "git",
+          ["rev-list", "--count", `${baseRef}..HEAD`],
+          { spinnerText: `Counting commits on branch "${currentBranch}" against "${baseBranch}"...` }
         );
         const commitCount = parseInt(commitCountStr, 10);
 
@@ -120,10 +413,11 @@ async function main() {
             commitFullMessages = commitHistoryResult.fullMessages || commitMessages;
             commitHashes = commitHistoryResult.hashes || [];
           } else {
-            const { confirmCommits } = await inquirer.prompt([
+            const { confirmCommits } = await promptUser([
               {
                 type: "confirm",
                 name: "confirmCommits",
+                flag: "--commits",
                 message: `Found ${commitCount} commits on branch "${currentBranch}". Do you want to use them to create the PR?`,
                 default: true,
               },
@@ -146,13 +440,17 @@ async function main() {
           return;
         }
       } catch (error) {
+        if (error instanceof NonInteractiveError) {
+          throw error;
+        }
         console.log(
           "Could not automatically count commits. Falling back to manual input."
         );
-        const { commitCount } = await inquirer.prompt([
+        const { commitCount } = await promptUser([
           {
             type: "number",
             name: "commitCount",
+            flag: "--commits",
             message:
               "How many commits from HEAD should be read for history? (Enter 0 to exit)",
             default: 5,
@@ -180,8 +478,12 @@ async function main() {
     let commitDiffs = null;
     if (argv.read && commitHashes.length > 0) {
       try {
-        commitDiffs = await getCommitDiffs(commitHashes, {
-          includeMergeDiffs: false
+        commitDiffs = await getDiffsForRead(commitHashes, {
+          read: argv.read,
+          range: commitRange,
+          exclude: argv.exclude,
+          include: argv.include,
+          budgetTokens: getDiffTokenBudget(commitFullMessages, argv),
         });
       } catch (error) {
         console.warn("Failed to fetch commit diffs:", error.message);
@@ -190,131 +492,147 @@ async function main() {
       }
     }
 
-    const { devDescription } = await inquirer.prompt([
-      {
-        type: "input",
-        name: "devDescription",
-        message: "Brief description of what changed in 1-2 sentences (optional):",
-        default: "",
-      },
-    ]);
-
-    const categorized = categorizeCommits(commitMessages);
+    let devDescription = argv.description;
+    if (devDescription === undefined) {
+      ({ devDescription } = await promptUser([
+        {
+          type: "input",
+          name: "devDescription",
+          flag: "--description",
+          message: "Brief description of what changed in 1-2 sentences (optional):",
+          default: "",
+        },
+      ]));
+    }
 
     const templates = await getPRTemplates();
     let templateContent = null;
     if (templates.length > 0) {
-      templateContent = await chooseTemplate(templates);
+      templateContent = await chooseTemplate(templates, argv.template, {
+        commitMessages,
+        commitHashes,
+        range: commitRange,
+        rules: argv.templateRules,
+      });
     }
 
-    let templateLanguage = "en";
+    let templateLanguage = argv.language;
 
-    if (templateContent) {
-      const { selectedLanguage } = await inquirer.prompt([
+    if (templateContent && cliArgs.lang === undefined) {
+      const { selectedLanguage } = await promptUser([
         {
           type: "list",
           name: "selectedLanguage",
+          flag: "--lang",
           message: "Select the language of the PR template:",
-          choices: [
-            { name: "English", value: "en" },
-            { name: "Portuguese", value: "pt" },
-            { name: "Spanish", value: "es" },
-            { name: "French", value: "fr" },
-            { name: "German", value: "de" },
-            { name: "Italian", value: "it" },
-            { name: "Japanese", value: "ja" },
-            { name: "Chinese", value: "zh" },
-          ],
-          default: "en",
+          choices: argv.languages || TEMPLATE_LANGUAGES,
+          default: argv.language,
         },
       ]);
       templateLanguage = selectedLanguage;
     }
 
-    let existingPRDescription = null;
-    if (argv.read) {
-      try {
-        const currentBranch = await executeCommand(
-          "git rev-parse --abbrev-ref HEAD",
-          "Getting current branch...",
-          false
-        );
-        existingPRDescription = await getExistingPRDescription(currentBranch);
-        if (existingPRDescription) {
-          console.log("✓ Found existing PR description. Will use it as context for updates.");
-        }
-      } catch (error) {}
-    }
-
-    let prDescription;
-    if (templateContent) {
-      const aiGeneratedContent = await generateAIContent(
+    const buildDescription = (
+      template,
+      additionalInstructions = "",
+      heading = "Updated PR Description"
+    ) =>
+      describeChanges({
+        commitMessages,
         commitFullMessages,
-        templateContent,
-        templateLanguage,
+        templateContent: template,
+        language: templateLanguage,
         devDescription,
         commitDiffs,
-        existingPRDescription
-      );
-      prDescription = aiGeneratedContent;
-      if (
-        !prDescription ||
-        prDescription.startsWith("<!-- Error: AI content generation failed.")
-      ) {
-        console.warn(
-          "AI generation failed, falling back to categorized commit description."
-        );
-        prDescription = generatePRDescription(categorized, templateContent, devDescription, commitFullMessages);
+        existingPRDescription,
+        additionalInstructions,
+        commitHashes,
+        range: commitRange,
+        heading,
+      });
+
+    let prDescription = await buildDescription(
+      templateContent,
+      "",
+      "Generated PR Description"
+    );
+    if (prDescription === null) {
+      console.log("Exiting without a PR description.");
+      return;
+    }
+
+    if (argv.review !== false) {
+      let reviewInstructions = "";
+      prDescription = await reviewPRDescription(prDescription, {
+        regenerate: (instructions) => {
+          reviewInstructions = instructions;
+          return buildDescription(templateContent, instructions);
+        },
+        switchTemplate:
+          templates.length > 0
+            ? async () => {
+                templateContent = await promptForTemplate(templates);
+                return buildDescription(templateContent, reviewInstructions);
+              }
+            : null,
+      });
+      if (prDescription === null) {
+        return;
       }
-    } else {
-      prDescription = generatePRDescription(categorized, templateContent, devDescription, commitFullMessages);
     }
 
-    console.log("\n--- Generated PR Description ---\n");
-    console.log(prDescription);
-    console.log("\n--------------------------------\n");
+    if (argv.dryRun && !publish) {
+      await writePRBodyFile(prDescription);
+    }
 
     if (argv.copy) {
+      await copyToClipboard(prDescription, "PR description");
+    }
+
+    let prTitle;
+    if (argv.github || publish) {
       try {
-        await clipboardy.write(prDescription);
-        console.log("PR description copied to clipboard!");
+        prTitle = await choosePRTitle(commitMessages, {
+          title: argv.title,
+          titlePattern: argv.titlePattern,
+          language: templateLanguage,
+        });
       } catch (error) {
-        console.error("Failed to copy to clipboard:", error.message);
+        if (error instanceof NonInteractiveError) {
+          throw error;
+        }
+        console.error(`✖ ${error.message}`);
+        process.exitCode = 1;
+        return;
       }
     }
 
-    let prTitle;
-
     if (argv.github) {
-      const repoUrl = await executeCommand(
-        "git config --get remote.origin.url",
-        "Getting repository URL...",
-        false
-      );
-      const currentBranch = await executeCommand(
-        "git rev-parse --abbrev-ref HEAD",
-        "Getting current branch...",
-        false
-      );
-      const baseBranch = "main";
-      prTitle = currentBranch;
-      await openGitHubPRInBrowser(
+      const currentBranch = await getCurrentBranch();
+      await forge.openInBrowser(
         prDescription,
         prTitle,
         repoUrl,
         currentBranch,
         baseBranch
       );
-    } else if (argv.gh) {
-      let currentBranch = await executeCommand(
-        "git rev-parse --abbrev-ref HEAD",
-        "Getting current branch...",
-        false
-      );
-      const baseBranch = "main";
+    } else if (publish) {
+      let currentBranch = await getCurrentBranch();
 
-      if (currentBranch === "main" || currentBranch === "master") {
-        const { createNewBranch } = await inquirer.prompt([
+      if ((currentBranch === "main" || currentBranch === "master") && argv.branch) {
+        try {
+          await runMutatingCommand("git", ["checkout", "-b", argv.branch]);
+          console.log(`Switched to new branch: ${argv.branch}`);
+          currentBranch = argv.branch;
+        } catch (error) {
+          console.error(
+            `Failed to create and switch to new branch: ${error.message}`
+          );
+          process.exitCode = 1;
+          return;
+        }
+      } else if (currentBranch === "main" || currentBranch === "master") {
+        const { createNewBranch } = await promptUser([
           {
             type: "confirm",
             name: "createNewBranch",
@@ -324,7 +642,7 @@ async function main() {
         ]);
 
         if (createNewBranch) {
-          const { generateWithAI } = await inquirer.prompt([
+          const { generateWithAI } = await promptUser([
             {
               type: "confirm",
               name: "generateWithAI",
@@ -341,10 +659,11 @@ async function main() {
                 "AI failed to generate a branch name. Falling back to manual input with AI-suggested type."
               );
               const suggestedType = await generateAIBranchType(commitMessages);
-              const { manualDescription } = await inquirer.prompt([
+              const { manualDescription } = await promptUser([
                 {
                   type: "input",
                   name: "manualDescription",
+                  flag: "--branch",
                   message: `Enter a short description for the new branch (e.g., 'add user auth', spaces will be converted to hyphens). Suggested type: ${suggestedType}/`,
                   validate: (input) =>
                     input.trim().length > 0 ||
@@ -359,7 +678,7 @@ async function main() {
               newBranchName = `${suggestedType}/${manualDescription}`;
             } else {
               console.log(`AI suggested branch name: ${newBranchName}`);
-              const { confirmAIBranchName } = await inquirer.prompt([
+              const { confirmAIBranchName } = await promptUser([
                 {
                   type: "confirm",
                   name: "confirmAIBranchName",
@@ -371,10 +690,11 @@ async function main() {
                 const suggestedType = await generateAIBranchType(
                   commitMessages
                 );
-                const { manualDescription } = await inquirer.prompt([
+                const { manualDescription } = await promptUser([
                   {
                     type: "input",
                     name: "manualDescription",
+                    flag: "--branch",
                     message: `Enter a short description for the new branch (e.g., 'add user auth', spaces will be converted to hyphens). Suggested type: ${suggestedType}/`,
                     validate: (input) =>
                       input.trim().length > 0 ||
@@ -391,10 +711,11 @@ async function main() {
             }
           } else {
             const suggestedType = suggestBranchType(commitMessages);
-            const { manualDescription } = await inquirer.prompt([
+            const { manualDescription } = await promptUser([
               {
                 type: "input",
                 name: "manualDescription",
+                flag: "--branch",
                 message: `Enter a short description for the new branch (e.g., 'add user auth', spaces will be converted to hyphens). Suggested type: ${suggestedType}/`,
                 validate: (input) =>
                   input.trim().length > 0 ||
@@ -410,10 +731,9 @@ async function main() {
           }
 
           try {
-            await executeCommand(`git checkout -b ${newBranchName}`);
+            await runMutatingCommand("git", ["checkout", "-b", newBranchName]);
             console.log(`Switched to new branch: ${newBranchName}`);
             currentBranch = newBranchName;
-            prTitle = newBranchName;
           } catch (error) {
             console.error(
               `Failed to create and switch to new branch: ${error.message}`
@@ -422,13 +742,10 @@ async function main() {
           }
         } else {
           console.log("Proceeding with PR creation on the current branch.");
-          prTitle = currentBranch;
         }
-      } else {
-        prTitle = currentBranch;
       }
-      await createGitHubPRWithCLI(
-        prDescription,
+      await forge.publish(
+        markGenerated(prDescription, { lastSha: commitHashes[0] }),
         prTitle,
         currentBranch,
         baseBranch,
@@ -440,6 +757,10 @@ async function main() {
       console.log("Operation cancelled");
       process.exit(0);
     }
+    if (error instanceof NonInteractiveError) {
+      console.error(`✖ ${error.message}`);
+      process.exit(error.exitCode);
+    }
     throw error;
   }
 }
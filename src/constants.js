@@ -16,4 +16,19 @@ export const COMMIT_TYPES = {
   revert: "Reverts",
 };
 
+/**
+ * Languages offered when selecting the PR template language.
+ * @type {Array<{name: string, value: string}>}
+ */
+export const TEMPLATE_LANGUAGES = [
+  { name: "English", value: "en" },
+  { name: "Portuguese", value: "pt" },
+  { name: "Spanish", value: "es" },
+  { name: "French", value: "fr" },
+  { name: "German", value: "de" },
+  { name: "Italian", value: "it" },
+  { name: "Japanese", value: "ja" },
+  { name: "Chinese", value: "zh" },
+];
+
 export const UPDATE_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
@@ -0,0 +1,64 @@
+import { parseEventData, postJSON, postJSONLines, trimTrailingSlash } from "./http.js";
+
+export const ANTHROPIC_DEFAULT_MODEL = "claude-3-5-haiku-latest";
+export const ANTHROPIC_DEFAULT_BASE_URL = "https://api.anthropic.com";
+const ANTHROPIC_API_VERSION = "2023-06-01";
+
+/**
+ * Creates a provider for the Anthropic Messages API.
+ * @param {{model?: string, apiKey?: string, baseUrl?: string}} options
+ * @returns {import("./index.js").AIProvider}
+ */
+export function createAnthropicProvider({ model, apiKey, baseUrl } = {}) {
+  const modelName = model || ANTHROPIC_DEFAULT_MODEL;
+  const endpoint = `${trimTrailingSlash(baseUrl || ANTHROPIC_DEFAULT_BASE_URL)}/v1/messages`;
+  const headers = {
+    "x-api-key": apiKey,
+    "anthropic-version": ANTHROPIC_API_VERSION,
+  };
+
+  return {
+    name: "anthropic",
+    model: modelName,
+    isConfigured: () => Boolean(apiKey),
+    async generate(prompt, { temperature, maxOutputTokens }) {
+      const data = await postJSON(
+        endpoint,
+        {
+          model: modelName,
+          max_tokens: maxOutputTokens,
+          temperature,
+          messages: [{ role: "user", content: prompt }],
+        },
+        headers
+      );
+      return (data.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+    },
+    async *stream(prompt, { temperature, maxOutputTokens, signal }) {
+      const lines = postJSONLines(
+        endpoint,
+        {
+          model: modelName,
+          max_tokens: maxOutputTokens,
+          temperature,
+          messages: [{ role: "user", content: prompt }],
+          stream: true,
+        },
+        headers,
+        signal
+      );
+      for await (const line of lines) {
+        const event = parseEventData(line);
+        if (event?.type === "error") {
+          throw new Error(event.error?.message || "Anthropic stream failed");
+        }
+        if (event?.type === "content_block_delta" && event.delta?.type === "text_delta") {
+          yield event.delta.text;
+        }
+      }
+    },
+  };
+}
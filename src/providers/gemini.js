@@ -0,0 +1,49 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { trimTrailingSlash } from "./http.js";
+
+export const GEMINI_DEFAULT_MODEL = "gemini-3.5-flash";
+
+/**
+ * Creates a provider backed by the Google Gemini SDK. `baseUrl` replaces the
+ * `https://generativelanguage.googleapis.com` endpoint, e.g. for a proxy or a stub.
+ * @param {{model?: string, apiKey?: string, baseUrl?: string}} options
+ * @returns {import("./index.js").AIProvider}
+ */
+export function createGeminiProvider({ model, apiKey, baseUrl } = {}) {
+  const modelName = model || GEMINI_DEFAULT_MODEL;
+  let client = null;
+
+  /**
+   * Creates the SDK model on first use.
+   * @param {{temperature: number, maxOutputTokens: number}} generationConfig
+   * @returns {import("@google/generative-ai").GenerativeModel}
+   */
+  const getClient = (generationConfig) => {
+    if (!client) {
+      client = new GoogleGenerativeAI(apiKey).getGenerativeModel(
+        { model: modelName, generationConfig },
+        baseUrl ? { baseUrl: trimTrailingSlash(baseUrl) } : undefined
+      );
+    }
+    return client;
+  };
+
+  return {
+    name: "gemini",
+    model: modelName,
+    isConfigured: () => Boolean(apiKey),
+    async generate(prompt, { temperature, maxOutputTokens }) {
+      const result = await getClient({ temperature, maxOutputTokens }).generateContent(prompt);
+      return result.response.text();
+    },
+    async *stream(prompt, { temperature, maxOutputTokens, signal }) {
+      const result = await getClient({ temperature, maxOutputTokens }).generateContentStream(
+        prompt,
+        { signal }
+      );
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+    },
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * Sends a JSON POST request and returns the parsed JSON response.
+ * Non-2xx responses are turned into errors that carry the status and body text,
+ * so callers can surface quota/limit messages from the provider.
+ * @param {string} url The endpoint URL.
+ * @param {Object} body The request payload.
+ * @param {Object.<string, string>} [headers={}] Extra request headers.
+ * @returns {Promise<Object>} The parsed response body.
+ */
+export async function postJSON(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw await toHTTPError(response, url);
+  }
+
+  return response.json();
+}
+
+/**
+ * Sends a JSON POST request to a streaming endpoint and yields the response body
+ * line by line as it arrives (server-sent events or newline-delimited JSON).
+ * Errors are raised like postJSON's; aborting `signal` stops the request.
+ * @param {string} url The endpoint URL.
+ * @param {Object} body The request payload.
+ * @param {Object.<string, string>} [headers={}] Extra request headers.
+ * @param {AbortSignal} [signal] Cancels the request.
+ * @returns {AsyncGenerator<string>} Non-empty, trimmed lines.
+ */
+export async function* postJSONLines(url, body, headers = {}, signal) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw await toHTTPError(response, url);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) {
+        yield line.trim();
+      }
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    yield buffer.trim();
+  }
+}
+
+/**
+ * Reads the JSON payload of a server-sent event `data:` line.
+ * @param {string} line
+ * @returns {Object|null} The payload, or null for other lines and `[DONE]`.
+ */
+export function parseEventData(line) {
+  if (!line.startsWith("data:")) {
+    return null;
+  }
+  const data = line.slice("data:".length).trim();
+  return data === "[DONE]" ? null : JSON.parse(data);
+}
+
+/**
+ * Turns a non-2xx response into an error carrying the status and body text.
+ * @param {Response} response
+ * @param {string} url
+ * @returns {Promise<Error>}
+ */
+async function toHTTPError(response, url) {
+  const text = await response.text().catch(() => "");
+  return new Error(
+    `${response.status} ${response.statusText} from ${url}${text ? `: ${text}` : ""}`
+  );
+}
+
+/**
+ * Removes a trailing slash so base URLs can be joined with paths safely.
+ * @param {string} url
+ * @returns {string}
+ */
+export function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, "");
+}
@@ -0,0 +1,113 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createAnthropicProvider } from "./anthropic.js";
+import { createOllamaProvider } from "./ollama.js";
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} name Provider identifier (e.g. "gemini", "ollama").
+ * @property {string} model The model used for generation.
+ * @property {string|null} apiKeyEnv Environment variable holding the API key, if any.
+ * @property {() => boolean} isConfigured Whether the provider has what it needs to run.
+ * @property {(prompt: string, options: {temperature: number, maxOutputTokens: number}) => Promise<string>} generate
+ * @property {(prompt: string, options: {temperature: number, maxOutputTokens: number, signal?: AbortSignal}) => AsyncGenerator<string>} [stream]
+ *   Yields the answer in pieces as it is generated; aborting `signal` stops it.
+ */
+
+/**
+ * Registry of supported providers with the environment variables each one reads.
+ * `contextWindow` is the context size (in tokens) assumed for models that
+ * MODEL_CONTEXT_WINDOWS does not know.
+ * @type {Object.<string, {create: Function, contextWindow: number, apiKeyEnv: string|null, modelEnv: string, baseUrlEnv: string|null}>}
+ */
+export const PROVIDERS = {
+  gemini: {
+    create: createGeminiProvider,
+    contextWindow: 1048576,
+    apiKeyEnv: "GEMINI_API_KEY",
+    modelEnv: "GEMINI_MODEL",
+    baseUrlEnv: null,
+  },
+  openai: {
+    create: createOpenAIProvider,
+    contextWindow: 128000,
+    apiKeyEnv: "OPENAI_API_KEY",
+    modelEnv: "OPENAI_MODEL",
+    baseUrlEnv: "OPENAI_BASE_URL",
+  },
+  anthropic: {
+    create: createAnthropicProvider,
+    contextWindow: 200000,
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+    modelEnv: "ANTHROPIC_MODEL",
+    baseUrlEnv: "ANTHROPIC_BASE_URL",
+  },
+  ollama: {
+    create: createOllamaProvider,
+    contextWindow: 8192,
+    apiKeyEnv: null,
+    modelEnv: "OLLAMA_MODEL",
+    baseUrlEnv: "OLLAMA_HOST",
+  },
+};
+
+export const DEFAULT_PROVIDER = "gemini";
+
+/**
+ * Context sizes (in tokens) of well-known models, matched against the model name.
+ * The first matching entry wins.
+ * @type {Array<[RegExp, number]>}
+ */
+const MODEL_CONTEXT_WINDOWS = [
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-5/, 400000],
+  [/^(gpt-4o|gpt-4-turbo|o\d)/, 128000],
+  [/^gpt-4(-|$)/, 8192],
+  [/^gpt-3\.5/, 16385],
+  [/^gemini-1\.5-pro/, 2097152],
+  [/^(llama3\.[123]|qwen2\.5|mistral-nemo)/, 131072],
+];
+
+/**
+ * Gets the context window (in tokens) of a provider's model. An explicit size
+ * (the `contextSize` config) wins; otherwise the model name is looked up, then
+ * the provider default is used.
+ * @param {AIProvider} provider
+ * @param {number|string|null} [override] Configured context size.
+ * @returns {number}
+ */
+export function getContextWindow(provider, override = null) {
+  if (Number(override) > 0) {
+    return Number(override);
+  }
+  const known = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(provider.model || ""));
+  return known ? known[1] : PROVIDERS[provider.name]?.contextWindow || 32000;
+}
+
+/**
+ * Creates an AI provider. Explicit options win over environment variables:
+ * `PR_CLI_PROVIDER`, `PR_CLI_MODEL` and `PR_CLI_AI_BASE_URL` apply to any provider,
+ * then the provider-specific variables (`GEMINI_MODEL`, `OLLAMA_HOST`, ...) are used.
+ * @param {{provider?: string, model?: string, baseUrl?: string, apiKey?: string}} [options={}]
+ * @param {Object.<string, string|undefined>} [env=process.env]
+ * @returns {AIProvider}
+ */
+export function createProvider(options = {}, env = process.env) {
+  const name = (options.provider || env.PR_CLI_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const entry = PROVIDERS[name];
+  if (!entry) {
+    throw new Error(
+      `Unknown AI provider "${name}". Supported providers: ${Object.keys(PROVIDERS).join(", ")}.`
+    );
+  }
+
+  const provider = entry.create({
+    model: options.model || env.PR_CLI_MODEL || env[entry.modelEnv],
+    apiKey: options.apiKey || (entry.apiKeyEnv ? env[entry.apiKeyEnv] : undefined),
+    baseUrl:
+      options.baseUrl ||
+      env.PR_CLI_AI_BASE_URL ||
+      (entry.baseUrlEnv ? env[entry.baseUrlEnv] : undefined),
+  });
+  return { ...provider, apiKeyEnv: entry.apiKeyEnv };
+}
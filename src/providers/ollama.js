@@ -0,0 +1,67 @@
+import { postJSON, postJSONLines, trimTrailingSlash } from "./http.js";
+
+export const OLLAMA_DEFAULT_MODEL = "llama3";
+export const OLLAMA_DEFAULT_BASE_URL = "http://localhost:11434";
+
+/**
+ * Turns an Ollama host into a base URL the way the Ollama clients do: `OLLAMA_HOST`
+ * is usually given without a scheme (`127.0.0.1:11434`, `0.0.0.0`), so `http://`
+ * is added, and a missing port defaults to 11434 (443 for `https://`).
+ * @param {string} host
+ * @returns {string}
+ */
+export function resolveOllamaBaseUrl(host) {
+  const value = host.trim();
+  const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+  if (!url.port && url.protocol === "http:") {
+    url.port = "11434";
+  }
+  return trimTrailingSlash(url.toString());
+}
+
+/**
+ * Creates a provider for a local (or LAN) Ollama server. No API key is needed.
+ * @param {{model?: string, baseUrl?: string}} options
+ * @returns {import("./index.js").AIProvider}
+ */
+export function createOllamaProvider({ model, baseUrl } = {}) {
+  const modelName = model || OLLAMA_DEFAULT_MODEL;
+  const endpoint = `${resolveOllamaBaseUrl(baseUrl || OLLAMA_DEFAULT_BASE_URL)}/api/generate`;
+
+  return {
+    name: "ollama",
+    model: modelName,
+    isConfigured: () => true,
+    async generate(prompt, { temperature, maxOutputTokens }) {
+      const data = await postJSON(endpoint, {
+        model: modelName,
+        prompt,
+        stream: false,
+        options: { temperature, num_predict: maxOutputTokens },
+      });
+      return data.response || "";
+    },
+    async *stream(prompt, { temperature, maxOutputTokens, signal }) {
+      const lines = postJSONLines(
+        endpoint,
+        {
+          model: modelName,
+          prompt,
+          stream: true,
+          options: { temperature, num_predict: maxOutputTokens },
+        },
+        {},
+        signal
+      );
+      for await (const line of lines) {
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new Error(data.error);
+        }
+        if (data.response) {
+          yield data.response;
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,56 @@
+import { parseEventData, postJSON, postJSONLines, trimTrailingSlash } from "./http.js";
+
+export const OPENAI_DEFAULT_MODEL = "gpt-4o-mini";
+export const OPENAI_DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Creates a provider for any OpenAI-compatible Chat Completions endpoint
+ * (OpenAI itself, internal gateways, vLLM, LM Studio, ...).
+ * @param {{model?: string, apiKey?: string, baseUrl?: string}} options
+ * @returns {import("./index.js").AIProvider}
+ */
+export function createOpenAIProvider({ model, apiKey, baseUrl } = {}) {
+  const modelName = model || OPENAI_DEFAULT_MODEL;
+  const endpoint = `${trimTrailingSlash(baseUrl || OPENAI_DEFAULT_BASE_URL)}/chat/completions`;
+  const isDefaultEndpoint = !baseUrl || trimTrailingSlash(baseUrl) === OPENAI_DEFAULT_BASE_URL;
+
+  return {
+    name: "openai",
+    model: modelName,
+    // Self-hosted gateways frequently run without authentication.
+    isConfigured: () => Boolean(apiKey) || !isDefaultEndpoint,
+    async generate(prompt, { temperature, maxOutputTokens }) {
+      const data = await postJSON(
+        endpoint,
+        {
+          model: modelName,
+          messages: [{ role: "user", content: prompt }],
+          temperature,
+          max_tokens: maxOutputTokens,
+        },
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      );
+      return data.choices?.[0]?.message?.content || "";
+    },
+    async *stream(prompt, { temperature, maxOutputTokens, signal }) {
+      const lines = postJSONLines(
+        endpoint,
+        {
+          model: modelName,
+          messages: [{ role: "user", content: prompt }],
+          temperature,
+          max_tokens: maxOutputTokens,
+          stream: true,
+        },
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        signal
+      );
+      for await (const line of lines) {
+        const text = parseEventData(line)?.choices?.[0]?.delta?.content;
+        if (text) {
+          yield text;
+        }
+      }
+    },
+  };
+}
@@ -65,8 +65,9 @@ export function categorizeCommits(commitMessages) {
 }
 
 /**
- * Formats commit diffs for AI prompt inclusion.
- * @param {Array<{hash: string, content: string, truncated: boolean}>} diffs Array of diff objects.
+ * Formats commit diffs for AI prompt inclusion. A net branch diff (from getBranchDiff,
+ * recognised by its `stat`) is shown once with its file list instead of per commit.
+ * @param {Array<{hash: string, content: string, truncated: boolean, stat?: string}>} diffs Array of diff objects.
  * @param {string[]} commitMessages Array of commit messages.
  * @returns {string} Formatted string with diffs in markdown code blocks.
  */
@@ -74,12 +75,21 @@ export function formatDiffsForAI(diffs, commitMessages) {
   let formatted = "\n\n=== CODE CHANGES ===\n\n";
   
   diffs.forEach((diff, index) => {
-    formatted += `Commit ${index + 1}: ${commitMessages[index]}\n`;
-    formatted += `Hash: ${diff.hash}\n`;
+    if (diff.stat !== undefined) {
+      formatted += `Net changes of all ${commitMessages.length} commits (${diff.hash}):\n`;
+      formatted += `${diff.stat}\n\n`;
+    } else {
+      formatted += `Commit ${index + 1}: ${commitMessages[index]}\n`;
+      formatted += `Hash: ${diff.hash}\n`;
+    }
     formatted += `\`\`\`diff\n${diff.content}\n\`\`\`\n\n`;
     
+    if (diff.excludedFiles?.length > 0) {
+      formatted += `[Also changed, but excluded from the diff: ${diff.excludedFiles.join(", ")}]\n\n`;
+    }
+    
     if (diff.truncated) {
-      formatted += "[Note: This diff was truncated due to size limits]\n\n";
+      formatted += "[Note: Parts of this diff were left out to fit the context budget; files marked [summarized] only show their changed line counts]\n\n";
     }
   });
   
@@ -0,0 +1,341 @@
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import { pathToFileURL } from "url";
+import { runCommand } from "../utils/helpers.js";
+
+/**
+ * Built-in defaults. Every other layer is merged on top of these.
+ * @type {Object}
+ */
+export const DEFAULT_CONFIG = {
+  template: null,
+  templateRules: [],
+  language: "en",
+  languages: null,
+  base: null,
+  titlePattern: null,
+  provider: null,
+  model: null,
+  aiBaseUrl: null,
+  contextSize: null,
+  diffBudget: 32000,
+  commitTypes: {},
+  remote: null,
+  headRemote: null,
+  forge: null,
+  forgeHosts: {},
+  redact: true,
+  redactPatterns: [],
+  draft: false,
+  self: false,
+  copy: false,
+  read: false,
+};
+
+/**
+ * Environment variables that map onto config keys.
+ * @type {Object.<string, string>}
+ */
+const ENV_KEYS = {
+  PR_CLI_TEMPLATE: "template",
+  PR_CLI_LANGUAGE: "language",
+  PR_CLI_BASE: "base",
+  PR_CLI_TITLE_PATTERN: "titlePattern",
+  PR_CLI_PROVIDER: "provider",
+  PR_CLI_MODEL: "model",
+  PR_CLI_AI_BASE_URL: "aiBaseUrl",
+  PR_CLI_CONTEXT_SIZE: "contextSize",
+  PR_CLI_DIFF_BUDGET: "diffBudget",
+  PR_CLI_REMOTE: "remote",
+  PR_CLI_FORGE: "forge",
+  PR_CLI_DRAFT: "draft",
+  PR_CLI_SELF: "self",
+};
+
+/**
+ * Object-valued keys whose entries are merged across layers instead of replaced.
+ * @type {string[]}
+ */
+const MERGED_KEYS = ["commitTypes", "forgeHosts"];
+
+const PROJECT_CONFIG_FILES = [".prclirc", ".prclirc.json", "pr-cli.config.js"];
+
+/**
+ * Gets the path to the user-level config file.
+ * @returns {string}
+ */
+export function getUserConfigPath() {
+  return path.join(os.homedir(), ".pr-cli", "config");
+}
+
+/**
+ * Gets the repository root, falling back to the current directory outside Git.
+ * @returns {Promise<string>}
+ */
+async function getProjectRoot() {
+  try {
+    return (await runCommand("git", ["rev-parse", "--show-toplevel"], { logErrors: false })).stdout;
+  } catch (error) {
+    return process.cwd();
+  }
+}
+
+/**
+ * Parses a raw string (from the CLI or an env var) into a JSON value when possible,
+ * so `true`, `8000` and `{"feat":"New"}` keep their types.
+ * @param {string} raw
+ * @returns {*}
+ */
+export function parseConfigValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * Reads a config file. `.js` files must `export default` an object; anything else is JSON.
+ * @param {string} filePath
+ * @returns {Promise<Object|null>} The parsed config or null if the file does not exist.
+ */
+async function readConfigFile(filePath) {
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    if (filePath.endsWith(".js")) {
+      const module = await import(pathToFileURL(filePath).href);
+      return module.default || {};
+    }
+    const content = await fs.readFile(filePath, "utf-8");
+    return content.trim() ? JSON.parse(content) : {};
+  } catch (error) {
+    console.warn(`⚠ Ignoring invalid config file ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Finds the project config file in the repository root, if any.
+ * @returns {Promise<string|null>}
+ */
+async function findProjectConfigPath() {
+  const root = await getProjectRoot();
+  for (const file of PROJECT_CONFIG_FILES) {
+    const candidate = path.join(root, file);
+    const exists = await fs
+      .access(candidate)
+      .then(() => true)
+      .catch(() => false);
+    if (exists) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads config values from `PR_CLI_*` environment variables.
+ * @param {Object.<string, string|undefined>} env
+ * @returns {Object}
+ */
+function readEnvConfig(env) {
+  const config = {};
+  for (const [envKey, configKey] of Object.entries(ENV_KEYS)) {
+    if (env[envKey] !== undefined && env[envKey] !== "") {
+      config[configKey] =
+        typeof DEFAULT_CONFIG[configKey] === "string" || DEFAULT_CONFIG[configKey] === null
+          ? env[envKey]
+          : parseConfigValue(env[envKey]);
+    }
+  }
+  return config;
+}
+
+/**
+ * Loads the layered configuration: defaults → project config (`.prclirc`,
+ * `.prclirc.json` or `pr-cli.config.js`) → `~/.pr-cli/config` → `PR_CLI_*` env vars.
+ * Command-line flags are applied on top by the caller.
+ * @param {Object.<string, string|undefined>} [env=process.env]
+ * @returns {Promise<{config: Object, sources: Object.<string, string>}>}
+ *   The merged config and, for each key, the layer it came from.
+ */
+export async function loadConfig(env = process.env) {
+  const projectPath = await findProjectConfigPath();
+  const userPath = getUserConfigPath();
+
+  const layers = [
+    ["default", DEFAULT_CONFIG],
+    [projectPath, projectPath ? await readConfigFile(projectPath) : null],
+    [userPath, await readConfigFile(userPath)],
+    ["env", readEnvConfig(env)],
+  ];
+
+  const config = {};
+  const sources = {};
+  for (const [source, values] of layers) {
+    if (!values) continue;
+    for (const [key, value] of Object.entries(values)) {
+      if (MERGED_KEYS.includes(key) && config[key]) {
+        config[key] = { ...config[key], ...value };
+      } else {
+        config[key] = value;
+      }
+      sources[key] = source;
+    }
+  }
+
+  return { config, sources };
+}
+
+/**
+ * Applies command-line flags on top of the loaded config. Flags that were not
+ * passed are `undefined` in yargs' argv and therefore leave the config value intact.
+ * @param {Object} config The merged config from `loadConfig`.
+ * @param {Object} argv Parsed yargs arguments.
+ * @returns {Object} The effective options.
+ */
+export function resolveOptions(config, argv) {
+  const options = { ...config };
+  for (const [key, value] of Object.entries(argv)) {
+    if (value !== undefined) {
+      options[key] = value;
+    }
+  }
+  return options;
+}
+
+/**
+ * Reads a (possibly dotted) key from a config object.
+ * @param {Object} config
+ * @param {string} key e.g. "diffBudget" or "commitTypes.feat".
+ * @returns {*}
+ */
+export function getConfigValue(config, key) {
+  return key.split(".").reduce((value, part) => value?.[part], config);
+}
+
+/**
+ * Checks a key and value before they are written: the top-level key must be a known
+ * option, and values of numeric, boolean, list and object options must have that type.
+ * @param {string} key A (possibly dotted) config key.
+ * @param {*} value The parsed value.
+ * @throws {Error} When the key is unknown or the value has the wrong type.
+ */
+export function validateConfigValue(key, value) {
+  const [topKey, ...rest] = key.split(".");
+  if (!Object.hasOwn(DEFAULT_CONFIG, topKey)) {
+    throw new Error(
+      `Unknown config key "${topKey}". Known keys: ${Object.keys(DEFAULT_CONFIG).join(", ")}.`
+    );
+  }
+  if (rest.length > 0) {
+    if (!MERGED_KEYS.includes(topKey)) {
+      throw new Error(`Config key "${topKey}" has no nested keys.`);
+    }
+    return;
+  }
+
+  const defaultValue = DEFAULT_CONFIG[topKey];
+  const expected =
+    defaultValue === null
+      ? null
+      : Array.isArray(defaultValue)
+        ? "array"
+        : typeof defaultValue;
+  const actual = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+  if (expected && actual !== expected && actual !== "null") {
+    throw new Error(
+      `Invalid value for "${topKey}": expected ${expected === "object" ? "an object" : `a ${expected}`}, got ${JSON.stringify(value)}.`
+    );
+  }
+}
+
+/**
+ * Writes a single key to the user config, or to the project `.prclirc` when `project` is set.
+ * @param {string} key A (possibly dotted) config key.
+ * @param {*} value The value to store.
+ * @param {{project?: boolean}} [options={}]
+ * @returns {Promise<string>} The path of the file that was written.
+ */
+export async function setConfigValue(key, value, { project = false } = {}) {
+  let filePath = project
+    ? path.join(await getProjectRoot(), ".prclirc")
+    : getUserConfigPath();
+
+  if (project) {
+    const existing = await findProjectConfigPath();
+    if (existing && existing.endsWith(".js")) {
+      throw new Error(
+        `Project config is ${path.basename(existing)}; edit it directly instead.`
+      );
+    }
+    filePath = existing || filePath;
+  }
+
+  const current = (await readConfigFile(filePath)) || {};
+  const parts = key.split(".");
+  let target = current;
+  for (const part of parts.slice(0, -1)) {
+    if (typeof target[part] !== "object" || target[part] === null) {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(current, null, 2) + "\n");
+  return filePath;
+}
+
+/**
+ * Handles `pr-cli config get|set|list`.
+ * @param {{action: string, key?: string, value?: string, project?: boolean}} argv
+ * @returns {Promise<void>}
+ */
+export async function runConfigCommand(argv) {
+  const { config, sources } = await loadConfig();
+
+  switch (argv.action) {
+    case "list": {
+      for (const [key, value] of Object.entries(config)) {
+        console.log(`${key} = ${JSON.stringify(value)}  (${sources[key]})`);
+      }
+      return;
+    }
+    case "get": {
+      if (!argv.key) {
+        throw new Error("Usage: pr-cli config get <key>");
+      }
+      const value = getConfigValue(config, argv.key);
+      if (value === undefined) {
+        throw new Error(`Config key "${argv.key}" is not set.`);
+      }
+      console.log(typeof value === "string" ? value : JSON.stringify(value));
+      return;
+    }
+    case "set": {
+      if (!argv.key || argv.value === undefined) {
+        throw new Error("Usage: pr-cli config set <key> <value> [--project]");
+      }
+      const value =
+        typeof DEFAULT_CONFIG[argv.key] === "string"
+          ? String(argv.value)
+          : parseConfigValue(String(argv.value));
+      validateConfigValue(argv.key, value);
+      const filePath = await setConfigValue(argv.key, value, { project: argv.project });
+      console.log(`Set ${argv.key} in ${filePath}`);
+      return;
+    }
+    default:
+      throw new Error(
+        `Unknown config action "${argv.action}". Use get, set or list.`
+      );
+  }
+}
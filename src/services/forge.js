@@ -0,0 +1,103 @@
+import { parseRemoteUrl } from "../utils/git.js";
+import {
+  createGitHubPR,
+  getGitHubPRDescription,
+  openGitHubPRInBrowser,
+} from "../utils/github.js";
+import {
+  createGitLabMR,
+  getGitLabMRDescription,
+  openGitLabMRInBrowser,
+} from "../utils/gitlab.js";
+import {
+  createBitbucketPR,
+  getBitbucketPRDescription,
+  openBitbucketPRInBrowser,
+} from "../utils/bitbucket.js";
+import {
+  createAzurePR,
+  getAzurePRDescription,
+  openAzurePRInBrowser,
+} from "../utils/azure.js";
+
+/**
+ * Supported forges. Each one knows how to open a pre-filled new PR page, create or
+ * update a PR through its API/CLI, and read the description of the branch's open PR.
+ * @type {Object.<string, {name: string, requestName: string, openInBrowser: Function, publish: Function, getExistingDescription: Function}>}
+ */
+export const FORGES = {
+  github: {
+    name: "GitHub",
+    requestName: "Pull Request",
+    openInBrowser: openGitHubPRInBrowser,
+    publish: createGitHubPR,
+    getExistingDescription: getGitHubPRDescription,
+  },
+  gitlab: {
+    name: "GitLab",
+    requestName: "Merge Request",
+    openInBrowser: openGitLabMRInBrowser,
+    publish: createGitLabMR,
+    getExistingDescription: getGitLabMRDescription,
+  },
+  bitbucket: {
+    name: "Bitbucket",
+    requestName: "Pull Request",
+    openInBrowser: openBitbucketPRInBrowser,
+    publish: createBitbucketPR,
+    getExistingDescription: getBitbucketPRDescription,
+  },
+  azure: {
+    name: "Azure DevOps",
+    requestName: "Pull Request",
+    openInBrowser: openAzurePRInBrowser,
+    publish: createAzurePR,
+    getExistingDescription: getAzurePRDescription,
+  },
+};
+
+/**
+ * Detects the forge hosting a remote. Hosts listed in the `forgeHosts` config
+ * (e.g. `{ "git.example.com": "gitlab" }`) win; otherwise the hostname is matched
+ * (Bitbucket Server is also recognised by its `/scm/` clone path).
+ * @param {string} remoteUrl The remote URL.
+ * @param {Object.<string, string>} [forgeHosts={}] Hostname to forge name overrides.
+ * @returns {string} A key of FORGES; "github" when nothing matches.
+ */
+export function detectForge(remoteUrl, forgeHosts = {}) {
+  const remote = parseRemoteUrl(remoteUrl);
+  if (!remote) {
+    return "github";
+  }
+
+  const configured = Object.entries(forgeHosts || {}).find(
+    ([host]) => host.toLowerCase() === remote.host
+  );
+  if (configured && FORGES[configured[1]]) {
+    return configured[1];
+  }
+
+  if (remote.host.includes("gitlab")) {
+    return "gitlab";
+  }
+  if (
+    remote.host === "dev.azure.com" ||
+    remote.host === "ssh.dev.azure.com" ||
+    remote.host.endsWith(".visualstudio.com")
+  ) {
+    return "azure";
+  }
+  if (remote.host.includes("bitbucket") || remote.path.split("/").includes("scm")) {
+    return "bitbucket";
+  }
+  return "github";
+}
+
+/**
+ * Gets a forge by name, falling back to GitHub for unknown names.
+ * @param {string} name
+ * @returns {Object} The forge.
+ */
+export function getForge(name) {
+  return FORGES[name] || FORGES.github;
+}
@@ -1,14 +1,56 @@
 import fs from "fs/promises";
 import path from "path";
-import inquirer from "inquirer";
 import { COMMIT_TYPES } from "../constants.js";
-import { executeCommand } from "../utils/helpers.js";
+import { getForge } from "./forge.js";
+import { promptUser } from "../utils/prompt.js";
+import {
+  generateAIContent,
+  generateAIPRTitle,
+  getAIProvider,
+  suggestBranchType,
+} from "../utils/ai.js";
+import { categorizeCommits } from "./commit.js";
+import { getChangedFiles, getCurrentBranch, getUserName } from "../utils/git.js";
+import { globToRegExp } from "../utils/path-filter.js";
+import { hasPlaceholders, renderTemplate } from "../utils/placeholders.js";
+import { printPRDescription } from "./review.js";
+import { readLastSha, stripMarkers } from "../utils/sections.js";
 
 /**
- * Checks for Pull Request templates in the `.github` folder.
+ * Checks for Pull Request templates in the `.github` folder and GitLab merge
+ * request templates in `.gitlab/merge_request_templates`.
  * @returns {Promise<string[]>} An array of template file paths.
  */
 export async function getPRTemplates() {
+  return [...(await getGitHubTemplates()), ...(await getGitLabTemplates())];
+}
+
+/**
+ * Lists the GitLab merge request templates (`.gitlab/merge_request_templates/*.md`).
+ * @returns {Promise<string[]>} An array of template file paths.
+ */
+async function getGitLabTemplates() {
+  const templateDirPath = path.join(
+    process.cwd(),
+    ".gitlab",
+    "merge_request_templates"
+  );
+  try {
+    const files = await fs.readdir(templateDirPath);
+    return files
+      .filter((file) => file.endsWith(".md"))
+      .map((file) => path.join(templateDirPath, file));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Lists the GitHub PR templates: `.github/PULL_REQUEST_TEMPLATE/*.md`, or the
+ * single `pull_request_template.md` files in `.github`.
+ * @returns {Promise<string[]>} An array of template file paths.
+ */
+async function getGitHubTemplates() {
   const githubPath = path.join(process.cwd(), ".github");
   const templateDirPath = path.join(githubPath, "PULL_REQUEST_TEMPLATE");
   const templates = [];
@@ -49,33 +91,236 @@ export async function getPRTemplates() {
 }
 
 /**
- * Prompts the user to choose a PR template.
+ * Finds a template by file name, with or without the `.md` extension.
+ * @param {string[]} templates An array of template file paths.
+ * @param {string} name The template name, e.g. "standard" or "standard.md".
+ * @returns {string|undefined} The matching template path.
+ */
+function findTemplateByName(templates, name) {
+  const wanted = name.toLowerCase().replace(/\.md$/, "");
+  return templates.find(
+    (tplPath) => path.basename(tplPath, ".md").toLowerCase() === wanted
+  );
+}
+
+/**
+ * Splits a template file into its frontmatter (a `---` block at the top) and its
+ * body. Values are read as lists: `a, b`, `[a, b]` or `- a` lines.
+ * @param {string} content
+ * @returns {{attributes: Object.<string, string[]>, body: string}}
+ */
+function parseFrontmatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { attributes: {}, body: content };
+  }
+  const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, "$2");
+  const attributes = {};
+  let key = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    const entry = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (item && key) {
+      attributes[key].push(unquote(item[1]));
+    } else if (entry) {
+      key = entry[1];
+      attributes[key] = entry[2]
+        .trim()
+        .replace(/^\[(.*)\]$/, "$1")
+        .split(",")
+        .map(unquote)
+        .filter(Boolean);
+    }
+  }
+  return { attributes, body: content.slice(match[0].length).replace(/^\s*\n/, "") };
+}
+
+/**
+ * Reads a template, without its frontmatter.
+ * @param {string} templatePath
+ * @returns {Promise<string>}
+ */
+export async function readTemplate(templatePath) {
+  return parseFrontmatter(await fs.readFile(templatePath, "utf-8")).body;
+}
+
+/**
+ * Normalizes a rule value (a string or a list) into a list of strings.
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  return [].concat(value ?? []).map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Checks a template rule against the branch, commits and changed files. Every
+ * condition the rule sets must hold: `branch` globs match the branch name, `type`
+ * lists the dominant commit type and every changed file matches one of `paths`.
+ * @param {{branch?: string|string[], type?: string|string[], paths?: string|string[]}} rule
+ * @param {{branch: string, commitType: string|null, changedFiles: () => Promise<string[]>}} facts
+ * @returns {Promise<string|null>} Why the rule matched, or null when it does not.
+ */
+async function matchRule(rule, facts) {
+  const branches = toList(rule.branch);
+  const types = toList(rule.type);
+  const paths = toList(rule.paths);
+  if (branches.length + types.length + paths.length === 0) {
+    return null;
+  }
+
+  const reasons = [];
+  if (branches.length > 0) {
+    if (!branches.some((glob) => globToRegExp(glob).test(facts.branch))) {
+      return null;
+    }
+    reasons.push(`branch "${facts.branch}"`);
+  }
+  if (types.length > 0) {
+    if (!types.includes(facts.commitType)) {
+      return null;
+    }
+    reasons.push(`mostly ${facts.commitType} commits`);
+  }
+  if (paths.length > 0) {
+    const files = await facts.changedFiles();
+    const regexes = paths.map(globToRegExp);
+    if (files.length === 0 || !files.every((file) => regexes.some((regex) => regex.test(file)))) {
+      return null;
+    }
+    reasons.push(`only ${paths.join(", ")} changed`);
+  }
+  return reasons.join(", ");
+}
+
+/**
+ * Picks a template without prompting. Rules from the `templateRules` config are
+ * tried first, then the rules in the templates' frontmatter; the first match wins.
+ * Without a match, a template named after the branch prefix (`refactor/...` →
+ * `refactor.md`) or the dominant commit type is used.
  * @param {string[]} templates An array of template file paths.
+ * @param {Object} selection
+ * @param {string[]} selection.commitMessages Commit subjects.
+ * @param {string[]} [selection.commitHashes] Commit hashes, to list the changed files.
+ * @param {string|null} [selection.range] The commit range, to list the changed files.
+ * @param {string} [selection.branch] The PR branch; defaults to the current branch.
+ * @param {Array<{template: string, branch?: string|string[], type?: string|string[], paths?: string|string[]}>} [selection.rules]
+ *   The `templateRules` config.
+ * @returns {Promise<{path: string, reason: string}|null>} The matching template and
+ *   why it was chosen.
+ */
+export async function matchTemplate(templates, selection) {
+  const { commitMessages, commitHashes = [], range = null, rules = [] } = selection;
+  const branch = selection.branch || (await getCurrentBranch().catch(() => ""));
+  const typed = commitMessages.some((msg) => COMMIT_TYPES[msg.match(/^(\w+)/)?.[1]]);
+  let changedFiles = null;
+  const facts = {
+    branch,
+    commitType: typed ? suggestBranchType(commitMessages) : null,
+    changedFiles: async () =>
+      (changedFiles ??= await getChangedFiles(commitHashes, range).catch(() => [])),
+  };
+
+  const candidates = [];
+  for (const rule of [].concat(rules || [])) {
+    const templatePath = rule.template && findTemplateByName(templates, rule.template);
+    if (templatePath) {
+      candidates.push({ path: templatePath, rule });
+    } else {
+      console.warn(`Ignoring template rule for unknown template "${rule.template}".`);
+    }
+  }
+  for (const templatePath of templates) {
+    const content = await fs.readFile(templatePath, "utf-8").catch(() => "");
+    candidates.push({ path: templatePath, rule: parseFrontmatter(content).attributes });
+  }
+
+  for (const candidate of candidates) {
+    const reason = await matchRule(candidate.rule, facts);
+    if (reason) {
+      return { path: candidate.path, reason };
+    }
+  }
+
+  const prefix = branch.includes("/") ? branch.split("/")[0] : null;
+  const byPrefix = prefix && findTemplateByName(templates, prefix);
+  if (byPrefix) {
+    return { path: byPrefix, reason: `branch prefix "${prefix}/"` };
+  }
+  const byType = facts.commitType && findTemplateByName(templates, facts.commitType);
+  if (byType) {
+    return { path: byType, reason: `mostly ${facts.commitType} commits` };
+  }
+  return null;
+}
+
+/**
+ * Chooses a PR template: the preferred one when given, otherwise the one picked by
+ * matchTemplate, the only one, or the one the user selects.
+ * @param {string[]} templates An array of template file paths.
+ * @param {string|null} [preferredTemplate=null] Template name to select without prompting
+ *   ("none" selects no template).
+ * @param {Object|null} [selection=null] Branch, commits and rules for matchTemplate;
+ *   without it, the templates are not matched automatically.
  * @returns {Promise<string|null>} The content of the chosen template.
  */
-export async function chooseTemplate(templates) {
+export async function chooseTemplate(templates, preferredTemplate = null, selection = null) {
   if (templates.length === 0) {
     return null;
   }
 
+  if (preferredTemplate) {
+    if (preferredTemplate === "none") {
+      return null;
+    }
+    const match = findTemplateByName(templates, preferredTemplate);
+    if (match) {
+      console.log(`Using configured template: ${path.basename(match)}`);
+      return readTemplate(match);
+    }
+    console.warn(
+      `Configured template "${preferredTemplate}" was not found. Falling back to selection.`
+    );
+  }
+
+  if (selection && templates.length > 1) {
+    const matched = await matchTemplate(templates, selection);
+    if (matched) {
+      console.log(
+        `Using template ${path.basename(matched.path)} (${matched.reason}). Pass --template to use another.`
+      );
+      return readTemplate(matched.path);
+    }
+  }
+
   if (templates.length === 1) {
     console.log(
       `Automatically selecting the only available template: ${path.basename(
         templates[0]
       )}`
     );
-    return fs.readFile(templates[0], "utf-8");
+    return readTemplate(templates[0]);
   }
 
+  return promptForTemplate(templates);
+}
+
+/**
+ * Asks the user to pick one of the templates or no template.
+ * @param {string[]} templates An array of template file paths.
+ * @returns {Promise<string|null>} The content of the chosen template, or null for none.
+ */
+export async function promptForTemplate(templates) {
   const choices = templates.map((tplPath) => ({
     name: path.basename(tplPath),
     value: tplPath,
   }));
 
-  const { selectedTemplatePath } = await inquirer.prompt([
+  const { selectedTemplatePath } = await promptUser([
     {
       type: "list",
       name: "selectedTemplatePath",
+      flag: "--template",
       message: "Select a PR template:",
       choices: [{ name: "No template", value: null }, ...choices],
       default: null,
@@ -83,11 +328,252 @@ export async function chooseTemplate(templates) {
   ]);
 
   if (selectedTemplatePath) {
-    return fs.readFile(selectedTemplatePath, "utf-8");
+    return readTemplate(selectedTemplatePath);
   }
   return null;
 }
 
+/**
+ * Determines the PR title: the `--title` flag when given, otherwise an AI (or heuristic)
+ * suggestion that the user can confirm or edit.
+ * @param {string[]} commitMessages Commit subjects, newest first.
+ * @param {Object} [options={}]
+ * @param {string} [options.title] Title from the `--title` flag.
+ * @param {string|null} [options.titlePattern] Regular expression titles must match (`titlePattern` config).
+ * @param {string} [options.language="en"] Language used for the generated title.
+ * @returns {Promise<string>} The PR title.
+ */
+export async function choosePRTitle(commitMessages, options = {}) {
+  const { title, language = "en" } = options;
+  const titlePattern = options.titlePattern ? new RegExp(options.titlePattern) : null;
+  const validate = (input) => {
+    if (input.trim().length === 0) {
+      return "PR title cannot be empty.";
+    }
+    if (titlePattern && !titlePattern.test(input.trim())) {
+      return `PR title must match ${titlePattern.source}`;
+    }
+    return true;
+  };
+
+  if (title) {
+    const valid = validate(title);
+    if (valid !== true) {
+      throw new Error(valid);
+    }
+    return title.trim();
+  }
+
+  const suggestedTitle = await generateAIPRTitle(commitMessages, {
+    language,
+    titlePattern,
+  });
+
+  const { prTitle } = await promptUser([
+    {
+      type: "input",
+      name: "prTitle",
+      flag: "--title",
+      message: "PR title (edit or press enter to accept):",
+      default: suggestedTitle,
+      validate,
+      filter: (input) => input.trim(),
+    },
+  ]);
+  return prTitle;
+}
+
+/**
+ * Summarizes commits in one sentence: how many there are and the first three subjects.
+ * @param {string[]} commits Commit subjects, optionally as "- subject" list items.
+ * @returns {string}
+ */
+function summarizeCommits(commits) {
+  const subjects = commits.map((commit) => commit.replace(/^- /, ""));
+  const rest = subjects.length - 3;
+  return `${subjects.length} change(s) in this PR: ${subjects.slice(0, 3).join(", ")}${
+    rest > 0 ? ` and ${rest} more` : ""
+  }.`;
+}
+
+/**
+ * Finds issue references: `#123` and `owner/repo#123` in commit messages, and
+ * tracker keys such as `ABC-123` in the branch name.
+ * @param {string[]} commitFullMessages
+ * @param {string} branch
+ * @returns {string[]} References in order of appearance, without duplicates.
+ */
+function findIssueReferences(commitFullMessages, branch) {
+  const references = new Set();
+  for (const message of commitFullMessages) {
+    for (const match of message.matchAll(/(?:^|[\s(\[])((?:[\w.-]+\/[\w.-]+)?#\d+)\b/g)) {
+      references.add(match[1]);
+    }
+  }
+  for (const match of branch.matchAll(/\b[A-Z][A-Z0-9]+-\d+\b/g)) {
+    references.add(match[0]);
+  }
+  return [...references];
+}
+
+/**
+ * Collects the values template placeholders can use (see renderTemplate):
+ * `summary`, `description`, `changes.<type>` (one list per commit type, plus
+ * `changes.other`), `commits`, `files_changed`, `issues`, `branch` and `author`.
+ * @param {Object} options
+ * @param {string[]} options.commitMessages Commit subjects.
+ * @param {string[]} [options.commitFullMessages] Full commit messages.
+ * @param {string} [options.devDescription=""] Developer's description of the change.
+ * @param {string[]} [options.commitHashes=[]] Hashes of the commits, newest first.
+ * @param {string|null} [options.range] The range the commits came from.
+ * @param {string|null} [options.branch] The PR branch; defaults to the current branch.
+ * @returns {Promise<Object>}
+ */
+export async function buildTemplateContext(options) {
+  const {
+    commitMessages,
+    commitFullMessages = commitMessages,
+    devDescription = "",
+    commitHashes = [],
+    range = null,
+  } = options;
+
+  const categorized = categorizeCommits(commitMessages);
+  const subjects = (items = []) => items.map((item) => item.replace(/^- /, ""));
+  const changes = { other: subjects(categorized["Other Changes"]) };
+  for (const [type, title] of Object.entries(COMMIT_TYPES)) {
+    changes[type] = subjects(categorized[title]);
+  }
+
+  const branch = options.branch || (await getCurrentBranch().catch(() => ""));
+  let filesChanged = [];
+  try {
+    filesChanged = await getChangedFiles(commitHashes, range);
+  } catch (error) {
+    console.warn(`Could not list the changed files: ${error.message}`);
+  }
+
+  return {
+    summary:
+      devDescription.trim() ||
+      (commitMessages.length > 0 ? summarizeCommits(commitMessages) : ""),
+    description: devDescription.trim(),
+    changes,
+    commits: commitMessages,
+    files_changed: filesChanged,
+    issues: findIssueReferences(commitFullMessages, branch),
+    branch,
+    author: await getUserName(),
+  };
+}
+
+/**
+ * Fills the placeholders of a template (see renderTemplate) and removes its comments.
+ * @param {string} templateContent
+ * @param {Object} options See buildTemplateContext.
+ * @returns {Promise<string|null>} The filled template, or null when the template has
+ *   no placeholders or they cannot be parsed.
+ */
+async function fillPlaceholders(templateContent, options) {
+  if (!hasPlaceholders(templateContent)) {
+    return null;
+  }
+  try {
+    return renderTemplate(templateContent, await buildTemplateContext(options))
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/[ \t]+$/gm, "")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  } catch (error) {
+    console.warn(`Could not fill the template placeholders: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Builds a PR description from commits: AI-generated when a template or extra
+ * instructions are given, falling back to the categorized commit description.
+ * Templates with placeholders are filled first; the AI then completes them when a
+ * provider is configured, otherwise the filled template is used as is.
+ * The description is printed once, as it is generated when the AI streams it.
+ * @param {Object} options
+ * @param {string[]} options.commitMessages Commit subjects.
+ * @param {string[]} [options.commitFullMessages] Full commit messages, used for the AI prompt.
+ * @param {string|null} [options.templateContent] PR template content.
+ * @param {string} [options.language="en"] Template language.
+ * @param {string} [options.devDescription=""] Developer's description of the change.
+ * @param {Array|null} [options.commitDiffs] Diffs from getCommitDiffs.
+ * @param {string|null} [options.existingPRDescription] Current PR body, for updates.
+ * @param {string} [options.additionalInstructions=""] Extra instructions for the AI.
+ * @param {string[]} [options.commitHashes] Commit hashes, for template placeholders.
+ * @param {string|null} [options.range] The commit range, for template placeholders.
+ * @param {string|null} [options.branch] The PR branch, for template placeholders.
+ * @param {string} [options.heading="Generated PR Description"] Heading printed above it.
+ * @returns {Promise<string|null>} The PR description, or null when the user stopped
+ *   the AI generation and discarded it.
+ */
+export async function describeChanges(options) {
+  const {
+    commitMessages,
+    commitFullMessages = commitMessages,
+    templateContent = null,
+    language = "en",
+    devDescription = "",
+    commitDiffs = null,
+    existingPRDescription = null,
+    additionalInstructions = "",
+    heading = "Generated PR Description",
+  } = options;
+
+  const filledTemplate = templateContent
+    ? await fillPlaceholders(templateContent, options)
+    : null;
+
+  const aiConfigured = getAIProvider().isConfigured();
+  if (filledTemplate !== null && !aiConfigured && !additionalInstructions) {
+    console.log("No AI provider is configured; using the template with its placeholders filled.");
+  }
+
+  if (
+    (templateContent && (filledTemplate === null || aiConfigured)) ||
+    additionalInstructions
+  ) {
+    const aiGeneratedContent = await generateAIContent(
+      commitFullMessages,
+      filledTemplate ?? templateContent,
+      language,
+      devDescription,
+      commitDiffs,
+      existingPRDescription,
+      additionalInstructions,
+      heading,
+      filledTemplate !== null
+    );
+    if (aiGeneratedContent === null) {
+      return null;
+    }
+    if (
+      aiGeneratedContent &&
+      !aiGeneratedContent.startsWith("<!-- Error: AI content generation failed.")
+    ) {
+      return aiGeneratedContent;
+    }
+    console.warn(
+      "No AI description was generated, falling back to categorized commit description."
+    );
+  }
+  const description =
+    filledTemplate ??
+    generatePRDescription(
+      categorizeCommits(commitMessages),
+      templateContent,
+      devDescription,
+      commitFullMessages
+    );
+  printPRDescription(description, heading);
+  return description;
+}
+
 /**
  * Generates the PR description based on categorized commits and template.
  * @param {Object.<string, string[]>} categorizedCommits Categorized commit messages.
@@ -156,12 +642,7 @@ function fillTemplate(categorizedCommits, templateContent, devDescription = "",
     return templateContent.replace(/<!--[\s\S]*?-->/g, '').replace(/\n{3,}/g, '\n\n').trim();
   }
 
-  const totalCommits = allCommits.length;
-  const summary = allCommits.slice(0, 3).map(c => c.replace(/^- /, '')).join(", ");
-  const rest = totalCommits - 3;
-  let summaryLine = `${totalCommits} change(s) in this PR: ${summary}`;
-  if (rest > 0) summaryLine += ` and ${rest} more`;
-  summaryLine += '.';
+  const summaryLine = summarizeCommits(allCommits);
 
   const items = [];
   for (const section in COMMIT_TYPES) {
@@ -276,19 +757,17 @@ function cleanTemplate(content) {
 }
 
 /**
- * Fetches the current PR description from an existing PR using GitHub CLI.
+ * Fetches the description of the open PR/MR for a branch from its forge.
  * @param {string} branchName The branch name to check for existing PR.
- * @returns {Promise<string|null>} The current PR body or null if no PR exists.
+ * @param {string} [forgeName="github"] A key of FORGES.
+ * @returns {Promise<{description: string, lastSha: string|null}|null>} The current PR
+ *   body without pr-cli's hidden markers and the newest commit it was generated from
+ *   (see markGenerated), or null if no PR exists.
  */
-export async function getExistingPRDescription(branchName) {
-  try {
-    const prBody = await executeCommand(
-      `gh pr view ${branchName} --json body --jq .body`,
-      `Fetching existing PR description for branch "${branchName}"...`,
-      false
-    );
-    return prBody || null;
-  } catch (error) {
+export async function getExistingPRDescription(branchName, forgeName = "github") {
+  const description = await getForge(forgeName).getExistingDescription(branchName);
+  if (!description) {
     return null;
   }
+  return { description: stripMarkers(description), lastSha: readLastSha(description) };
 }
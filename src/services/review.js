@@ -0,0 +1,90 @@
+import { promptUser } from "../utils/prompt.js";
+
+/**
+ * Prints a PR description between separators.
+ * @param {string} prDescription
+ * @param {string} [heading="Generated PR Description"]
+ */
+export function printPRDescription(prDescription, heading = "Generated PR Description") {
+  console.log(`\n--- ${heading} ---\n`);
+  console.log(prDescription);
+  console.log("\n--------------------------------\n");
+}
+
+/**
+ * Lets the user review the generated description before it is copied or published:
+ * accept it, edit it in `$EDITOR`, regenerate it with extra instructions, switch
+ * template, or abort. In non-interactive mode the description is accepted as-is.
+ * @param {string} prDescription The generated description.
+ * @param {Object} handlers
+ * @param {(instructions: string) => Promise<string|null>} handlers.regenerate
+ *   Regenerates (and prints) the description with additional instructions for the
+ *   AI; null keeps the current one.
+ * @param {() => Promise<string|null>} [handlers.switchTemplate]
+ *   Asks for another template (or none) and regenerates (and prints) the description
+ *   with the instructions given so far; omitted when there are no templates.
+ * @returns {Promise<string|null>} The reviewed description, or null when aborted.
+ */
+export async function reviewPRDescription(prDescription, handlers) {
+  const { regenerate, switchTemplate } = handlers;
+  let current = prDescription;
+
+  while (true) {
+    const choices = [
+      { name: "Accept", value: "accept" },
+      { name: "Edit in $EDITOR", value: "edit" },
+      { name: "Regenerate with extra instructions", value: "regenerate" },
+    ];
+    if (switchTemplate) {
+      choices.push({ name: "Switch template", value: "template" });
+    }
+    choices.push({ name: "Abort", value: "abort" });
+
+    const { action } = await promptUser([
+      {
+        type: "list",
+        name: "action",
+        message: "What do you want to do with this PR description?",
+        choices,
+        default: "accept",
+      },
+    ]);
+
+    if (action === "accept") {
+      return current;
+    }
+
+    if (action === "abort") {
+      console.log("Exiting without using the PR description.");
+      return null;
+    }
+
+    if (action === "edit") {
+      const { editedDescription } = await promptUser([
+        {
+          type: "editor",
+          name: "editedDescription",
+          message: "Edit the PR description:",
+          default: current,
+          postfix: ".md",
+        },
+      ]);
+      current = editedDescription.trim();
+      printPRDescription(current, "Updated PR Description");
+    } else if (action === "regenerate") {
+      const { instructions } = await promptUser([
+        {
+          type: "input",
+          name: "instructions",
+          message:
+            "What should change? (e.g. 'shorter summary', 'mention the migration')",
+          validate: (input) =>
+            input.trim().length > 0 || "Instructions cannot be empty.",
+        },
+      ]);
+      current = (await regenerate(instructions.trim())) || current;
+    } else if (action === "template") {
+      current = (await switchTemplate()) || current;
+    }
+  }
+}
@@ -0,0 +1,322 @@
+import path from "path";
+import {
+  countCommits,
+  getCommitHistory,
+  getCurrentBranch,
+  getDiffsForRead,
+  getLocalBranches,
+  getStackedUpstream,
+  resolveBaseRef,
+} from "../utils/git.js";
+import { promptUser } from "../utils/prompt.js";
+import { getDiffTokenBudget } from "../utils/ai.js";
+import {
+  chooseTemplate,
+  choosePRTitle,
+  describeChanges,
+  getExistingPRDescription,
+  getPRTemplates,
+  matchTemplate,
+  readTemplate,
+} from "./pr.js";
+import { markGenerated } from "../utils/sections.js";
+
+const STACK_START = "<!-- pr-cli:stack -->";
+const STACK_END = "<!-- /pr-cli:stack -->";
+
+/**
+ * Finds the branch a stacked branch was built on: the local branch among `candidates`
+ * whose tip is the nearest strict ancestor of `branch`, or `trunk` when there is none.
+ * @param {string} branch
+ * @param {string[]} candidates Branches with commits on top of the trunk.
+ * @param {string} trunk The default branch.
+ * @returns {Promise<string>}
+ */
+async function findParentBranch(branch, candidates, trunk) {
+  const ancestors = (await getLocalBranches(branch)).filter(
+    (other) => other !== branch && candidates.includes(other)
+  );
+
+  let parent = trunk;
+  let distance = Infinity;
+  for (const ancestor of ancestors) {
+    const commits = await countCommits(`${ancestor}..${branch}`);
+    if (commits > 0 && commits < distance) {
+      parent = ancestor;
+      distance = commits;
+    }
+  }
+  return parent;
+}
+
+/**
+ * Detects the stack the current branch belongs to from branch ancestry: the chain of
+ * local branches from the trunk up to the current branch, continued upwards while
+ * each branch has exactly one branch stacked on it.
+ * @param {string} trunk The branch the stack starts from, e.g. "main".
+ * @param {string} currentBranch
+ * @returns {Promise<{branch: string, base: string}[]>} Layers from the bottom of the stack up.
+ */
+export async function detectStack(trunk, currentBranch) {
+  const trunkRef = await resolveBaseRef(trunk);
+  const candidates = [];
+  for (const branch of await getLocalBranches()) {
+    if (branch !== trunk && (await countCommits(`${trunkRef}..${branch}`)) > 0) {
+      candidates.push(branch);
+    }
+  }
+  if (!candidates.includes(currentBranch)) {
+    return [];
+  }
+
+  const parents = {};
+  for (const branch of candidates) {
+    parents[branch] = await findParentBranch(branch, candidates, trunk);
+  }
+
+  const chain = [currentBranch];
+  while (parents[chain[0]] !== trunk) {
+    chain.unshift(parents[chain[0]]);
+  }
+
+  let top = currentBranch;
+  let children = candidates.filter((branch) => parents[branch] === top);
+  while (children.length === 1) {
+    top = children[0];
+    chain.push(top);
+    children = candidates.filter((branch) => parents[branch] === top);
+  }
+  if (children.length > 1) {
+    console.warn(
+      `Branch "${top}" has several branches on top of it (${children.join(", ")}); the stack stops there.`
+    );
+  }
+
+  return chain.map((branch, index) => ({
+    branch,
+    base: index === 0 ? trunk : chain[index - 1],
+  }));
+}
+
+/**
+ * Builds the "Stack" section listing every PR of the stack, bottom first, with the
+ * current one highlighted. Layers without a known URL are listed by branch name.
+ * @param {{branch: string}[]} layers
+ * @param {number} currentIndex Index of the layer the section is for.
+ * @param {(string|null)[]} [urls=[]] PR URLs by layer index.
+ * @returns {string}
+ */
+export function buildStackSection(layers, currentIndex, urls = []) {
+  const items = layers.map((layer, index) => {
+    const label = urls[index]
+      ? `[${layer.branch}](${urls[index]})`
+      : `\`${layer.branch}\``;
+    return index === currentIndex
+      ? `${index + 1}. **${label}** ← this PR`
+      : `${index + 1}. ${label}`;
+  });
+  return [
+    STACK_START,
+    "### Stack",
+    "",
+    `Based on \`${layers[0].base}\`:`,
+    "",
+    ...items,
+    STACK_END,
+  ].join("\n");
+}
+
+/**
+ * Removes a previously inserted "Stack" section from a description.
+ * @param {string} description
+ * @returns {string}
+ */
+export function removeStackSection(description) {
+  const start = description.indexOf(STACK_START);
+  const end = description.indexOf(STACK_END);
+  if (start === -1 || end === -1 || end < start) {
+    return description;
+  }
+  return (
+    description.slice(0, start) + description.slice(end + STACK_END.length)
+  ).trim();
+}
+
+/**
+ * Puts the "Stack" section at the top of a description, replacing an older one.
+ * @param {string} description
+ * @param {string} section From buildStackSection.
+ * @returns {string}
+ */
+export function insertStackSection(description, section) {
+  return `${section}\n\n${removeStackSection(description)}`;
+}
+
+/**
+ * Runs `pr-cli stack`: detects the stack, generates a description per layer from
+ * only that layer's commits, then creates or updates one PR per layer with the
+ * previous branch as its base (moving existing PRs onto it) and a "Stack" section
+ * linking the sibling PRs.
+ * @param {Object} argv Resolved command line arguments.
+ * @param {Object} forge The forge from getForge.
+ * @param {string} forgeName The forge's key, used to read existing descriptions.
+ * @param {string} baseBranch The base the stack starts from, from resolveBaseBranch.
+ */
+export async function runStackCommand(argv, forge, forgeName, baseBranch) {
+  const currentBranch = await getCurrentBranch();
+  // Without --base, a branch tracking the branch below it resolves to that branch:
+  // follow the upstreams down to the branch the whole stack is built on.
+  let trunk = baseBranch;
+  const visited = new Set([currentBranch]);
+  while (!argv.base && !visited.has(trunk)) {
+    visited.add(trunk);
+    const below = await getStackedUpstream(trunk);
+    if (!below) {
+      break;
+    }
+    trunk = below;
+  }
+  const layers = await detectStack(trunk, currentBranch);
+  if (layers.length === 0) {
+    console.log(
+      `Branch "${currentBranch}" has no commits on top of "${trunk}". Nothing to stack.`
+    );
+    return;
+  }
+  console.log(
+    `Detected stack on "${trunk}": ${layers.map((layer) => layer.branch).join(" → ")}`
+  );
+
+  const templates = await getPRTemplates();
+  let fallbackTemplate;
+  // Each layer uses the template its branch and commits match; layers without a
+  // match share the one chosen once.
+  const chooseLayerTemplate = async (layer, history, range) => {
+    if (templates.length === 0) {
+      return null;
+    }
+    if (!argv.template && templates.length > 1) {
+      const matched = await matchTemplate(templates, {
+        commitMessages: history.messages,
+        commitHashes: history.hashes,
+        range,
+        branch: layer.branch,
+        rules: argv.templateRules,
+      });
+      if (matched) {
+        console.log(
+          `Using template ${path.basename(matched.path)} for "${layer.branch}" (${matched.reason}).`
+        );
+        return readTemplate(matched.path);
+      }
+    }
+    if (fallbackTemplate === undefined) {
+      fallbackTemplate = await chooseTemplate(templates, argv.template);
+    }
+    return fallbackTemplate;
+  };
+
+  for (const layer of layers) {
+    const range = `${await resolveBaseRef(layer.base)}..${layer.branch}`;
+    const history = await getCommitHistory(null, { readDiffs: true, range });
+    const templateContent = await chooseLayerTemplate(layer, history, range);
+
+    let commitDiffs = null;
+    if (argv.read && history.hashes.length > 0) {
+      try {
+        commitDiffs = await getDiffsForRead(history.hashes, {
+          read: argv.read,
+          range,
+          exclude: argv.exclude,
+          include: argv.include,
+          budgetTokens: getDiffTokenBudget(history.fullMessages, argv),
+        });
+      } catch (error) {
+        console.warn(`Failed to fetch diffs for "${layer.branch}": ${error.message}`);
+      }
+    }
+
+    const existingPR =
+      argv.read || argv.refill
+        ? await getExistingPRDescription(layer.branch, forgeName)
+      : null;
+
+    layer.title = await choosePRTitle(history.messages, {
+      titlePattern: argv.titlePattern,
+      language: argv.language,
+    });
+    layer.description = await describeChanges({
+      commitMessages: history.messages,
+      commitFullMessages: history.fullMessages,
+      templateContent,
+      language: argv.language,
+      devDescription: argv.description || "",
+      commitDiffs,
+      commitHashes: history.hashes,
+      range,
+      branch: layer.branch,
+      existingPRDescription: existingPR
+        ? removeStackSection(existingPR.description)
+        : null,
+      heading: `${layer.title} (${layer.branch} → ${layer.base})`,
+    });
+    if (layer.description === null) {
+      console.log("Exiting without publishing the stack.");
+      return;
+    }
+    layer.lastSha = history.hashes[0] || null;
+  }
+
+  const { publishStack } = await promptUser([
+    {
+      type: "confirm",
+      name: "publishStack",
+      message: `Create or update ${layers.length} ${forge.name} ${forge.requestName}s for this stack?`,
+      default: true,
+    },
+  ]);
+  if (!publishStack) {
+    console.log("Exiting without publishing the stack.");
+    return;
+  }
+
+  const urls = [];
+  for (const [index, layer] of layers.entries()) {
+    console.log(`\n[${index + 1}/${layers.length}] ${layer.branch} → ${layer.base}`);
+    urls[index] = await forge.publish(
+      markGenerated(
+        insertStackSection(layer.description, buildStackSection(layers, index)),
+        { lastSha: layer.lastSha }
+      ),
+      layer.title,
+      layer.branch,
+      layer.base,
+      { ...argv, updateBase: true }
+    );
+  }
+
+  if (!urls.some(Boolean)) {
+    return;
+  }
+
+  console.log("\nLinking the stacked PRs...");
+  for (const [index, layer] of layers.entries()) {
+    if (!urls[index]) {
+      continue;
+    }
+    // Only the Stack section changes: the rest is the description as published
+    // above, including what the user chose to keep.
+    const published = await forge.getExistingDescription(layer.branch);
+    if (!published) {
+      console.warn(`Could not read the description of "${layer.branch}" to link the stack.`);
+      continue;
+    }
+    await forge.publish(
+      insertStackSection(published, buildStackSection(layers, index, urls)),
+      layer.title,
+      layer.branch,
+      layer.base,
+      { ...argv, self: false, acceptChanges: true }
+    );
+  }
+}
@@ -4,7 +4,8 @@ import os from "os";
 import ora from "ora";
 import inquirer from "inquirer";
 import { UPDATE_CHECK_INTERVAL } from "../constants.js";
-import { isVersionOlder, executeCommand } from "../utils/helpers.js";
+import { isDryRun, isVersionOlder, runMutatingCommand } from "../utils/helpers.js";
+import { isInteractive } from "../utils/prompt.js";
 import packageJson from "../../package.json" assert { type: "json" };
 
 const fetch = globalThis.fetch;
@@ -87,6 +88,11 @@ export async function handleUpdate(updateAvailable) {
     return;
   }
 
+  if (!isInteractive()) {
+    console.log(`Skipping update prompt in non-interactive mode. Run 'npm i -g ${PACKAGE_NAME}' to update.`);
+    return;
+  }
+
   const { confirmUpdate } = await inquirer.prompt([
     {
       type: "confirm",
@@ -96,13 +102,19 @@ export async function handleUpdate(updateAvailable) {
     },
   ]);
 
-  if (confirmUpdate) {
+  if (confirmUpdate && isDryRun()) {
+    console.log(
+      `[dry-run] Would run: npm i -g ${PACKAGE_NAME}. Continuing with the current version.`
+    );
+  } else if (confirmUpdate) {
     const updateSpinner = ora(`Updating ${PACKAGE_NAME}...`).start();
     try {
-      await executeCommand(
-        `npm i -g ${PACKAGE_NAME}`,
-        "Installing update..."
-      );
+      // npm is a batch file on Windows, which only runs through the shell.
+      const windows = process.platform === "win32";
+      await runMutatingCommand(windows ? "npm.cmd" : "npm", ["i", "-g", PACKAGE_NAME], {
+        spinnerText: "Installing update...",
+        shell: windows,
+      });
       updateSpinner.succeed(
         `${PACKAGE_NAME} updated successfully! Please restart the CLI.`
       );
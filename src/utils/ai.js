@@ -1,18 +1,219 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import ora from "ora";
 import { COMMIT_TYPES } from "../constants.js";
 import { formatDiffsForAI, extractTemplateStructure } from "../services/commit.js";
+import { createProvider, getContextWindow } from "../providers/index.js";
+import { isDryRun } from "./helpers.js";
+import { DEFAULT_DIFF_BUDGET, estimateTokens } from "./diff-budget.js";
+import { printRedactionReport, redactText } from "./redact.js";
+import { promptUser } from "./prompt.js";
+import { printPRDescription } from "../services/review.js";
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-3.5-flash";
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({
-  model: GEMINI_MODEL,
-  generationConfig: {
-    temperature: 0.2,
-    maxOutputTokens: 4096,
-  },
-});
+const GENERATION_OPTIONS = {
+  temperature: 0.2,
+  maxOutputTokens: 4096,
+};
+
+/**
+ * Tokens kept free for the instructions, template and existing description that
+ * surround the diffs in the prompt.
+ * @type {number}
+ */
+const PROMPT_OVERHEAD_TOKENS = 2000;
+
+let provider = null;
+
+/**
+ * Selects the AI provider used by all generators. Called once by the CLI with
+ * the `--provider`/`--model`/`--ai-base-url` flags; anything not given falls
+ * back to environment variables.
+ * @param {{provider?: string, model?: string, baseUrl?: string}} [options={}]
+ * @returns {import("../providers/index.js").AIProvider}
+ */
+export function configureAIProvider(options = {}) {
+  provider = createProvider(options);
+  return provider;
+}
+
+/**
+ * Returns the active AI provider, creating it from the environment on first use.
+ * @returns {import("../providers/index.js").AIProvider}
+ */
+export function getAIProvider() {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+}
+
+/**
+ * Works out how many tokens of diff fit in the prompt: the model's context window
+ * minus the room kept for the answer, the surrounding prompt and the commit
+ * messages, capped by the configured diff budget.
+ * @param {string[]} commitMessages The messages that will also be in the prompt.
+ * @param {{contextSize?: number|string|null, diffBudget?: number|string|null}} [options={}]
+ * @returns {number}
+ */
+export function getDiffTokenBudget(commitMessages, { contextSize, diffBudget } = {}) {
+  const contextWindow = getContextWindow(getAIProvider(), contextSize);
+  const available =
+    contextWindow -
+    Math.min(GENERATION_OPTIONS.maxOutputTokens, Math.floor(contextWindow / 4)) -
+    PROMPT_OVERHEAD_TOKENS -
+    estimateTokens(commitMessages.join("\n"));
+  const cap = Number(diffBudget) > 0 ? Number(diffBudget) : DEFAULT_DIFF_BUDGET;
+  return Math.max(0, Math.min(available, cap));
+}
+
+/**
+ * Describes why the active provider cannot be used, for warning messages.
+ * @param {import("../providers/index.js").AIProvider} activeProvider
+ * @returns {string}
+ */
+function describeMissingConfig(activeProvider) {
+  return activeProvider.apiKeyEnv
+    ? `${activeProvider.apiKeyEnv} is not set`
+    : `AI provider "${activeProvider.name}" is not configured`;
+}
+
+/**
+ * Masks secrets and personal data (see redactText) in commit messages and diffs,
+ * for prompts that also carry text the answer is published over, such as the
+ * existing PR description, which must reach the AI unmasked.
+ * @param {string[]} commitMessages
+ * @param {Array<{hash: string, content: string, truncated: boolean}>|null} commitDiffs
+ * @param {string|null} [filledTemplate=null] A template filled from the commits.
+ * @returns {{commitMessages: string[], commitDiffs: Array<Object>|null, filledTemplate: string|null, findings: Object.<string, number>}}
+ *   The masked texts and how many values each detector masked.
+ */
+function redactCommitText(commitMessages, commitDiffs, filledTemplate = null) {
+  const findings = {};
+  const mask = (text) => {
+    const result = redactText(text);
+    for (const [name, count] of Object.entries(result.findings)) {
+      findings[name] = (findings[name] || 0) + count;
+    }
+    return result.text;
+  };
+  return {
+    commitMessages: commitMessages.map(mask),
+    commitDiffs: commitDiffs && commitDiffs.map((diff) => ({ ...diff, content: mask(diff.content) })),
+    filledTemplate: filledTemplate && mask(filledTemplate),
+    findings,
+  };
+}
+
+/**
+ * Prepares a prompt for the provider. Secrets and personal data (see redactText) are
+ * masked first and reported. In dry-run mode the exact prompt is printed so it can be
+ * audited; the request is still made so the would-be output is real.
+ * @param {import("../providers/index.js").AIProvider} ai The active provider.
+ * @param {string} prompt The prompt text.
+ * @param {import("ora").Ora} spinner The spinner of the calling generator.
+ * @param {Object.<string, number>|null} [redacted=null] When the caller already
+ *   masked the parts of the prompt that need it (see redactCommitText), what was
+ *   masked; the prompt is then sent as is.
+ * @returns {string} The prompt to send.
+ */
+function preparePrompt(ai, prompt, spinner, redacted = null) {
+  const { text: safePrompt, findings } = redacted
+    ? { text: prompt, findings: redacted }
+    : redactText(prompt);
+  if (Object.keys(findings).length > 0) {
+    spinner.stop();
+    printRedactionReport(findings, ai.name);
+    spinner.start();
+  }
+  if (isDryRun()) {
+    spinner.stop();
+    console.log(`\n--- [dry-run] Prompt for ${ai.name} (${ai.model}) ---\n${safePrompt}\n--- [dry-run] End of prompt ---\n`);
+    spinner.start();
+  }
+  return safePrompt;
+}
+
+/**
+ * Sends a prompt to the provider (see preparePrompt) and waits for the whole answer.
+ * @param {import("../providers/index.js").AIProvider} ai The active provider.
+ * @param {string} prompt The prompt text.
+ * @param {import("ora").Ora} spinner The spinner of the calling generator.
+ * @param {Object.<string, number>|null} [redacted=null] See preparePrompt.
+ * @returns {Promise<string>} The generated text.
+ */
+async function runPrompt(ai, prompt, spinner, redacted = null) {
+  return ai.generate(preparePrompt(ai, prompt, spinner, redacted), GENERATION_OPTIONS);
+}
+
+/**
+ * Sends a prompt to the provider (see preparePrompt) and prints the answer as it is
+ * generated, framed like printPRDescription. Ctrl-C stops the generation, after
+ * which the user chooses whether to keep the partial text; non-interactive runs
+ * discard it. Providers without streaming support answer in one piece, unprinted.
+ * @param {import("../providers/index.js").AIProvider} ai The active provider.
+ * @param {string} prompt The prompt text.
+ * @param {import("ora").Ora} spinner The spinner of the calling generator.
+ * @param {string} label What is being generated, e.g. "PR description".
+ * @param {string} heading Heading printed above the text.
+ * @param {Object.<string, number>|null} [redacted=null] See preparePrompt.
+ * @returns {Promise<{text: string, cancelled: boolean, printed: boolean}>} The
+ *   generated (or kept partial) text, whether the generation was stopped and
+ *   whether the text was printed.
+ */
+async function streamPrompt(ai, prompt, spinner, label, heading, redacted = null) {
+  if (!ai.stream) {
+    const text = await runPrompt(ai, prompt, spinner, redacted);
+    return { text, cancelled: false, printed: false };
+  }
+
+  const safePrompt = preparePrompt(ai, prompt, spinner, redacted);
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  process.once("SIGINT", cancel);
+
+  let text = "";
+  try {
+    for await (const chunk of ai.stream(safePrompt, {
+      ...GENERATION_OPTIONS,
+      signal: controller.signal,
+    })) {
+      if (!text) {
+        spinner.stop();
+        console.log(`\n--- ${heading} (Ctrl-C to stop) ---\n`);
+      }
+      process.stdout.write(chunk);
+      text += chunk;
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      throw error;
+    }
+  } finally {
+    process.removeListener("SIGINT", cancel);
+  }
+  if (text) {
+    console.log("\n\n--------------------------------\n");
+  }
+  if (!controller.signal.aborted) {
+    return { text, cancelled: false, printed: Boolean(text) };
+  }
+
+  spinner.stop();
+  if (!text.trim()) {
+    return { text: "", cancelled: true, printed: false };
+  }
+  const { keep } = await promptUser([
+    {
+      type: "list",
+      name: "keep",
+      message: `Generation stopped. What should happen to the partial ${label}?`,
+      choices: [
+        { name: "Discard it", value: false },
+        { name: "Keep it", value: true },
+      ],
+      default: false,
+    },
+  ]);
+  return { text: keep ? text : "", cancelled: true, printed: keep };
+}
 
 /**
  * Heuristically infers the dominant conventional commit type from commit messages.
@@ -64,14 +265,51 @@ function suggestBranchName(commitMessages) {
 }
 
 /**
- * Generates a suggested branch type using Google Gemini, with heuristic fallback.
+ * Suggests a PR title from conventional commits when AI is unavailable.
+ * Uses the dominant commit type, the most common scope among those commits and the
+ * oldest matching commit's description, e.g. "feat(auth): add OAuth login".
+ * @param {string[]} commitMessages Commit subjects, newest first (as returned by git log).
+ * @returns {string} The suggested title.
+ */
+export function suggestPRTitle(commitMessages) {
+  if (commitMessages.length === 0) {
+    return "";
+  }
+  if (commitMessages.length === 1) {
+    return commitMessages[0];
+  }
+
+  const type = suggestBranchType(commitMessages);
+  const matching = commitMessages
+    .map((msg) => msg.match(/^(\w+)(?:\(([^)]+)\))?!?: (.+)$/))
+    .filter((match) => match && match[1] === type);
+
+  if (matching.length === 0) {
+    return commitMessages[commitMessages.length - 1];
+  }
+
+  const scopeCount = {};
+  for (const match of matching) {
+    if (match[2]) {
+      scopeCount[match[2]] = (scopeCount[match[2]] || 0) + 1;
+    }
+  }
+  const scope = Object.entries(scopeCount).sort((a, b) => b[1] - a[1])[0]?.[0];
+  const description = matching[matching.length - 1][3];
+
+  return `${type}${scope ? `(${scope})` : ""}: ${description}`;
+}
+
+/**
+ * Generates a suggested branch type using the configured AI provider, with heuristic fallback.
  * @param {string[]} commitMessages An array of raw commit messages.
  * @returns {Promise<string>} The generated branch type.
  */
 export async function generateAIBranchType(commitMessages) {
-  if (!GEMINI_API_KEY) {
+  const ai = getAIProvider();
+  if (!ai.isConfigured()) {
     console.warn(
-      "GEMINI_API_KEY is not set. Using heuristic to infer branch type."
+      `${describeMissingConfig(ai)}. Using heuristic to infer branch type.`
     );
     return suggestBranchType(commitMessages);
   }
@@ -88,9 +326,8 @@ Suggested Branch Type:
 `;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const generatedType = response.text().trim().toLowerCase();
+    const response = await runPrompt(ai, prompt, spinner);
+    const generatedType = response.trim().toLowerCase();
     if (COMMIT_TYPES[generatedType]) {
       spinner.succeed("AI branch type generated.");
       return generatedType;
@@ -107,14 +344,15 @@ Suggested Branch Type:
 }
 
 /**
- * Generates a full branch name using Google Gemini.
+ * Generates a full branch name using the configured AI provider.
  * @param {string[]} commitMessages An array of raw commit messages.
  * @returns {Promise<string>} The AI-generated full branch name.
  */
 export async function generateAIBranchName(commitMessages) {
-  if (!GEMINI_API_KEY) {
+  const ai = getAIProvider();
+  if (!ai.isConfigured()) {
     console.warn(
-      "GEMINI_API_KEY is not set. Using heuristic to generate branch name."
+      `${describeMissingConfig(ai)}. Using heuristic to generate branch name.`
     );
     return suggestBranchName(commitMessages);
   }
@@ -136,9 +374,8 @@ Generated Branch Name:
 `;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const generatedName = response.text().trim();
+    const response = await runPrompt(ai, prompt, spinner);
+    const generatedName = response.trim();
     const parts = generatedName.split("/");
     if (parts.length === 2 && COMMIT_TYPES[parts[0]]) {
       spinner.succeed("AI branch name generated.");
@@ -156,14 +393,83 @@ Generated Branch Name:
 }
 
 /**
- * Generates content using Google Gemini based on commit messages and template.
+ * Generates a PR title using the configured AI provider, with heuristic fallback.
+ * @param {string[]} commitMessages An array of raw commit messages.
+ * @param {Object} [options={}]
+ * @param {string} [options.language="en"] Language of the title description.
+ * @param {RegExp|null} [options.titlePattern=null] Pattern the title must match (semantic PR titles).
+ * @returns {Promise<string>} The generated title.
+ */
+export async function generateAIPRTitle(commitMessages, options = {}) {
+  const { language = "en", titlePattern = null } = options;
+  const fallback = suggestPRTitle(commitMessages);
+
+  const ai = getAIProvider();
+  if (!ai.isConfigured()) {
+    console.warn(
+      `${describeMissingConfig(ai)}. Using heuristic to generate PR title.`
+    );
+    return fallback;
+  }
+
+  const spinner = ora("Generating AI PR title...").start();
+  const prompt = `
+You are an expert in writing concise Pull Request titles.
+Write a single-line PR title in conventional commit format "type(scope): description" summarizing all commits below.
+
+Rules:
+1. Use a conventional commit type (e.g., "feat", "fix", "docs", "refactor", "chore", "style", "test", "perf", "ci", "build", "revert"); the scope is optional.
+2. Imperative mood, lowercase description, no trailing period, at most 72 characters.
+3. Write the description in ${language}.
+${titlePattern ? `4. The title MUST match this regular expression: ${titlePattern.source}
+` : ""}
+Return only the title. No quotes, no extra text.
+
+Commit Messages:
+${commitMessages.join("\n")}
+
+Generated PR Title:
+`;
+
+  try {
+    const response = await runPrompt(ai, prompt, spinner);
+    const generatedTitle = response
+      .trim()
+      .split("\n")[0]
+      .replace(/^["'`]+|["'`]+$/g, "")
+      .trim();
+    if (generatedTitle && (!titlePattern || titlePattern.test(generatedTitle))) {
+      spinner.succeed("AI PR title generated.");
+      return generatedTitle;
+    }
+    spinner.warn(
+      "AI generated a PR title that does not match the required pattern. Falling back to heuristic."
+    );
+    return fallback;
+  } catch (error) {
+    spinner.fail("Error generating AI PR title.");
+    console.error("Error generating AI PR title:", error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Generates content using the configured AI provider based on commit messages and
+ * template, and prints it (as it is generated when the provider streams).
  * @param {string[]} commitMessages An array of raw commit messages.
  * @param {string} templateContent The content of the chosen PR template.
  * @param {string} templateLanguage The language of the PR template.
  * @param {string} devDescription The developer's brief description.
  * @param {Array<{hash: string, content: string, truncated: boolean}>|null} commitDiffs Optional array of commit diffs.
  * @param {string|null} existingPRDescription Optional existing PR description.
- * @returns {Promise<string>} The AI-generated content for the PR description.
+ * @param {string} [additionalInstructions=""] Extra instructions from the review step.
+ * @param {string} [heading="Generated PR Description"] Heading printed above the description.
+ * @param {boolean} [templateFilled=false] Whether the template placeholders were already
+ *   filled from the commits, in which case the AI completes the whole template instead
+ *   of following its structure.
+ * @returns {Promise<string|null>} The AI-generated content for the PR description, an
+ *   empty string when nothing was generated, or null when the user stopped the
+ *   generation and discarded it.
  */
 export async function generateAIContent(
   commitMessages,
@@ -171,16 +477,25 @@ export async function generateAIContent(
   templateLanguage,
   devDescription,
   commitDiffs = null,
-  existingPRDescription = null
+  existingPRDescription = null,
+  additionalInstructions = "",
+  heading = "Generated PR Description",
+  templateFilled = false
 ) {
-  if (!GEMINI_API_KEY) {
-    console.warn("GEMINI_API_KEY is not set. Skipping AI content generation.");
+  const ai = getAIProvider();
+  if (!ai.isConfigured()) {
+    console.warn(`${describeMissingConfig(ai)}. Skipping AI content generation.`);
     return "";
   }
 
   const spinner = ora("Generating AI-enhanced PR description...").start();
 
   const isUpdate = existingPRDescription !== null;
+  const redacted = redactCommitText(
+    commitMessages,
+    commitDiffs,
+    templateFilled ? templateContent : null
+  );
 
   const prompt = `
 You are a senior Pull Request description writer. Return only the final markdown PR description. Do not wrap it in code fences.
@@ -198,7 +513,10 @@ Hard Rules:
 7. Write in ${templateLanguage}.
 8. Summary must be 1-3 sentences explaining WHAT and WHY together.
 
-${templateContent ? `Use this template structure, but OMIT any section where you have no content:
+${templateFilled ? `Complete this template. Its placeholders were already filled from the commits: keep those values, fill in the rest and OMIT any section where you have no content:
+
+${redacted.filledTemplate}
+` : templateContent ? `Use this template structure, but OMIT any section where you have no content:
 
 ${extractTemplateStructure(templateContent)}
 ` : ''}
@@ -209,21 +527,38 @@ ${existingPRDescription}
 ` : ''}
 
 Commit Messages:
-${commitMessages.join("\n")}
+${redacted.commitMessages.join("\n")}
 
-${commitDiffs ? formatDiffsForAI(commitDiffs, commitMessages) : ''}
+${redacted.commitDiffs ? formatDiffsForAI(redacted.commitDiffs, redacted.commitMessages) : ''}
 
 Developer's Description:
 ${devDescription || "No additional description provided."}
-
+${additionalInstructions ? `
+Additional Instructions from the developer:
+${additionalInstructions}
+` : ''}
 Generated PR Description:
 `;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    spinner.succeed("AI-enhanced PR description generated.");
-    let generatedText = response.text().trim();
+    const { text: response, cancelled, printed } = await streamPrompt(
+      ai,
+      prompt,
+      spinner,
+      "PR description",
+      heading,
+      redacted.findings
+    );
+    if (cancelled && !response) {
+      console.warn("AI generation cancelled; the partial PR description was discarded.");
+      return null;
+    }
+    spinner.succeed(
+      cancelled
+        ? "Kept the partial AI-enhanced PR description."
+        : "AI-enhanced PR description generated."
+    );
+    let generatedText = response.trim();
     if (
       generatedText.startsWith("```markdown") &&
       generatedText.endsWith("```")
@@ -239,6 +574,9 @@ Generated PR Description:
         .substring(3, generatedText.length - 3)
         .trim();
     }
+    if (!printed && generatedText) {
+      printPRDescription(generatedText, heading);
+    }
     return generatedText;
   } catch (error) {
     spinner.fail("Error generating AI content.");
@@ -248,9 +586,9 @@ Generated PR Description:
     if (errorMsg.includes('token') || errorMsg.includes('limit') || errorMsg.includes('too large') || errorMsg.includes('quota')) {
       console.warn("\n⚠ The error may be due to exceeding API token limits.");
       console.warn("   Suggestions:");
-      console.warn("   1. Reduce the number of commits (use fewer commits in your PR)");
-      console.warn("   2. Run without the --read flag to exclude diffs");
-      console.warn("   3. Try again with a smaller commit range\n");
+      console.warn("   1. Set `contextSize` to your model's real context window if it is smaller than assumed");
+      console.warn("   2. Lower the diff budget with --diff-budget (or the `diffBudget` config)");
+      console.warn("   3. Run without the --read flag to exclude diffs\n");
     }
     
     return "";
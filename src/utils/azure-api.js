@@ -0,0 +1,114 @@
+import { isDryRun } from "./helpers.js";
+
+const AZURE_API_VERSION = "7.1";
+
+/**
+ * Builds the Authorization header for Azure DevOps from `AZURE_DEVOPS_TOKEN`
+ * (personal access token, sent as Basic auth) or `SYSTEM_ACCESSTOKEN`
+ * (the pipeline job token, sent as Bearer).
+ * @param {Object.<string, string|undefined>} [env=process.env]
+ * @returns {string|null}
+ */
+export function getAzureAuthHeader(env = process.env) {
+  if (env.AZURE_DEVOPS_TOKEN) {
+    return `Basic ${Buffer.from(`:${env.AZURE_DEVOPS_TOKEN}`).toString("base64")}`;
+  }
+  if (env.SYSTEM_ACCESSTOKEN) {
+    return `Bearer ${env.SYSTEM_ACCESSTOKEN}`;
+  }
+  return null;
+}
+
+/**
+ * Creates a minimal Azure DevOps Git REST client for pull requests. The API URL
+ * defaults to `AZURE_DEVOPS_API_URL`, then `https://dev.azure.com/<organization>`.
+ * In dry-run mode, requests that change state are printed instead of sent and resolve to null.
+ * @param {{auth: string, organization: string, apiUrl?: string}} options
+ * @returns {Object} The client.
+ */
+export function createAzureClient({ auth, organization, apiUrl } = {}) {
+  const baseUrl = (
+    apiUrl ||
+    process.env.AZURE_DEVOPS_API_URL ||
+    `https://dev.azure.com/${encodeURIComponent(organization)}`
+  ).replace(/\/+$/, "");
+
+  /**
+   * Sends a request to the Azure DevOps API.
+   * @param {string} method HTTP method.
+   * @param {string} endpoint Path starting with "/", without `api-version`.
+   * @param {Object} [body] JSON body.
+   * @returns {Promise<Object|null>}
+   */
+  async function request(method, endpoint, body) {
+    const separator = endpoint.includes("?") ? "&" : "?";
+    const url = `${baseUrl}${endpoint}${separator}api-version=${AZURE_API_VERSION}`;
+    if (method !== "GET" && isDryRun()) {
+      console.log(`[dry-run] Would call: ${method} ${url}`);
+      return null;
+    }
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Accept: "application/json",
+        Authorization: auth,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(
+        `Azure DevOps API ${method} ${endpoint} failed with ${response.status}: ${data.message || response.statusText}`
+      );
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  const repoPath = (project, repo) =>
+    `/${encodeURIComponent(project)}/_apis/git/repositories/${encodeURIComponent(repo)}`;
+
+  return {
+    /**
+     * Finds the active PR whose source is `branch`.
+     * @returns {Promise<Object|null>} The PR or null if none is active.
+     */
+    async findPullRequest(project, repo, branch) {
+      const result = await request(
+        "GET",
+        `${repoPath(project, repo)}/pullrequests?searchCriteria.status=active&searchCriteria.sourceRefName=${encodeURIComponent(`refs/heads/${branch}`)}`
+      );
+      return result?.value?.[0] || null;
+    },
+
+    /**
+     * Creates a PR.
+     * @param {{title: string, description: string, source: string, destination: string, draft?: boolean}} pr
+     * @returns {Promise<Object|null>}
+     */
+    createPullRequest(project, repo, pr) {
+      return request("POST", `${repoPath(project, repo)}/pullrequests`, {
+        sourceRefName: `refs/heads/${pr.source}`,
+        targetRefName: `refs/heads/${pr.destination}`,
+        title: pr.title,
+        description: pr.description,
+        isDraft: Boolean(pr.draft),
+      });
+    },
+
+    /**
+     * Updates fields (description, title, ...) of an existing PR.
+     * @returns {Promise<Object|null>}
+     */
+    updatePullRequest(project, repo, pullRequestId, fields) {
+      return request(
+        "PATCH",
+        `${repoPath(project, repo)}/pullrequests/${pullRequestId}`,
+        fields
+      );
+    },
+  };
+}
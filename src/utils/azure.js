@@ -0,0 +1,268 @@
+import { isDryRun } from "./helpers.js";
+import { getRemoteUrl, parseRemoteUrl } from "./git.js";
+import { createAzureClient, getAzureAuthHeader } from "./azure-api.js";
+import {
+  ensureBranchPublished,
+  ensureSameRepository,
+  reportBaseUpdate,
+  resolveUpdatedDescription,
+  shareNewPRUrl,
+  shouldUpdateBase,
+  writePRBodyFile,
+} from "./publish.js";
+import { truncateDescription } from "./sections.js";
+
+/**
+ * Azure DevOps rejects PR descriptions longer than this many characters.
+ * @type {number}
+ */
+const AZURE_DESCRIPTION_LIMIT = 4000;
+
+/**
+ * Parses an Azure Repos remote URL in any of its forms:
+ * `https://[org@]dev.azure.com/org/project/_git/repo`,
+ * `git@ssh.dev.azure.com:v3/org/project/repo`,
+ * `https://org.visualstudio.com/[DefaultCollection/]project/_git/repo` and
+ * `org@vs-ssh.visualstudio.com:v3/org/project/repo`.
+ * @param {string} repoUrl The remote URL (HTTPS or SSH).
+ * @returns {{organization: string, project: string, repo: string}|null}
+ */
+export function parseAzureRepoUrl(repoUrl) {
+  const remote = parseRemoteUrl(repoUrl);
+  if (!remote) {
+    return null;
+  }
+
+  const parts = remote.path.split("/").map((part) => decodeURIComponent(part));
+  const build = (organization, project, repo) =>
+    organization && project && repo ? { organization, project, repo } : null;
+
+  if (parts[0] === "v3" && parts.length === 4) {
+    return build(parts[1], parts[2], parts[3]);
+  }
+
+  const gitIndex = parts.indexOf("_git");
+  if (gitIndex < 1 || gitIndex !== parts.length - 2) {
+    return null;
+  }
+  const repo = parts[gitIndex + 1];
+  const project = parts[gitIndex - 1];
+
+  if (remote.host === "dev.azure.com") {
+    return build(parts[0], project, repo);
+  }
+  if (remote.host.endsWith(".visualstudio.com")) {
+    return build(remote.host.split(".")[0], project, repo);
+  }
+  return null;
+}
+
+/**
+ * Reads the `origin` remote and parses it as an Azure Repos repository.
+ * @returns {Promise<{organization: string, project: string, repo: string}|null>}
+ */
+export async function getAzureRepoInfo() {
+  try {
+    return parseAzureRepoUrl(await getRemoteUrl());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the web URL of a repository page.
+ * @param {{organization: string, project: string, repo: string}} repoInfo
+ * @returns {string}
+ */
+function getRepoWebUrl({ organization, project, repo }) {
+  return `https://dev.azure.com/${encodeURIComponent(organization)}/${encodeURIComponent(project)}/_git/${encodeURIComponent(repo)}`;
+}
+
+/**
+ * Opens a new Azure Repos Pull Request page. The URL cannot carry a title or
+ * description, so the full description is copied to the clipboard.
+ * @param {string} prDescription The generated PR description.
+ * @param {string} prTitle The PR title (not supported by the Azure URL).
+ * @param {string} repoUrl The Azure Repos remote URL.
+ * @param {string} currentBranch The source branch.
+ * @param {string} baseBranch The target branch.
+ */
+export async function openAzurePRInBrowser(
+  prDescription,
+  prTitle,
+  repoUrl,
+  currentBranch,
+  baseBranch
+) {
+  const repoInfo = parseAzureRepoUrl(repoUrl);
+  if (!repoInfo) {
+    console.error("Could not parse Azure DevOps repository URL:", repoUrl);
+    return;
+  }
+  if (!(await ensureSameRepository(currentBranch, { forgeName: "Azure DevOps" }))) {
+    return;
+  }
+
+  const params = new URLSearchParams({
+    sourceRef: currentBranch,
+    targetRef: baseBranch,
+  });
+  const azurePRUrl = `${getRepoWebUrl(repoInfo)}/pullrequestcreate?${params}`;
+
+  await shareNewPRUrl(azurePRUrl, prDescription, { forgeName: "Azure DevOps" });
+}
+
+/**
+ * Fetches the description of the active PR for a branch.
+ * @param {string} branchName The source branch.
+ * @returns {Promise<string|null>} The PR description or null if there is none.
+ */
+export async function getAzurePRDescription(branchName) {
+  const auth = getAzureAuthHeader();
+  const repoInfo = await getAzureRepoInfo();
+  if (!auth || !repoInfo) {
+    return null;
+  }
+  try {
+    const pr = await createAzureClient({
+      auth,
+      organization: repoInfo.organization,
+    }).findPullRequest(repoInfo.project, repoInfo.repo, branchName);
+    return pr?.description || null;
+  } catch (error) {
+    console.warn(`Could not fetch existing PR description: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Truncates a description to the Azure DevOps limit, keeping its pr-cli markers
+ * (see truncateDescription), and warns when it does.
+ * @param {string} prDescription
+ * @returns {string}
+ */
+function fitDescription(prDescription) {
+  if (prDescription.length <= AZURE_DESCRIPTION_LIMIT) {
+    return prDescription;
+  }
+  console.warn(
+    `PR description is ${prDescription.length} characters; Azure DevOps allows ${AZURE_DESCRIPTION_LIMIT}, so it was truncated.`
+  );
+  return truncateDescription(prDescription, AZURE_DESCRIPTION_LIMIT);
+}
+
+/**
+ * Creates an Azure Repos Pull Request (or updates the existing one) through the REST API.
+ * Azure PRs have reviewers but no assignee, so `--self` is ignored.
+ * @param {string} prDescription The generated PR description.
+ * @param {string} prTitle The PR title.
+ * @param {string} currentBranch The source branch.
+ * @param {string} baseBranch The target branch.
+ * @param {Object} argv Command line arguments.
+ * @returns {Promise<string|null>} The PR URL, or null when nothing was created or updated.
+ */
+export async function createAzurePR(
+  prDescription,
+  prTitle,
+  currentBranch,
+  baseBranch,
+  argv
+) {
+  const auth = getAzureAuthHeader();
+  if (!auth) {
+    console.error(
+      "AZURE_DEVOPS_TOKEN is not set. Create a personal access token with the Code (Read & write) scope to create pull requests."
+    );
+    return null;
+  }
+
+  if (!(await ensureSameRepository(currentBranch, { forgeName: "Azure DevOps" }))) {
+    return null;
+  }
+
+  try {
+    const repoInfo = await getAzureRepoInfo();
+    if (!repoInfo) {
+      console.error("Could not determine the Azure DevOps repository from the origin remote.");
+      return null;
+    }
+    const { project, repo } = repoInfo;
+    const client = createAzureClient({
+      auth,
+      organization: repoInfo.organization,
+    });
+    const existingPr = await client.findPullRequest(project, repo, currentBranch);
+    if (existingPr) {
+      console.log(
+        `A pull request for branch "${currentBranch}" already exists: ${getRepoWebUrl(repoInfo)}/pullrequest/${existingPr.pullRequestId}`
+      );
+
+      const updatedDescription = await resolveUpdatedDescription(
+        existingPr.description,
+        prDescription,
+        argv
+      );
+      const currentBase = existingPr.targetRefName?.replace(/^refs\/heads\//, "");
+      const updateBase = shouldUpdateBase(argv, currentBase, baseBranch);
+      if (updatedDescription === null && !updateBase) {
+        console.log("Keeping the current PR description. Exiting.");
+        return null;
+      }
+
+      const description =
+        updatedDescription !== null ? fitDescription(updatedDescription) : null;
+      if (isDryRun() && description !== null) {
+        await writePRBodyFile(description);
+      }
+      await client.updatePullRequest(project, repo, existingPr.pullRequestId, {
+        ...(description !== null ? { description } : {}),
+        ...(updateBase ? { targetRefName: `refs/heads/${baseBranch}` } : {}),
+      });
+      if (updateBase) {
+        reportBaseUpdate(currentBase, baseBranch);
+      }
+      if (description !== null) {
+        console.log(
+          isDryRun()
+            ? "[dry-run] Pull Request description was not updated."
+            : "Pull Request description updated successfully."
+        );
+      }
+      return `${getRepoWebUrl(repoInfo)}/pullrequest/${existingPr.pullRequestId}`;
+    }
+
+    if (!(await ensureBranchPublished(currentBranch))) {
+      return null;
+    }
+
+    if (argv.self) {
+      console.warn("Azure DevOps pull requests have no assignee; ignoring --self.");
+    }
+
+    const description = fitDescription(prDescription);
+    if (isDryRun()) {
+      await writePRBodyFile(description);
+    }
+    const pr = await client.createPullRequest(project, repo, {
+      title: prTitle,
+      description,
+      source: currentBranch,
+      destination: baseBranch,
+      draft: argv.draft,
+    });
+    if (!pr) {
+      console.log("[dry-run] Pull Request was not created.");
+      return null;
+    }
+
+    const prUrl = `${getRepoWebUrl(repoInfo)}/pullrequest/${pr.pullRequestId}`;
+    console.log(`Pull Request created successfully: ${prUrl}`);
+    return prUrl;
+  } catch (error) {
+    console.error("Failed to create PR using the Azure DevOps API:", error.message);
+    console.log(
+      "Please ensure AZURE_DEVOPS_TOKEN has the Code (Read & write) scope for the project."
+    );
+    return null;
+  }
+}
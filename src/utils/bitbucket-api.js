@@ -0,0 +1,157 @@
+import { isDryRun } from "./helpers.js";
+
+export const BITBUCKET_CLOUD_API_URL = "https://api.bitbucket.org/2.0";
+
+/**
+ * Builds the Authorization header for Bitbucket from `BITBUCKET_TOKEN` (access token,
+ * sent as Bearer) or `BITBUCKET_USERNAME` + `BITBUCKET_APP_PASSWORD` (Basic auth).
+ * @param {Object.<string, string|undefined>} [env=process.env]
+ * @returns {string|null}
+ */
+export function getBitbucketAuthHeader(env = process.env) {
+  if (env.BITBUCKET_TOKEN) {
+    return `Bearer ${env.BITBUCKET_TOKEN}`;
+  }
+  if (env.BITBUCKET_USERNAME && env.BITBUCKET_APP_PASSWORD) {
+    const credentials = Buffer.from(
+      `${env.BITBUCKET_USERNAME}:${env.BITBUCKET_APP_PASSWORD}`
+    ).toString("base64");
+    return `Basic ${credentials}`;
+  }
+  return null;
+}
+
+/**
+ * Creates a minimal Bitbucket REST client for pull requests. Bitbucket Cloud uses the
+ * 2.0 API on api.bitbucket.org; Bitbucket Server/Data Center uses `/rest/api/1.0` on
+ * its own host. `BITBUCKET_API_URL` overrides either. Both variants expose the same methods.
+ * In dry-run mode, requests that change state are printed instead of sent and resolve to null.
+ * @param {{auth: string, cloud: boolean, baseUrl: string, apiUrl?: string}} options
+ *   `baseUrl` is the web URL of the server (ignored for Cloud).
+ * @returns {Object} The client.
+ */
+export function createBitbucketClient({ auth, cloud, baseUrl, apiUrl } = {}) {
+  const apiBaseUrl = (
+    apiUrl ||
+    process.env.BITBUCKET_API_URL ||
+    (cloud ? BITBUCKET_CLOUD_API_URL : `${baseUrl}/rest/api/1.0`)
+  ).replace(/\/+$/, "");
+
+  /**
+   * Sends a request to the Bitbucket API.
+   * @param {string} method HTTP method.
+   * @param {string} endpoint Path starting with "/".
+   * @param {Object} [body] JSON body.
+   * @returns {Promise<Object|null>}
+   */
+  async function request(method, endpoint, body) {
+    if (method !== "GET" && isDryRun()) {
+      console.log(`[dry-run] Would call: ${method} ${apiBaseUrl}${endpoint}`);
+      return null;
+    }
+
+    const response = await fetch(`${apiBaseUrl}${endpoint}`, {
+      method,
+      headers: {
+        Accept: "application/json",
+        Authorization: auth,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const message =
+        data.error?.message || data.errors?.[0]?.message || response.statusText;
+      throw new Error(
+        `Bitbucket API ${method} ${endpoint} failed with ${response.status}: ${message}`
+      );
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  const repoPath = (owner, repo) =>
+    cloud
+      ? `/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`
+      : `/projects/${encodeURIComponent(owner)}/repos/${encodeURIComponent(repo)}`;
+
+  return {
+    /**
+     * Finds the open PR whose source is `branch`.
+     * @param {string} owner Workspace (Cloud) or project key (Server).
+     * @returns {Promise<Object|null>} The PR or null if none is open.
+     */
+    async findPullRequest(owner, repo, branch) {
+      if (cloud) {
+        const query = encodeURIComponent(
+          `source.branch.name="${branch}" AND state="OPEN"`
+        );
+        const page = await request(
+          "GET",
+          `${repoPath(owner, repo)}/pullrequests?q=${query}`
+        );
+        return page?.values?.[0] || null;
+      }
+      const page = await request(
+        "GET",
+        `${repoPath(owner, repo)}/pull-requests?state=OPEN&direction=OUTGOING&at=${encodeURIComponent(`refs/heads/${branch}`)}`
+      );
+      return page?.values?.[0] || null;
+    },
+
+    /**
+     * Creates a PR.
+     * @param {{title: string, description: string, source: string, destination: string, draft?: boolean}} pr
+     * @returns {Promise<Object|null>}
+     */
+    createPullRequest(owner, repo, pr) {
+      const { title, description, source, destination, draft = false } = pr;
+      const body = cloud
+        ? {
+            title,
+            description,
+            draft,
+            source: { branch: { name: source } },
+            destination: { branch: { name: destination } },
+          }
+        : {
+            title,
+            description,
+            draft,
+            fromRef: { id: `refs/heads/${source}` },
+            toRef: { id: `refs/heads/${destination}` },
+          };
+      return request(
+        "POST",
+        `${repoPath(owner, repo)}/${cloud ? "pullrequests" : "pull-requests"}`,
+        body
+      );
+    },
+
+    /**
+     * Updates fields (description, title, ...) of an existing PR. Bitbucket Server
+     * requires the PR's current `version`, so the PR object is passed instead of its id.
+     * A `destination` branch name is sent in the shape each variant expects.
+     * @param {Object} pr The PR returned by findPullRequest.
+     * @param {{description?: string, title?: string, destination?: string}} fields
+     * @returns {Promise<Object|null>}
+     */
+    updatePullRequest(owner, repo, pr, fields) {
+      const { destination, ...rest } = fields;
+      return cloud
+        ? request("PUT", `${repoPath(owner, repo)}/pullrequests/${pr.id}`, {
+            title: pr.title,
+            ...rest,
+            ...(destination ? { destination: { branch: { name: destination } } } : {}),
+          })
+        : request("PUT", `${repoPath(owner, repo)}/pull-requests/${pr.id}`, {
+            version: pr.version,
+            title: pr.title,
+            ...rest,
+            ...(destination ? { toRef: { id: `refs/heads/${destination}` } } : {}),
+          });
+    },
+  };
+}
@@ -0,0 +1,247 @@
+import { isDryRun } from "./helpers.js";
+import { getRemoteUrl, parseRemoteUrl } from "./git.js";
+import { createBitbucketClient, getBitbucketAuthHeader } from "./bitbucket-api.js";
+import {
+  ensureBranchPublished,
+  ensureSameRepository,
+  reportBaseUpdate,
+  resolveUpdatedDescription,
+  shareNewPRUrl,
+  shouldUpdateBase,
+  writePRBodyFile,
+} from "./publish.js";
+
+/**
+ * Parses a Bitbucket remote URL. `bitbucket.org` remotes are Bitbucket Cloud
+ * (`workspace/repo`); any other host is treated as Bitbucket Server/Data Center,
+ * whose HTTP clone URLs look like `https://host[/context]/scm/PROJECT/repo.git`
+ * and SSH URLs like `ssh://git@host:7999/PROJECT/repo.git`.
+ * @param {string} repoUrl The remote URL (HTTPS or SSH).
+ * @returns {{host: string, cloud: boolean, baseUrl: string, owner: string, repo: string}|null}
+ *   `owner` is the workspace (Cloud) or project key (Server); `baseUrl` is the web root.
+ */
+export function parseBitbucketRepoUrl(repoUrl) {
+  const remote = parseRemoteUrl(repoUrl);
+  if (!remote) {
+    return null;
+  }
+
+  let parts = remote.path.split("/");
+  let contextPath = "";
+  const scmIndex = parts.indexOf("scm");
+  if (scmIndex >= 0) {
+    contextPath = parts.slice(0, scmIndex).map((part) => `/${part}`).join("");
+    parts = parts.slice(scmIndex + 1);
+  }
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const cloud = remote.host === "bitbucket.org";
+  return {
+    host: remote.host,
+    cloud,
+    baseUrl: cloud
+      ? "https://bitbucket.org"
+      : `https://${remote.host}${contextPath}`,
+    owner: decodeURIComponent(parts[0]),
+    repo: decodeURIComponent(parts[1]),
+  };
+}
+
+/**
+ * Reads the `origin` remote and parses it as a Bitbucket repository.
+ * @returns {Promise<Object|null>} See parseBitbucketRepoUrl.
+ */
+export async function getBitbucketRepoInfo() {
+  try {
+    return parseBitbucketRepoUrl(await getRemoteUrl());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the web URL of a PR returned by either Bitbucket API.
+ * @param {Object} pr
+ * @returns {string}
+ */
+function getPullRequestUrl(pr) {
+  return pr.links?.html?.href || pr.links?.self?.[0]?.href || `#${pr.id}`;
+}
+
+/**
+ * Opens a new Bitbucket Pull Request page. Bitbucket does not accept a title or
+ * description in the URL, so the full description is copied to the clipboard.
+ * @param {string} prDescription The generated PR description.
+ * @param {string} prTitle The PR title (not supported by the Bitbucket URL).
+ * @param {string} repoUrl The Bitbucket remote URL.
+ * @param {string} currentBranch The source branch.
+ * @param {string} baseBranch The destination branch.
+ */
+export async function openBitbucketPRInBrowser(
+  prDescription,
+  prTitle,
+  repoUrl,
+  currentBranch,
+  baseBranch
+) {
+  const repoInfo = parseBitbucketRepoUrl(repoUrl);
+  if (!repoInfo) {
+    console.error("Could not parse Bitbucket repository URL:", repoUrl);
+    return;
+  }
+  if (!(await ensureSameRepository(currentBranch, { forgeName: "Bitbucket" }))) {
+    return;
+  }
+
+  const { baseUrl, owner, repo } = repoInfo;
+  const bitbucketPRUrl = repoInfo.cloud
+    ? `${baseUrl}/${owner}/${repo}/pull-requests/new?${new URLSearchParams({
+        source: currentBranch,
+        dest: baseBranch,
+      })}`
+    : `${baseUrl}/projects/${owner}/repos/${repo}/pull-requests?create&${new URLSearchParams(
+        {
+          sourceBranch: `refs/heads/${currentBranch}`,
+          targetBranch: `refs/heads/${baseBranch}`,
+        }
+      )}`;
+
+  await shareNewPRUrl(bitbucketPRUrl, prDescription, { forgeName: "Bitbucket" });
+}
+
+/**
+ * Fetches the description of the open PR for a branch.
+ * @param {string} branchName The source branch.
+ * @returns {Promise<string|null>} The PR description or null if there is none.
+ */
+export async function getBitbucketPRDescription(branchName) {
+  const auth = getBitbucketAuthHeader();
+  const repoInfo = await getBitbucketRepoInfo();
+  if (!auth || !repoInfo) {
+    return null;
+  }
+  try {
+    const pr = await createBitbucketClient({ auth, ...repoInfo }).findPullRequest(
+      repoInfo.owner,
+      repoInfo.repo,
+      branchName
+    );
+    return pr?.description || null;
+  } catch (error) {
+    console.warn(`Could not fetch existing PR description: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Creates a Bitbucket Pull Request (or updates the existing one) through the REST API.
+ * Bitbucket PRs have reviewers but no assignee, so `--self` is ignored.
+ * @param {string} prDescription The generated PR description.
+ * @param {string} prTitle The PR title.
+ * @param {string} currentBranch The source branch.
+ * @param {string} baseBranch The destination branch.
+ * @param {Object} argv Command line arguments.
+ * @returns {Promise<string|null>} The PR URL, or null when nothing was created or updated.
+ */
+export async function createBitbucketPR(
+  prDescription,
+  prTitle,
+  currentBranch,
+  baseBranch,
+  argv
+) {
+  const auth = getBitbucketAuthHeader();
+  if (!auth) {
+    console.error(
+      "Bitbucket credentials are not set. Set BITBUCKET_TOKEN, or BITBUCKET_USERNAME and BITBUCKET_APP_PASSWORD."
+    );
+    return null;
+  }
+
+  if (!(await ensureSameRepository(currentBranch, { forgeName: "Bitbucket" }))) {
+    return null;
+  }
+
+  try {
+    const repoInfo = await getBitbucketRepoInfo();
+    if (!repoInfo) {
+      console.error("Could not determine the Bitbucket repository from the origin remote.");
+      return null;
+    }
+    const { owner, repo } = repoInfo;
+    const client = createBitbucketClient({ auth, ...repoInfo });
+
+    const existingPr = await client.findPullRequest(owner, repo, currentBranch);
+    if (existingPr) {
+      console.log(
+        `A pull request for branch "${currentBranch}" already exists: ${getPullRequestUrl(existingPr)}`
+      );
+
+      const updatedDescription = await resolveUpdatedDescription(
+        existingPr.description,
+        prDescription,
+        argv
+      );
+      const currentBase =
+        existingPr.destination?.branch?.name || existingPr.toRef?.displayId;
+      const updateBase = shouldUpdateBase(argv, currentBase, baseBranch);
+      if (updatedDescription === null && !updateBase) {
+        console.log("Keeping the current PR description. Exiting.");
+        return null;
+      }
+
+      if (isDryRun() && updatedDescription !== null) {
+        await writePRBodyFile(updatedDescription);
+      }
+      await client.updatePullRequest(owner, repo, existingPr, {
+        ...(updatedDescription !== null ? { description: updatedDescription } : {}),
+        ...(updateBase ? { destination: baseBranch } : {}),
+      });
+      if (updateBase) {
+        reportBaseUpdate(currentBase, baseBranch);
+      }
+      if (updatedDescription !== null) {
+        console.log(
+          isDryRun()
+            ? "[dry-run] Pull Request description was not updated."
+            : "Pull Request description updated successfully."
+        );
+      }
+      return getPullRequestUrl(existingPr);
+    }
+
+    if (!(await ensureBranchPublished(currentBranch))) {
+      return null;
+    }
+
+    if (argv.self) {
+      console.warn("Bitbucket pull requests have no assignee; ignoring --self.");
+    }
+
+    if (isDryRun()) {
+      await writePRBodyFile(prDescription);
+    }
+    const pr = await client.createPullRequest(owner, repo, {
+      title: prTitle,
+      description: prDescription,
+      source: currentBranch,
+      destination: baseBranch,
+      draft: Boolean(argv.draft),
+    });
+    if (!pr) {
+      console.log("[dry-run] Pull Request was not created.");
+      return null;
+    }
+
+    console.log(`Pull Request created successfully: ${getPullRequestUrl(pr)}`);
+    return getPullRequestUrl(pr);
+  } catch (error) {
+    console.error("Failed to create PR using the Bitbucket API:", error.message);
+    console.log(
+      "Please ensure the Bitbucket credentials have pull request write access to the repository."
+    );
+    return null;
+  }
+}
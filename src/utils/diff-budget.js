@@ -0,0 +1,318 @@
+/**
+ * Default cap on the tokens spent on diffs, even for models with huge context
+ * windows: past this point more diff rarely makes a better description.
+ * @type {number}
+ */
+export const DEFAULT_DIFF_BUDGET = 32000;
+
+/**
+ * File priorities used when packing diffs. Low-priority files are only ever listed
+ * with their line counts; their hunks are never sent.
+ */
+export const PRIORITY = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+
+const LOW_PRIORITY_PATTERNS = [
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb?|Cargo\.lock|Gemfile\.lock|poetry\.lock|Pipfile\.lock|composer\.lock|go\.sum|flake\.lock|uv\.lock)$/,
+  /\.min\.(js|css)$/,
+  /\.map$/,
+  /\.snap$/,
+  /(^|\/)(dist|build|vendor|node_modules|__generated__)\//,
+  /\.generated\.|_pb2\.py$|\.pb\.go$/,
+];
+
+const MEDIUM_PRIORITY_PATTERNS = [
+  /(^|\/)(tests?|__tests__|spec|docs?)\//,
+  /\.(test|spec)\.[^/]+$/,
+  /\.(md|mdx|rst|txt)$/,
+  /\.(json|ya?ml|toml|ini|cfg|lock)$/,
+  /(^|\/)\.[^/]+$/,
+];
+
+/**
+ * Roughly estimates how many tokens a text costs. Tokenizers differ per model;
+ * four characters per token is close enough for budgeting.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Ranks a changed file by how much it tells about the change: source code first,
+ * then tests, docs and config, and lockfiles, generated or minified files last.
+ * @param {string} filePath
+ * @returns {number} A PRIORITY value.
+ */
+export function getFilePriority(filePath) {
+  if (LOW_PRIORITY_PATTERNS.some((pattern) => pattern.test(filePath))) {
+    return PRIORITY.LOW;
+  }
+  if (MEDIUM_PRIORITY_PATTERNS.some((pattern) => pattern.test(filePath))) {
+    return PRIORITY.MEDIUM;
+  }
+  return PRIORITY.HIGH;
+}
+
+/**
+ * Splits `git show`/`git diff` output into files and hunks.
+ * @param {string} diffContent
+ * @returns {Array<{path: string, header: string, hunks: string[], added: number, removed: number, binary: boolean}>}
+ *   Empty when the content is not a diff (e.g. a placeholder for a skipped commit).
+ */
+export function parseDiffFiles(diffContent) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  for (const line of diffContent.split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      const match = line.match(/ b\/(.+)$/);
+      file = {
+        path: match ? match[1] : line.slice("diff --git ".length),
+        headerLines: [line],
+        hunks: [],
+        added: 0,
+        removed: 0,
+        binary: false,
+      };
+      hunk = null;
+      files.push(file);
+      continue;
+    }
+    if (!file) {
+      continue;
+    }
+    if (line.startsWith("@@")) {
+      hunk = [line];
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) {
+      if (line.startsWith("Binary files")) {
+        file.binary = true;
+      }
+      file.headerLines.push(line);
+      continue;
+    }
+    if (line.startsWith("+")) {
+      file.added++;
+    } else if (line.startsWith("-")) {
+      file.removed++;
+    }
+    hunk.push(line);
+  }
+
+  return files.map(({ headerLines, hunks, ...rest }) => ({
+    ...rest,
+    header: headerLines.join("\n").trimEnd(),
+    hunks: hunks.map((lines) => lines.join("\n").trimEnd()),
+  }));
+}
+
+/**
+ * Builds the one-line summary that stands in for a file whose hunks were left out.
+ * Files without hunks (renames, mode changes) keep their short header instead.
+ * @param {{path: string, header: string, hunks: string[], added: number, removed: number, binary: boolean}} file
+ * @returns {string}
+ */
+function summarizeFile(file) {
+  if (file.binary) {
+    return `[binary] ${file.path}`;
+  }
+  return file.hunks.length === 0
+    ? file.header
+    : `[summarized] ${file.path} (+${file.added} -${file.removed})`;
+}
+
+/**
+ * Smallest amount of leftover budget worth spending on the head of a hunk that
+ * does not fit whole.
+ * @type {number}
+ */
+const MIN_PARTIAL_HUNK_TOKENS = 100;
+
+/**
+ * Cuts a hunk down to the lines that fit in a number of tokens.
+ * @param {string} hunk
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+function cutHunk(hunk, maxTokens) {
+  const lines = hunk.split("\n");
+  const kept = [];
+  let tokens = 0;
+  for (const line of lines) {
+    tokens += estimateTokens(`${line}\n`);
+    if (tokens > maxTokens) {
+      break;
+    }
+    kept.push(line);
+  }
+  return [...kept, `[... ${lines.length - kept.length} more lines of this hunk omitted]`].join("\n");
+}
+
+/**
+ * Counts the added and removed lines of a hunk.
+ * @param {string} hunk
+ * @returns {number}
+ */
+function countChangedLines(hunk) {
+  return hunk
+    .split("\n")
+    .slice(1)
+    .filter((line) => line.startsWith("+") || line.startsWith("-")).length;
+}
+
+/**
+ * Packs commit diffs into a token budget. Every changed file is first listed with
+ * its line counts; hunks then replace those summaries greedily, source files before
+ * tests/docs/config, and denser hunks (more changed lines per token) first. Leftover
+ * budget goes to the head of hunks too big to fit whole. Lockfiles and generated
+ * files stay summarized. When even the summaries do not fit, the lowest-priority
+ * ones are dropped.
+ * @param {Array<{hash: string, content: string, truncated: boolean, error: string|null}>} diffs
+ * @param {number} budgetTokens
+ * @returns {{diffs: Array<{hash: string, content: string, truncated: boolean, error: string|null}>, report: {budgetTokens: number, usedTokens: number, totalTokens: number, droppedHunks: number, summarizedFiles: string[], hiddenFiles: number}}}
+ */
+export function packDiffs(diffs, budgetTokens) {
+  const commits = diffs.map((diff) => ({
+    diff,
+    files: diff.error ? [] : parseDiffFiles(diff.content),
+  }));
+
+  const files = [];
+  let totalTokens = 0;
+  let usedTokens = 0;
+  for (const commit of commits) {
+    if (commit.files.length === 0) {
+      usedTokens += estimateTokens(commit.diff.content);
+      totalTokens += estimateTokens(commit.diff.content);
+      continue;
+    }
+    for (const file of commit.files) {
+      file.priority = file.binary ? PRIORITY.LOW : getFilePriority(file.path);
+      file.summaryTokens = estimateTokens(summarizeFile(file));
+      file.headerTokens = estimateTokens(file.header);
+      file.included = [];
+      totalTokens += estimateTokens([file.header, ...file.hunks].join("\n"));
+      files.push(file);
+    }
+  }
+
+  for (const file of [...files].sort((a, b) => b.priority - a.priority)) {
+    file.hidden = usedTokens + file.summaryTokens > budgetTokens;
+    if (!file.hidden) {
+      usedTokens += file.summaryTokens;
+    }
+  }
+
+  const candidates = [];
+  for (const file of files) {
+    if (file.hidden || file.priority === PRIORITY.LOW) {
+      continue;
+    }
+    file.hunks.forEach((hunk, index) => {
+      const tokens = estimateTokens(hunk);
+      candidates.push({
+        file,
+        index,
+        tokens,
+        density: countChangedLines(hunk) / Math.max(tokens, 1),
+      });
+    });
+  }
+  candidates.sort(
+    (a, b) => b.file.priority - a.file.priority || b.density - a.density
+  );
+
+  for (const candidate of candidates) {
+    const { file } = candidate;
+    const cost =
+      candidate.tokens +
+      (file.included.length === 0 ? file.headerTokens - file.summaryTokens : 0);
+    if (usedTokens + cost <= budgetTokens) {
+      file.included.push(candidate.index);
+      usedTokens += cost;
+    }
+  }
+
+  for (const candidate of candidates) {
+    const { file } = candidate;
+    if (file.included.includes(candidate.index)) {
+      continue;
+    }
+    const overhead =
+      file.included.length === 0 ? file.headerTokens - file.summaryTokens : 0;
+    // Leave room for the "lines omitted" marker cutHunk appends.
+    const room = budgetTokens - usedTokens - overhead - 20;
+    if (room < MIN_PARTIAL_HUNK_TOKENS) {
+      continue;
+    }
+    file.hunks[candidate.index] = cutHunk(file.hunks[candidate.index], room);
+    file.included.push(candidate.index);
+    file.partial = true;
+    usedTokens += overhead + estimateTokens(file.hunks[candidate.index]);
+  }
+
+  let droppedHunks = 0;
+  let hiddenFiles = 0;
+  const summarizedFiles = [];
+  const packed = commits.map(({ diff, files: commitFiles }) => {
+    if (commitFiles.length === 0) {
+      return diff;
+    }
+
+    const parts = [];
+    let hidden = 0;
+    for (const file of commitFiles) {
+      droppedHunks += file.hunks.length - file.included.length;
+      if (file.hidden) {
+        hidden++;
+        continue;
+      }
+      if (file.included.length === 0) {
+        parts.push(summarizeFile(file));
+        if (file.hunks.length > 0) {
+          summarizedFiles.push(file.path);
+        }
+        continue;
+      }
+      const omitted = file.hunks.length - file.included.length;
+      parts.push(
+        file.header,
+        ...file.hunks.filter((hunk, index) => file.included.includes(index)),
+        ...(omitted > 0
+          ? [`[... ${omitted} of ${file.hunks.length} hunks omitted]`]
+          : [])
+      );
+    }
+    if (hidden > 0) {
+      parts.push(`[... ${hidden} more file(s) changed]`);
+      hiddenFiles += hidden;
+    }
+
+    return {
+      ...diff,
+      content: parts.join("\n"),
+      truncated:
+        diff.truncated ||
+        commitFiles.some(
+          (file) =>
+            file.hidden || file.partial || file.included.length < file.hunks.length
+        ),
+    };
+  });
+
+  return {
+    diffs: packed,
+    report: {
+      budgetTokens,
+      usedTokens,
+      totalTokens,
+      droppedHunks,
+      summarizedFiles,
+      hiddenFiles,
+    },
+  };
+}
@@ -1,59 +1,7 @@
 import ora from "ora";
-import { executeCommand, isValidCommitHash } from "./helpers.js";
-
-/**
- * Truncates a diff to a maximum size while preserving structure.
- * @param {string} diffContent The diff content to truncate.
- * @param {number} maxSize Maximum size in characters.
- * @returns {{content: string, wasTruncated: boolean}} Truncated diff and truncation flag.
- */
-export function truncateDiff(diffContent, maxSize = 10000) {
-  if (diffContent.length <= maxSize) {
-    return { content: diffContent, wasTruncated: false };
-  }
-
-  const lines = diffContent.split('\n');
-  const result = [];
-  let currentSize = 0;
-  let filesProcessed = 0;
-  let currentFile = null;
-  let linesInCurrentFile = 0;
-  const maxLinesPerFile = 40;
-
-  for (const line of lines) {
-    if (line.startsWith('diff --git') || line.startsWith('index ') || 
-        line.startsWith('---') || line.startsWith('+++')) {
-      if (line.startsWith('diff --git')) {
-        if (currentFile && linesInCurrentFile > maxLinesPerFile) {
-          result.push(`... (${linesInCurrentFile - maxLinesPerFile} more lines omitted)`);
-        }
-        filesProcessed++;
-        currentFile = line;
-        linesInCurrentFile = 0;
-      }
-      result.push(line);
-      currentSize += line.length + 1;
-      continue;
-    }
-
-    if (currentSize + line.length > maxSize) {
-      result.push(`\n... [Diff truncated: ${diffContent.length - currentSize} characters omitted from ${lines.length - result.length} remaining lines]`);
-      return { content: result.join('\n'), wasTruncated: true };
-    }
-
-    linesInCurrentFile++;
-    if (linesInCurrentFile <= maxLinesPerFile) {
-      result.push(line);
-      currentSize += line.length + 1;
-    }
-  }
-
-  if (linesInCurrentFile > maxLinesPerFile) {
-    result.push(`... (${linesInCurrentFile - maxLinesPerFile} more lines omitted)`);
-  }
-
-  return { content: result.join('\n'), wasTruncated: false };
-}
+import { isValidCommitHash, mapWithConcurrency, runCommand } from "./helpers.js";
+import { DEFAULT_DIFF_BUDGET, estimateTokens, packDiffs } from "./diff-budget.js";
+import { loadPathFilter } from "./path-filter.js";
 
 /**
  * Filters binary file content from git diff output.
@@ -84,6 +32,34 @@ export function filterBinaryFiles(diffContent) {
   return filtered.join('\n');
 }
 
+/**
+ * Removes the files matched by a path filter from git diff output.
+ * @param {string} diffContent The raw diff content from git.
+ * @param {(filePath: string) => boolean} isExcluded Predicate from loadPathFilter.
+ * @returns {{content: string, excluded: string[]}} The remaining diff and the removed paths.
+ */
+export function filterDiffFiles(diffContent, isExcluded) {
+  const kept = [];
+  const excluded = [];
+  let skipFile = false;
+
+  for (const line of diffContent.split('\n')) {
+    if (line.startsWith('diff --git')) {
+      const match = line.match(/ b\/(.+)$/);
+      const filePath = match ? match[1] : '';
+      skipFile = Boolean(filePath) && isExcluded(filePath);
+      if (skipFile) {
+        excluded.push(filePath);
+      }
+    }
+    if (!skipFile) {
+      kept.push(line);
+    }
+  }
+
+  return { content: kept.join('\n'), excluded };
+}
+
 /**
  * Checks if a commit is a merge commit by examining its parent count.
  * @param {string} commitHash The commit hash to check.
@@ -96,25 +72,102 @@ export async function isMergeCommit(commitHash) {
   }
   
   try {
-    const parents = await executeCommand(
-      `git rev-list --parents -n 1 ${commitHash}`,
-      "",
-      false
-    );
-    return parents.trim().split(/\s+/).length > 2;
+    const { stdout } = await runCommand("git", ["rev-list", "--parents", "-n", "1", commitHash]);
+    return stdout.split(/\s+/).length > 2;
   } catch (error) {
     return false;
   }
 }
 
 /**
- * Fetches commit diffs for an array of commit hashes.
+ * Number of `git show` processes getCommitDiffs runs at the same time.
+ * @type {number}
+ */
+const DIFF_FETCH_CONCURRENCY = 4;
+
+/**
+ * Reads the number of parents of many commits with a single `git log` call.
+ * @param {string[]} commitHashes Valid (possibly abbreviated) commit hashes.
+ * @returns {Promise<Map<string, number>>} Parent count by hash as given; empty when
+ *   git fails, in which case callers fall back to isMergeCommit.
+ */
+async function getParentCounts(commitHashes) {
+  const counts = new Map();
+  if (commitHashes.length === 0) {
+    return counts;
+  }
+  try {
+    const { stdout } = await runCommand(
+      "git",
+      ["log", "--no-walk=unsorted", "--format=%H %P", ...commitHashes],
+      { logErrors: false }
+    );
+    for (const line of stdout.split("\n").filter(Boolean)) {
+      const [fullHash, ...parents] = line.trim().split(/\s+/);
+      for (const hash of commitHashes) {
+        if (fullHash.startsWith(hash.toLowerCase())) {
+          counts.set(hash, parents.length);
+        }
+      }
+    }
+  } catch (error) {
+    counts.clear();
+  }
+  return counts;
+}
+
+/**
+ * Describes the files left out by the path filter, for the "Edge Case Warnings" block.
+ * @param {string[]} files
+ * @returns {string}
+ */
+function describeExcluded(files) {
+  const listed = files.slice(0, 5).join(", ");
+  const more = files.length > 5 ? ` and ${files.length - 5} more` : "";
+  return `⚠ ${files.length} file(s) excluded from diffs by ignore rules: ${listed}${more}.`;
+}
+
+/**
+ * Describes what packDiffs left out, as lines for the "Edge Case Warnings" block.
+ * @param {Object} report The report from packDiffs.
+ * @param {string} tokenSummary e.g. "~1200/32000 tokens".
+ * @returns {string[]} Empty when everything fit.
+ */
+function describePacking(report, tokenSummary) {
+  if (report.droppedHunks === 0 && report.hiddenFiles === 0) {
+    return [];
+  }
+  const warnings = [
+    `⚠ Diffs total ~${report.totalTokens} tokens; packed ${tokenSummary} for the model's context.`,
+  ];
+  if (report.summarizedFiles.length > 0) {
+    const listed = report.summarizedFiles.slice(0, 5).join(", ");
+    const more = report.summarizedFiles.length > 5 ? ` and ${report.summarizedFiles.length - 5} more` : "";
+    warnings.push(`   Summarized to line counts only: ${listed}${more}.`);
+  }
+  warnings.push(`   ${report.droppedHunks} hunk(s) dropped${report.hiddenFiles > 0 ? `, ${report.hiddenFiles} file(s) not listed at all` : ""}. Raise --diff-budget or contextSize to send more.`);
+  return warnings;
+}
+
+/**
+ * Fetches commit diffs for an array of commit hashes and packs them into a token
+ * budget (see packDiffs), reporting what had to be summarized or dropped. Parent
+ * counts come from one `git log` call and up to DIFF_FETCH_CONCURRENCY diffs are
+ * fetched at once; results keep the order of `commitHashes`.
  * @param {string[]} commitHashes Array of commit SHA hashes.
  * @param {Object} options Configuration object.
- * @returns {Promise<Array<{hash: string, content: string, truncated: boolean, error: string|null}>>}
+ * @param {boolean} [options.includeMergeDiffs=false] Include diffs of merge commits.
+ * @param {number} [options.budgetTokens=DEFAULT_DIFF_BUDGET] Tokens the diffs may use in the prompt.
+ * @param {(filePath: string) => boolean} [options.isExcluded] Files to leave out (see loadPathFilter);
+ *   their paths are kept in each diff's `excludedFiles`.
+ * @returns {Promise<Array<{hash: string, content: string, truncated: boolean, error: string|null, excludedFiles?: string[]}>>}
  */
 export async function getCommitDiffs(commitHashes, options = {}) {
-  const { includeMergeDiffs = false } = options;
+  const {
+    includeMergeDiffs = false,
+    budgetTokens = DEFAULT_DIFF_BUDGET,
+    isExcluded = () => false,
+  } = options;
   
   if (!Array.isArray(commitHashes)) {
     console.error("Invalid input: commitHashes must be an array");
@@ -128,53 +181,49 @@ export async function getCommitDiffs(commitHashes, options = {}) {
   
   const spinner = ora("Fetching commit diffs...").start();
   
-  const diffs = [];
-  let totalSize = 0;
   let validCount = 0;
   let skippedCount = 0;
   let mergeCommitsExcluded = 0;
   let binaryFilesFiltered = 0;
+  const excludedFiles = new Set();
   let fetchFailures = 0;
+  let completed = 0;
   const totalCommits = commitHashes.length;
   
-  for (let i = 0; i < commitHashes.length; i++) {
-    const hash = commitHashes[i];
-    
-    spinner.text = `Fetching commit diffs... (${i + 1}/${totalCommits})`;
-    
-    if (!isValidCommitHash(hash)) {
-      const errorMsg = `Invalid commit hash format: "${hash}". Expected hexadecimal string (7-40 characters).`;
-      console.warn(`⚠ Skipping invalid commit hash: ${hash}`);
-      skippedCount++;
-      fetchFailures++;
-      diffs.push({
-        hash: hash || '[empty]',
-        content: "[Invalid commit hash - skipped]",
-        truncated: false,
-        error: errorMsg
-      });
-      continue;
-    }
-
+  const parentCounts = await getParentCounts(commitHashes.filter(isValidCommitHash));
+  
+  const diffs = await mapWithConcurrency(commitHashes, DIFF_FETCH_CONCURRENCY, async (hash) => {
     try {
-      const isMerge = await isMergeCommit(hash);
+      if (!isValidCommitHash(hash)) {
+        const errorMsg = `Invalid commit hash format: "${hash}". Expected hexadecimal string (7-40 characters).`;
+        console.warn(`⚠ Skipping invalid commit hash: ${hash}`);
+        skippedCount++;
+        fetchFailures++;
+        return {
+          hash: hash || '[empty]',
+          content: "[Invalid commit hash - skipped]",
+          truncated: false,
+          error: errorMsg
+        };
+      }
+      
+      const isMerge = parentCounts.has(hash)
+        ? parentCounts.get(hash) > 1
+        : await isMergeCommit(hash);
       if (isMerge && !includeMergeDiffs) {
         mergeCommitsExcluded++;
-        diffs.push({
+        validCount++;
+        return {
           hash,
           content: "[Merge commit - diff excluded]",
           truncated: false,
           error: null
-        });
-        validCount++;
-        continue;
+        };
       }
       
-      const diffCommand = isMerge 
-        ? `git show --format="" ${hash}`
-        : `git show --format="" --no-color ${hash}`;
-      
-      let diffContent = await executeCommand(diffCommand, "", false);
+      let { stdout: diffContent } = await runCommand("git", ["show", "--format=", "--no-color", hash], {
+        logErrors: false,
+      });
       
       const hasBinaryFiles = diffContent.includes('Binary files');
       if (hasBinaryFiles) {
@@ -182,44 +231,41 @@ export async function getCommitDiffs(commitHashes, options = {}) {
       }
       
       diffContent = filterBinaryFiles(diffContent);
+      const { content, excluded } = filterDiffFiles(diffContent, isExcluded);
+      excluded.forEach(file => excludedFiles.add(file));
       
-      let finalContent = diffContent;
-      let wasTruncated = false;
-      const MAX_DIFF_SIZE = 8000;
-      
-      if (diffContent.length > MAX_DIFF_SIZE) {
-        const result = truncateDiff(diffContent, MAX_DIFF_SIZE);
-        finalContent = result.content;
-        wasTruncated = result.wasTruncated;
-      }
-      
-      totalSize += finalContent.length;
       validCount++;
-      diffs.push({ 
+      return { 
         hash, 
-        content: finalContent, 
-        truncated: wasTruncated,
-        error: null
-      });
-      
+        content, 
+        truncated: false,
+        error: null,
+        excludedFiles: excluded
+      };
     } catch (error) {
       const errorMsg = `Failed to fetch diff for commit ${hash}: ${error.message}`;
       console.warn(`⚠ ${errorMsg}`);
       skippedCount++;
       fetchFailures++;
-      diffs.push({ 
+      return { 
         hash, 
         content: "[Error fetching diff]", 
         truncated: false,
         error: error.message
-      });
+      };
+    } finally {
+      completed++;
+      spinner.text = `Fetching commit diffs... (${completed}/${totalCommits})`;
     }
-  }
+  });
+  
+  const { diffs: packedDiffs, report } = packDiffs(diffs, budgetTokens);
+  const tokenSummary = `~${report.usedTokens}/${budgetTokens} tokens`;
   
   if (skippedCount > 0) {
-    spinner.warn(`Fetched diffs for ${validCount}/${diffs.length} commits (${totalSize} characters). ${skippedCount} commit(s) skipped due to errors.`);
+    spinner.warn(`Fetched diffs for ${validCount}/${diffs.length} commits (${tokenSummary}). ${skippedCount} commit(s) skipped due to errors.`);
   } else {
-    spinner.succeed(`Fetched diffs for ${diffs.length} commits (${totalSize} characters)`);
+    spinner.succeed(`Fetched diffs for ${diffs.length} commits (${tokenSummary})`);
   }
   
   const warnings = [];
@@ -232,12 +278,12 @@ export async function getCommitDiffs(commitHashes, options = {}) {
     warnings.push(`⚠ Binary files detected in ${binaryFilesFiltered} commit(s) and filtered from diffs.`);
   }
   
-  const LARGE_DIFF_THRESHOLD = 50000;
-  if (totalSize > LARGE_DIFF_THRESHOLD) {
-    warnings.push(`⚠ Large diff detected: Total size is ${totalSize} characters (threshold: ${LARGE_DIFF_THRESHOLD}).`);
-    warnings.push(`   This may exceed API token limits. Consider reducing commits or using --read without large files.`);
+  if (excludedFiles.size > 0) {
+    warnings.push(describeExcluded([...excludedFiles]));
   }
   
+  warnings.push(...describePacking(report, tokenSummary));
+  
   if (fetchFailures > 0) {
     warnings.push(`⚠ ${fetchFailures} commit(s) failed to fetch. Check warnings above for details.`);
   }
@@ -248,94 +294,648 @@ export async function getCommitDiffs(commitHashes, options = {}) {
     console.log('');
   }
   
-  return diffs;
+  return packedDiffs;
+}
+
+/**
+ * Number of commits above which `--read` sends the net branch diff instead of
+ * one diff per commit.
+ * @type {number}
+ */
+export const BRANCH_DIFF_COMMIT_THRESHOLD = 10;
+
+/**
+ * The empty tree, used as the "before" side when a range starts at a root commit.
+ * @type {string}
+ */
+const EMPTY_TREE_HASH = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+/**
+ * Decides how `--read` collects diffs: `"commits"` (one diff per commit) or
+ * `"branch"` (the net diff of all of them). `--read` without a mode picks
+ * `"branch"` once there are more than BRANCH_DIFF_COMMIT_THRESHOLD commits.
+ * @param {boolean|string} read The `--read` value: true/"auto", "commits" or "branch".
+ * @param {number} commitCount Number of commits being described.
+ * @returns {"commits"|"branch"}
+ */
+export function resolveReadMode(read, commitCount) {
+  if (read === "commits" || read === "branch") {
+    return read;
+  }
+  return commitCount > BRANCH_DIFF_COMMIT_THRESHOLD ? "branch" : "commits";
+}
+
+/**
+ * Parses `git diff --numstat` output. Renames appear as `old => new` paths and
+ * binary files have no line counts.
+ * @param {string} numstat
+ * @returns {Array<{path: string, added: number|null, removed: number|null}>}
+ */
+function parseNumstat(numstat) {
+  return numstat
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [added, removed, ...pathParts] = line.split("\t");
+      return {
+        path: pathParts.join("\t"),
+        added: added === "-" ? null : Number(added),
+        removed: removed === "-" ? null : Number(removed),
+      };
+    });
+}
+
+/**
+ * Formats the per-file change list that heads a branch diff.
+ * @param {Array<{path: string, added: number|null, removed: number|null}>} files
+ * @returns {string}
+ */
+function formatFileStat(files) {
+  const added = files.reduce((sum, file) => sum + (file.added || 0), 0);
+  const removed = files.reduce((sum, file) => sum + (file.removed || 0), 0);
+  return [
+    `${files.length} file(s) changed, +${added} -${removed}:`,
+    ...files.map((file) =>
+      file.added === null
+        ? `  ${file.path} (binary)`
+        : `  ${file.path} (+${file.added} -${file.removed})`
+    ),
+  ].join("\n");
+}
+
+/**
+ * Gets the range whose net diff covers a list of commits: the given range, or
+ * from the parent of the oldest commit to the newest one.
+ * @param {string[]} commitHashes Hashes from getCommitHistory, newest first.
+ * @param {string|null} [range] A range from resolveCommitRange, used as is when set.
+ * @returns {Promise<string>}
+ */
+async function getNetDiffRange(commitHashes, range = null) {
+  if (range) {
+    return range;
+  }
+  const newest = commitHashes[0];
+  const oldest = commitHashes[commitHashes.length - 1];
+  try {
+    await runCommand("git", ["rev-parse", "--verify", "-q", `${oldest}^`], { logErrors: false });
+    return `${oldest}^..${newest}`;
+  } catch (error) {
+    return `${EMPTY_TREE_HASH}..${newest}`;
+  }
+}
+
+/**
+ * Fetches the net diff of a list of commits (with rename detection), so a file
+ * touched by several commits is sent once and reverted changes disappear. The
+ * result has the same shape as getCommitDiffs with a single entry whose `stat`
+ * lists every changed file, and is packed into the same token budget.
+ * @param {string[]} commitHashes Hashes from getCommitHistory, newest first.
+ * @param {Object} [options={}]
+ * @param {string|null} [options.range] The range the commits came from, e.g. "main..HEAD".
+ * @param {number} [options.budgetTokens=DEFAULT_DIFF_BUDGET] Tokens the diff may use in the prompt.
+ * @param {(filePath: string) => boolean} [options.isExcluded] Files to leave out (see loadPathFilter).
+ * @returns {Promise<Array<{hash: string, content: string, truncated: boolean, error: string|null, stat: string, excludedFiles: string[]}>>}
+ */
+export async function getBranchDiff(commitHashes, options = {}) {
+  const { range = null, budgetTokens = DEFAULT_DIFF_BUDGET, isExcluded = () => false } = options;
+
+  if (!Array.isArray(commitHashes) || commitHashes.length === 0) {
+    console.warn("No commit hashes provided to fetch diffs");
+    return [];
+  }
+  if (!commitHashes.every(isValidCommitHash)) {
+    console.error("Invalid commit hash in the list of commits to diff.");
+    return [];
+  }
+
+  const diffRange = await getNetDiffRange(commitHashes, range);
+  const spinner = ora(`Fetching net diff of ${commitHashes.length} commits...`).start();
+
+  try {
+    const { stdout: numstat } = await runCommand("git", ["diff", "-M", "--numstat", diffRange]);
+    const { stdout: rawDiff } = await runCommand("git", ["diff", "-M", "--no-color", diffRange]);
+    const files = parseNumstat(numstat);
+    const stat = formatFileStat(files);
+    const statTokens = estimateTokens(stat);
+
+    const { content, excluded } = filterDiffFiles(filterBinaryFiles(rawDiff), isExcluded);
+
+    const { diffs, report } = packDiffs(
+      [{ hash: diffRange, content, truncated: false, error: null, excludedFiles: excluded }],
+      Math.max(0, budgetTokens - statTokens)
+    );
+    const tokenSummary = `~${report.usedTokens + statTokens}/${budgetTokens} tokens`;
+    spinner.succeed(
+      `Fetched net diff of ${commitHashes.length} commits: ${files.length} file(s) (${tokenSummary})`
+    );
+
+    const warnings = [
+      ...(excluded.length > 0 ? [describeExcluded(excluded)] : []),
+      ...describePacking(report, tokenSummary),
+    ];
+    if (warnings.length > 0) {
+      console.log('\n--- Edge Case Warnings ---');
+      warnings.forEach(warning => console.warn(warning));
+      console.log('');
+    }
+
+    return diffs.map((diff) => ({ ...diff, stat }));
+  } catch (error) {
+    spinner.fail(`Failed to fetch the net diff for ${diffRange}.`);
+    console.warn(`⚠ ${error.message}`);
+    return [{
+      hash: diffRange,
+      content: "[Error fetching diff]",
+      truncated: false,
+      error: error.message,
+      stat: "",
+      excludedFiles: [],
+    }];
+  }
+}
+
+/**
+ * Fetches the diffs `--read` sends to the AI, either per commit or as the net
+ * branch diff depending on resolveReadMode, leaving out the files matched by the
+ * built-in excludes, `.prcliignore` and `--exclude`/`--include`.
+ * @param {string[]} commitHashes Hashes from getCommitHistory, newest first.
+ * @param {Object} options
+ * @param {boolean|string} options.read The `--read` value.
+ * @param {string|null} [options.range] The range the commits came from.
+ * @param {number} [options.budgetTokens] Tokens the diffs may use in the prompt.
+ * @param {string[]} [options.exclude] Extra globs to leave out (`--exclude`).
+ * @param {string[]} [options.include] Globs to restrict the diff to (`--include`).
+ * @returns {Promise<Array<{hash: string, content: string, truncated: boolean, error: string|null}>>}
+ */
+export async function getDiffsForRead(
+  commitHashes,
+  { read, range = null, budgetTokens, exclude = [], include = [] } = {}
+) {
+  const isExcluded = await loadPathFilter({ exclude, include });
+  if (resolveReadMode(read, commitHashes.length) === "branch") {
+    return getBranchDiff(commitHashes, { range, budgetTokens, isExcluded });
+  }
+  return getCommitDiffs(commitHashes, { includeMergeDiffs: false, budgetTokens, isExcluded });
+}
+
+/**
+ * Lists the files changed by a list of commits, taken together (a file changed and
+ * changed back is not listed).
+ * @param {string[]} commitHashes Hashes from getCommitHistory, newest first.
+ * @param {string|null} [range] The range the commits came from, e.g. "main..HEAD".
+ * @returns {Promise<string[]>}
+ */
+export async function getChangedFiles(commitHashes, range = null) {
+  if (commitHashes.length === 0) {
+    return [];
+  }
+  const { stdout } = await runCommand(
+    "git",
+    ["diff", "--name-only", await getNetDiffRange(commitHashes, range)],
+    { spinnerText: "Listing changed files..." }
+  );
+  return stdout.split("\n").filter(Boolean);
+}
+
+/**
+ * Gets the Git user name (`user.name`).
+ * @returns {Promise<string>} The name, or an empty string when it is not set.
+ */
+export async function getUserName() {
+  try {
+    const { stdout } = await runCommand("git", ["config", "user.name"], {
+      logErrors: false,
+    });
+    return stdout;
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Gets the name of the currently checked-out branch.
+ * @returns {Promise<string>}
+ */
+export async function getCurrentBranch() {
+  const { stdout } = await runCommand("git", ["rev-parse", "--abbrev-ref", "HEAD"], {
+    spinnerText: "Getting current branch...",
+  });
+  return stdout;
+}
+
+let baseRemote = "origin";
+let headRemote = null;
+
+/**
+ * Selects the remotes used for the rest of the run. `base` hosts the repository the
+ * PR is opened against (e.g. `upstream`); `head` is where the branch is pushed
+ * (e.g. a `fork`) and defaults to the branch's push remote, then `base`.
+ * @param {{base?: string|null, head?: string|null}} options
+ */
+export function configureRemotes(options = {}) {
+  baseRemote = options.base || "origin";
+  headRemote = options.head || null;
+}
+
+/**
+ * Gets the remote hosting the repository the PR is opened against.
+ * @returns {string}
+ */
+export function getBaseRemote() {
+  return baseRemote;
+}
+
+/**
+ * Gets the remote the branch is pushed to: the configured head remote, then the
+ * branch's `pushRemote`, `remote.pushDefault`, the branch's tracking remote, and
+ * finally the base remote.
+ * @param {string} branch The branch name.
+ * @returns {Promise<string>}
+ */
+export async function getHeadRemote(branch) {
+  if (headRemote) {
+    return headRemote;
+  }
+  for (const key of [
+    `branch.${branch}.pushRemote`,
+    "remote.pushDefault",
+    `branch.${branch}.remote`,
+  ]) {
+    try {
+      const { stdout: remote } = await runCommand("git", ["config", "--get", key], {
+        logErrors: false,
+      });
+      if (remote && remote !== ".") {
+        return remote;
+      }
+    } catch (error) {}
+  }
+  return baseRemote;
+}
+
+/**
+ * Tells whether a branch is pushed to the repository the PR is opened against
+ * rather than to a fork: its head remote is the base remote, or both remotes point
+ * at the same host and repository path.
+ * @param {string} branch The branch name.
+ * @returns {Promise<boolean>} True as well when either remote URL cannot be read.
+ */
+export async function isPushedToBaseRepository(branch) {
+  const remote = await getHeadRemote(branch);
+  if (remote === baseRemote) {
+    return true;
+  }
+  try {
+    const head = parseRemoteUrl(await getRemoteUrl(remote));
+    const base = parseRemoteUrl(await getRemoteUrl(baseRemote));
+    if (!head || !base) {
+      return true;
+    }
+    return head.host === base.host && head.path.toLowerCase() === base.path.toLowerCase();
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Gets the URL of a Git remote.
+ * @param {string} [remote] The remote name; defaults to the base remote (`origin` unless `--remote` is set).
+ * @returns {Promise<string>}
+ */
+export async function getRemoteUrl(remote = baseRemote) {
+  const { stdout } = await runCommand("git", ["config", "--get", `remote.${remote}.url`], {
+    spinnerText: "Getting repository URL...",
+    logErrors: false,
+  });
+  return stdout;
+}
+
+/**
+ * Splits a remote URL into host and repository path. Supports HTTPS
+ * (`https://host/group/repo.git`), `ssh://` (`ssh://git@host:2222/group/repo.git`)
+ * and scp-like SSH (`git@host:group/repo.git`) forms. Dots in repository names
+ * (`my.repo.git`) are kept; only a trailing `.git` is removed.
+ * @param {string} remoteUrl
+ * @returns {{host: string, path: string}|null} The host (lowercased, without port)
+ *   and the path without leading slash or `.git` suffix.
+ */
+export function parseRemoteUrl(remoteUrl) {
+  const url = (remoteUrl || "").trim();
+  const match =
+    url.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+?)(?:\.git)?\/?$/i) ||
+    url.match(/^(?:[^@/]+@)?([^/:]+):(?!\d+\/)\/?(.+?)(?:\.git)?\/?$/);
+  if (!match) {
+    return null;
+  }
+  return { host: match[1].toLowerCase(), path: match[2] };
+}
+
+/**
+ * Checks whether a ref resolves in the local repository, without logging failures.
+ * @param {string} ref A branch, remote-tracking branch or other revision.
+ * @returns {Promise<boolean>}
+ */
+async function refExists(ref) {
+  try {
+    await runCommand("git", ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], {
+      logErrors: false,
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves the base branch for the PR, in order of precedence:
+ * the `--base` flag or `base` config value, the branch's upstream when it tracks
+ * another branch (stacked branches), the base remote's `HEAD` (`origin/HEAD`),
+ * then `main` or `master`.
+ * @param {string|null} [preferredBase] Base from the `--base` flag or config.
+ * @param {string} [currentBranch] The current branch; looked up when omitted.
+ * @returns {Promise<string>} The base branch name, without a remote prefix.
+ */
+export async function resolveBaseBranch(preferredBase = null, currentBranch) {
+  if (preferredBase) {
+    return preferredBase;
+  }
+
+  const branch = currentBranch || (await getCurrentBranch().catch(() => null));
+  const upstreamBranch = branch ? await getStackedUpstream(branch) : null;
+  return upstreamBranch || getDefaultBranch();
+}
+
+/**
+ * Gets the branch a branch tracks when it is another branch (a stacked branch
+ * tracking the one below it), as opposed to its own counterpart on the remote.
+ * @param {string} branch
+ * @returns {Promise<string|null>}
+ */
+export async function getStackedUpstream(branch) {
+  try {
+    const { stdout: upstream } = await runCommand(
+      "git",
+      ["config", "--get", `branch.${branch}.merge`],
+      { spinnerText: "Getting upstream branch...", logErrors: false }
+    );
+    const upstreamBranch = upstream.replace(/^refs\/heads\//, "");
+    return upstreamBranch && upstreamBranch !== branch ? upstreamBranch : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gets the repository's default branch: the base remote's `HEAD` (`origin/HEAD`),
+ * then `main` or `master`.
+ * @returns {Promise<string>} The branch name, without a remote prefix.
+ */
+export async function getDefaultBranch() {
+  try {
+    const { stdout: remoteHead } = await runCommand(
+      "git",
+      ["symbolic-ref", `refs/remotes/${baseRemote}/HEAD`],
+      { spinnerText: "Getting remote default branch...", logErrors: false }
+    );
+    return remoteHead.replace(`refs/remotes/${baseRemote}/`, "");
+  } catch (error) {}
+
+  for (const candidate of ["main", "master"]) {
+    if (
+      (await refExists(candidate)) ||
+      (await refExists(`${baseRemote}/${candidate}`))
+    ) {
+      return candidate;
+    }
+  }
+
+  console.warn("Could not determine the base branch, falling back to 'main'.");
+  return "main";
+}
+
+/**
+ * Lists the local branches.
+ * @param {string} [mergedInto] Only list branches whose tip is an ancestor of this ref.
+ * @returns {Promise<string[]>}
+ */
+export async function getLocalBranches(mergedInto) {
+  const { stdout } = await runCommand(
+    "git",
+    [
+      "for-each-ref",
+      ...(mergedInto ? [`--merged=${mergedInto}`] : []),
+      "--format=%(refname:short)",
+      "refs/heads",
+    ],
+    { spinnerText: "Listing branches..." }
+  );
+  return stdout.split("\n").filter(Boolean);
+}
+
+/**
+ * Counts the commits in a revision range.
+ * @param {string} range e.g. "main..feat/a".
+ * @returns {Promise<number>}
+ */
+export async function countCommits(range) {
+  const { stdout } = await runCommand("git", ["rev-list", "--count", range], {
+    spinnerText: `Counting commits in ${range}...`,
+  });
+  return parseInt(stdout, 10) || 0;
+}
+
+/**
+ * Checks whether a commit is still part of another commit's history, which stops
+ * being the case once the branch was rebased or force-pushed over it.
+ * @param {string} commit The commit that should be an ancestor.
+ * @param {string} [descendant="HEAD"]
+ * @returns {Promise<boolean>} False as well when the commit is unknown locally.
+ */
+export async function isAncestor(commit, descendant = "HEAD") {
+  if (!isValidRef(commit)) {
+    return false;
+  }
+  try {
+    await runCommand("git", ["merge-base", "--is-ancestor", commit, descendant], {
+      logErrors: false,
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns a ref for the base branch that exists locally, preferring the local
+ * branch and falling back to its remote-tracking branch on the base remote.
+ * @param {string} baseBranch The base branch name.
+ * @returns {Promise<string>}
+ */
+export async function resolveBaseRef(baseBranch) {
+  if (await refExists(baseBranch)) {
+    return baseBranch;
+  }
+  if (await refExists(`${baseRemote}/${baseBranch}`)) {
+    return `${baseRemote}/${baseBranch}`;
+  }
+  return baseBranch;
+}
+
+/**
+ * Validates a user-supplied revision (tag, branch, SHA, `HEAD~3`, ...) before it is
+ * interpolated into a git command.
+ * @param {string} ref
+ * @returns {boolean}
+ */
+export function isValidRef(ref) {
+  return typeof ref === "string" && /^[A-Za-z0-9._\/@^~{}+-]+$/.test(ref) && !ref.startsWith("-");
+}
+
+/**
+ * Builds the `git log` revision range from the range options.
+ * `--range A..B` (both sides required) is used as-is; otherwise `--from`/`--to`
+ * (default `HEAD`) are combined.
+ * Without `--from` (`--fork-point`, or only `--to`), the range starts at the merge-base
+ * of `to` and the base branch.
+ * @param {Object} options
+ * @param {string} [options.range] An explicit `A..B` or `A...B` range.
+ * @param {string} [options.from] Start of the range (exclusive), e.g. a tag or SHA.
+ * @param {string} [options.to="HEAD"] End of the range (inclusive).
+ * @param {boolean} [options.forkPoint=false] Start from where `to` forked from the base branch.
+ * @param {string} [options.baseBranch] Base branch used by `forkPoint`.
+ * @returns {Promise<string|null>} The range, or null when no range option was given.
+ * @throws {Error} When a revision is invalid or unknown, or `from` and `forkPoint` are
+ *   both given.
+ */
+export async function resolveCommitRange(options = {}) {
+  const { range, from, to = "HEAD", forkPoint = false, baseBranch = null } = options;
+
+  if (range) {
+    const ends = range.split(/\.{2,3}/);
+    if (ends.length !== 2 || !ends.every(isValidRef)) {
+      throw new Error(
+        `Invalid commit range "${range}". Expected the form A..B with both revisions given.`
+      );
+    }
+    for (const end of ends) {
+      if (!(await refExists(end))) {
+        throw new Error(`Unknown revision "${end}" in range "${range}".`);
+      }
+    }
+    return range;
+  }
+
+  if (from && forkPoint) {
+    throw new Error("--fork-point and --from both set the start of the range; use only one.");
+  }
+  if (!from && !forkPoint && to === "HEAD") {
+    return null;
+  }
+
+  for (const ref of [from, to].filter(Boolean)) {
+    if (!isValidRef(ref) || !(await refExists(ref))) {
+      throw new Error(`Unknown revision "${ref}".`);
+    }
+  }
+
+  let start = from;
+  if (!start) {
+    if (!baseBranch) {
+      throw new Error("Cannot find the fork point without a base branch.");
+    }
+    ({ stdout: start } = await runCommand(
+      "git",
+      ["merge-base", to, await resolveBaseRef(baseBranch)],
+      { spinnerText: `Getting fork point from "${baseBranch}"...` }
+    ));
+  }
+
+  return `${start}..${to}`;
 }
 
 /**
  * Gets the Git commit history.
+ * When a `range` is given, reads exactly the commits in it. Otherwise, without a count,
+ * reads the commits since the last push; if the branch was never pushed and
+ * `baseBranch` is set, reads the commits since it forked from the base.
+ * Messages and hashes come from the same `git log` call so they always line up.
  * @param {number} [count] The number of commits to retrieve from HEAD.
  * @param {Object} [options={}] Configuration options.
- * @returns {Promise<string[]|{messages: string[], hashes: string[], count: number}>}
+ * @param {boolean} [options.readDiffs=false] Whether the hashes will be used for diff fetching.
+ * @param {string} [options.baseBranch] Base branch used when the branch has no remote counterpart.
+ * @param {string} [options.range] A revision range from `resolveCommitRange`.
+ * @returns {Promise<string[]|{messages: string[], fullMessages: string[], hashes: string[], count: number}>}
  */
 export async function getCommitHistory(count, options = {}) {
-  const { readDiffs = false, includeMergeDiffs = false } = options;
+  const {
+    readDiffs = false,
+    includeMergeDiffs = false,
+    baseBranch = null,
+    range = null,
+  } = options;
   const spinner = ora("Fetching commit history...").start();
   try {
-    let commitLogs;
-    let commitHashes = [];
-
-    if (count) {
-      commitLogs = await executeCommand(
-        `git log -n ${count} --pretty=format:"%s%x1e%b%x1f"`,
-        "Fetching specific number of commits...",
-        false
-      );
+    let logRange;
 
-      if (readDiffs) {
-        const hashesOutput = await executeCommand(
-          `git log -n ${count} --format=%H`,
-          "Fetching commit hashes...",
-          false
-        );
-        commitHashes = hashesOutput.split("\n").filter(Boolean);
-      }
+    if (range) {
+      logRange = [range];
+    } else if (count) {
+      logRange = ["-n", String(count)];
     } else {
-      const currentBranch = await executeCommand(
-        "git rev-parse --abbrev-ref HEAD",
-        "Getting current branch...",
-        false
-      );
-      const lastPushCommit = await executeCommand(
-        `git merge-base ${currentBranch} origin/${currentBranch}`,
-        "Getting last push commit...",
-        false
-      );
-      commitLogs = await executeCommand(
-        `git log ${lastPushCommit}..HEAD --pretty=format:"%s%x1e%b%x1f"`,
-        "Fetching commits since last push...",
-        false
-      );
-
-      if (readDiffs) {
-        const hashesOutput = await executeCommand(
-          `git log ${lastPushCommit}..HEAD --format=%H`,
-          "Fetching commit hashes...",
-          false
-        );
-        commitHashes = hashesOutput.split("\n").filter(Boolean);
+      const currentBranch = await getCurrentBranch();
+      const pushedRef = `${await getHeadRemote(currentBranch)}/${currentBranch}`;
+      let lastPushCommit;
+      if (baseBranch && !(await refExists(pushedRef))) {
+        ({ stdout: lastPushCommit } = await runCommand(
+          "git",
+          ["merge-base", "HEAD", await resolveBaseRef(baseBranch)],
+          { spinnerText: `Getting fork point from "${baseBranch}"...` }
+        ));
+      } else {
+        ({ stdout: lastPushCommit } = await runCommand(
+          "git",
+          ["merge-base", currentBranch, pushedRef],
+          { spinnerText: "Getting last push commit..." }
+        ));
       }
+      logRange = [`${lastPushCommit}..HEAD`];
     }
 
+    const { stdout: commitLogs } = await runCommand(
+      "git",
+      ["log", ...logRange, "--pretty=format:%H%x1e%s%x1e%b%x1f"],
+      { spinnerText: "Fetching commits..." }
+    );
+
     spinner.succeed("Commit history fetched.");
 
-    const rawCommits = commitLogs.split("\x1f").filter(Boolean);
+    const rawCommits = commitLogs.split("\x1f").filter((raw) => raw.trim());
     const messages = [];
     const fullMessages = [];
+    const commitHashes = [];
 
     for (const raw of rawCommits) {
       const parts = raw.split("\x1e");
-      const subject = parts[0]?.trim();
-      const body = parts.slice(1).join("\x1e").trim();
+      const hash = parts[0]?.trim();
+      const subject = parts[1]?.trim();
+      const body = parts.slice(2).join("\x1e").trim();
       if (subject) {
+        commitHashes.push(hash);
         messages.push(subject);
         fullMessages.push(body ? `${subject}\n\n${body}` : subject);
       }
     }
 
-    if (readDiffs) {
-      return {
-        messages,
-        fullMessages,
-        hashes: commitHashes,
-        count: messages.length
-      };
-    }
-
-    return { messages, fullMessages, count: messages.length };
+    return {
+      messages,
+      fullMessages,
+      hashes: commitHashes,
+      count: messages.length
+    };
   } catch (error) {
     spinner.fail("Failed to get Git commit history.");
     console.error(
-      "Failed to get Git commit history. Ensure you are in a Git repository and have pushed to origin."
+      "Failed to get Git commit history. Ensure you are in a Git repository and have pushed the branch."
     );
     return readDiffs ? { messages: [], hashes: [], count: 0 } : [];
   }
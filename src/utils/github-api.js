@@ -0,0 +1,119 @@
+import { isDryRun } from "./helpers.js";
+
+export const GITHUB_DEFAULT_API_URL = "https://api.github.com";
+
+/**
+ * Reads the GitHub token from `GITHUB_TOKEN` or `GH_TOKEN`.
+ * @param {Object.<string, string|undefined>} [env=process.env]
+ * @returns {string|null}
+ */
+export function getGitHubToken(env = process.env) {
+  return env.GITHUB_TOKEN || env.GH_TOKEN || null;
+}
+
+/**
+ * Creates a minimal GitHub REST client. The API URL defaults to `GITHUB_API_URL`
+ * (set by GitHub Actions and useful for a local mock server), then
+ * `https://<host>/api/v3` for GitHub Enterprise hosts, then api.github.com.
+ * In dry-run mode, requests that change state are printed instead of sent and resolve to null.
+ * @param {{token: string, host?: string, apiUrl?: string}} options
+ * @returns {Object} The client.
+ */
+export function createGitHubClient({ token, host, apiUrl } = {}) {
+  const baseUrl = (
+    apiUrl ||
+    process.env.GITHUB_API_URL ||
+    (host && host !== "github.com"
+      ? `https://${host}/api/v3`
+      : GITHUB_DEFAULT_API_URL)
+  ).replace(/\/+$/, "");
+
+  /**
+   * Sends a request to the GitHub API.
+   * @param {string} method HTTP method.
+   * @param {string} endpoint Path starting with "/".
+   * @param {Object} [body] JSON body.
+   * @returns {Promise<Object|null>}
+   */
+  async function request(method, endpoint, body) {
+    if (method !== "GET" && isDryRun()) {
+      console.log(`[dry-run] Would call: ${method} ${baseUrl}${endpoint}`);
+      return null;
+    }
+
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method,
+      headers: {
+        Accept: "application/vnd.github+json",
+        Authorization: `Bearer ${token}`,
+        "X-GitHub-Api-Version": "2022-11-28",
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(
+        `GitHub API ${method} ${endpoint} failed with ${response.status}: ${data.message || response.statusText}`
+      );
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  const repoPath = (owner, repo) =>
+    `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  return {
+    /**
+     * Finds the open PR whose head is `branch`.
+     * @returns {Promise<Object|null>} The PR or null if none is open.
+     */
+    async findPullRequest(owner, repo, branch, headOwner = owner) {
+      const head = encodeURIComponent(`${headOwner}:${branch}`);
+      const pulls = await request(
+        "GET",
+        `${repoPath(owner, repo)}/pulls?state=open&head=${head}`
+      );
+      return pulls?.[0] || null;
+    },
+
+    /**
+     * Creates a PR.
+     * @param {{title: string, body: string, head: string, base: string, draft?: boolean}} pr
+     * @returns {Promise<Object|null>}
+     */
+    createPullRequest(owner, repo, pr) {
+      return request("POST", `${repoPath(owner, repo)}/pulls`, pr);
+    },
+
+    /**
+     * Updates fields (title, body, base, ...) of an existing PR.
+     * @returns {Promise<Object|null>}
+     */
+    updatePullRequest(owner, repo, number, fields) {
+      return request("PATCH", `${repoPath(owner, repo)}/pulls/${number}`, fields);
+    },
+
+    /**
+     * Adds assignees to a PR (PRs share the issues assignee endpoint).
+     * @returns {Promise<Object|null>}
+     */
+    addAssignees(owner, repo, number, assignees) {
+      return request(
+        "POST",
+        `${repoPath(owner, repo)}/issues/${number}/assignees`,
+        { assignees }
+      );
+    },
+
+    /**
+     * Gets the user the token belongs to.
+     * @returns {Promise<{login: string}>}
+     */
+    getAuthenticatedUser() {
+      return request("GET", "/user");
+    },
+  };
+}
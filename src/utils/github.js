@@ -1,20 +1,115 @@
-import fs from "fs/promises";
-import path from "path";
-import inquirer from "inquirer";
-import clipboardy from "clipboardy";
-import { executeCommand } from "./helpers.js";
+import { isDryRun, runCommand, runMutatingCommand } from "./helpers.js";
+import {
+  ensureBranchPublished,
+  resolveUpdatedDescription,
+  shareNewPRUrl,
+  writePRBodyFile,
+  removePRBodyFile,
+  reportBaseUpdate,
+  shouldUpdateBase,
+} from "./publish.js";
+import { createGitHubClient, getGitHubToken } from "./github-api.js";
+import { getBaseRemote, getHeadRemote, getRemoteUrl, parseRemoteUrl } from "./git.js";
 
 /**
- * Parses a GitHub repository URL to extract the owner and repository name.
- * @param {string} repoUrl The full GitHub repository URL.
- * @returns {{owner: string, repo: string}|null}
+ * Parses a GitHub repository URL to extract the host, owner and repository name.
+ * Accepts HTTPS and SSH remotes on github.com or a GitHub Enterprise host, and
+ * repository names containing dots.
+ * @param {string} repoUrl The repository remote URL.
+ * @returns {{host: string, owner: string, repo: string}|null}
  */
 export function parseGitHubRepoUrl(repoUrl) {
-  const match = repoUrl.match(/github\.com\/([^\/]+)\/([^\/.]+)(\.git)?$/i);
-  if (match && match[1] && match[2]) {
-    return { owner: match[1], repo: match[2] };
+  const remote = parseRemoteUrl(repoUrl);
+  const parts = remote?.path.split("/") || [];
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    return null;
+  }
+  return { host: remote.host, owner: parts[0], repo: parts[1] };
+}
+
+/**
+ * Reads a remote and parses it as a GitHub repository.
+ * @param {string} [remote] The remote name; defaults to the base remote.
+ * @returns {Promise<{host: string, owner: string, repo: string}|null>}
+ */
+export async function getGitHubRepoInfo(remote) {
+  try {
+    return parseGitHubRepoUrl(await getRemoteUrl(remote));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolves the PR head for a branch. When the branch is pushed to a fork (a head
+ * remote pointing at another owner's repository), GitHub expects `owner:branch`.
+ * @param {string} branch The branch name.
+ * @param {{owner: string}} baseRepo The repository the PR is opened against.
+ * @returns {Promise<{owner: string, ref: string}>} The head owner and head ref.
+ */
+export async function resolveGitHubHead(branch, baseRepo) {
+  const remote = await getHeadRemote(branch);
+  const headRepo =
+    remote === getBaseRemote() ? baseRepo : await getGitHubRepoInfo(remote);
+  const owner = headRepo?.owner || baseRepo.owner;
+  const isFork = owner.toLowerCase() !== baseRepo.owner.toLowerCase();
+  return { owner, ref: isFork ? `${owner}:${branch}` : branch };
+}
+
+/**
+ * Builds the `--repo` arguments that pin GitHub CLI commands to the base repository.
+ * @param {{host: string, owner: string, repo: string}|null} repoInfo
+ * @returns {string[]}
+ */
+function getRepoArgs(repoInfo) {
+  return repoInfo
+    ? ["--repo", `${repoInfo.host}/${repoInfo.owner}/${repoInfo.repo}`]
+    : [];
+}
+
+/**
+ * Fetches the current PR description from an existing PR, through the GitHub API
+ * when `GITHUB_TOKEN`/`GH_TOKEN` is set and the GitHub CLI otherwise.
+ * @param {string} branchName The branch name to check for existing PR.
+ * @returns {Promise<string|null>} The current PR body or null if no PR exists.
+ */
+export async function getGitHubPRDescription(branchName) {
+  const token = getGitHubToken();
+  if (token) {
+    try {
+      const repoInfo = await getGitHubRepoInfo();
+      if (!repoInfo) {
+        return null;
+      }
+      const head = await resolveGitHubHead(branchName, repoInfo);
+      const pr = await createGitHubClient({
+        token,
+        host: repoInfo.host,
+      }).findPullRequest(repoInfo.owner, repoInfo.repo, branchName, head.owner);
+      return pr?.body || null;
+    } catch (error) {
+      console.warn(`Could not fetch existing PR description: ${error.message}`);
+      return null;
+    }
+  }
+
+  try {
+    const repoInfo = await getGitHubRepoInfo();
+    const head = repoInfo
+      ? (await resolveGitHubHead(branchName, repoInfo)).ref
+      : branchName;
+    const { stdout: prBody } = await runCommand(
+      "gh",
+      ["pr", "view", head, ...getRepoArgs(repoInfo), "--json", "body", "--jq", ".body"],
+      {
+        spinnerText: `Fetching existing PR description for branch "${branchName}"...`,
+        logErrors: false,
+      }
+    );
+    return prBody || null;
+  } catch (error) {
+    return null;
   }
-  return null;
 }
 
 /**
@@ -38,35 +133,160 @@ export async function openGitHubPRInBrowser(
     return;
   }
 
-  const { owner, repo } = repoInfo;
+  const { host, owner, repo } = repoInfo;
+  const head = await resolveGitHubHead(currentBranch, repoInfo);
   const encodedDescription = encodeURIComponent(prDescription);
   const encodedPrTitle = encodeURIComponent(prTitle);
 
-  const githubPRUrl = `https://github.com/${owner}/${repo}/compare/${baseBranch}...${currentBranch}?expand=1&title=${encodedPrTitle}&body=${encodedDescription}`;
+  const githubPRUrl = `https://${host}/${owner}/${repo}/compare/${baseBranch}...${head.ref}?expand=1&title=${encodedPrTitle}&body=${encodedDescription}`;
 
-  console.log(`\nGenerated GitHub PR URL: ${githubPRUrl}`);
-  try {
-    await clipboardy.write(githubPRUrl);
-    console.log(
-      "GitHub PR URL copied to clipboard! Please paste it into your browser."
-    );
-  } catch (clipboardError) {
-    console.error(
-      "Failed to copy GitHub PR URL to clipboard:",
-      clipboardError.message
+  await shareNewPRUrl(githubPRUrl, prDescription, { forgeName: "GitHub" });
+}
+
+/**
+ * Creates or updates a GitHub Pull Request. Uses the GitHub REST API when
+ * `GITHUB_TOKEN`/`GH_TOKEN` is set and falls back to the GitHub CLI otherwise.
+ * @param {string} prDescription The generated PR description.
+ * @param {string} prTitle The generated PR title.
+ * @param {string} currentBranch The current branch name.
+ * @param {string} baseBranch The base branch name for the PR.
+ * @param {Object} argv Command line arguments.
+ * @returns {Promise<string|null>} The PR URL, or null when nothing was created or updated.
+ */
+export async function createGitHubPR(
+  prDescription,
+  prTitle,
+  currentBranch,
+  baseBranch,
+  argv
+) {
+  const token = getGitHubToken();
+  if (token) {
+    return createGitHubPRWithAPI(
+      prDescription,
+      prTitle,
+      currentBranch,
+      baseBranch,
+      argv,
+      token
     );
   }
+  return createGitHubPRWithCLI(
+    prDescription,
+    prTitle,
+    currentBranch,
+    baseBranch,
+    argv
+  );
+}
 
+/**
+ * Creates a GitHub Pull Request (or updates the existing one) through the REST API.
+ * @param {string} prDescription The generated PR description.
+ * @param {string} prTitle The generated PR title.
+ * @param {string} currentBranch The current branch name.
+ * @param {string} baseBranch The base branch name for the PR.
+ * @param {Object} argv Command line arguments.
+ * @param {string} token GitHub token.
+ * @returns {Promise<string|null>} The PR URL, or null when nothing was created or updated.
+ */
+export async function createGitHubPRWithAPI(
+  prDescription,
+  prTitle,
+  currentBranch,
+  baseBranch,
+  argv,
+  token
+) {
   try {
-    await clipboardy.write(prDescription);
-    console.log(
-      "Full PR description copied to clipboard! Paste it into the description field on the GitHub page after opening the URL."
+    const repoInfo = await getGitHubRepoInfo();
+    if (!repoInfo) {
+      console.error("Could not determine the GitHub repository from the origin remote.");
+      return null;
+    }
+    const { owner, repo } = repoInfo;
+    const client = createGitHubClient({ token, host: repoInfo.host });
+    const head = await resolveGitHubHead(currentBranch, repoInfo);
+
+    const existingPr = await client.findPullRequest(
+      owner,
+      repo,
+      currentBranch,
+      head.owner
     );
-  } catch (clipboardError) {
-    console.error(
-      "Failed to copy PR description to clipboard:",
-      clipboardError.message
+    if (existingPr) {
+      console.log(
+        `A pull request for branch "${currentBranch}" already exists: ${existingPr.html_url}`
+      );
+
+      const updatedDescription = await resolveUpdatedDescription(
+        existingPr.body,
+        prDescription,
+        argv
+      );
+      const currentBase = existingPr.base?.ref;
+      const updateBase = shouldUpdateBase(argv, currentBase, baseBranch);
+      if (updatedDescription === null && !updateBase) {
+        console.log("Keeping the current PR description. Exiting.");
+        return null;
+      }
+
+      if (isDryRun() && updatedDescription !== null) {
+        await writePRBodyFile(updatedDescription);
+      }
+      await client.updatePullRequest(owner, repo, existingPr.number, {
+        ...(updatedDescription !== null ? { body: updatedDescription } : {}),
+        ...(updateBase ? { base: baseBranch } : {}),
+      });
+      if (updateBase) {
+        reportBaseUpdate(currentBase, baseBranch);
+      }
+      if (updatedDescription !== null) {
+        console.log(
+          isDryRun()
+            ? "[dry-run] Pull Request description was not updated."
+            : "Pull Request description updated successfully."
+        );
+      }
+      return existingPr.html_url;
+    }
+
+    if (!(await ensureBranchPublished(currentBranch))) {
+      return null;
+    }
+
+    if (isDryRun()) {
+      await writePRBodyFile(prDescription);
+    }
+    const pr = await client.createPullRequest(owner, repo, {
+      title: prTitle,
+      body: prDescription,
+      head: head.ref,
+      base: baseBranch,
+      draft: Boolean(argv.draft),
+    });
+    if (!pr) {
+      console.log("[dry-run] Pull Request was not created.");
+      return null;
+    }
+
+    if (argv.self) {
+      try {
+        const user = await client.getAuthenticatedUser();
+        await client.addAssignees(owner, repo, pr.number, [user.login]);
+      } catch (assignError) {
+        console.warn(`Could not assign the PR to yourself: ${assignError.message}`);
+      }
+    }
+
+    console.log(`Pull Request created successfully: ${pr.html_url}`);
+    return pr.html_url;
+  } catch (error) {
+    console.error("Failed to create PR using the GitHub API:", error.message);
+    console.log(
+      "Please ensure GITHUB_TOKEN has access to the repository (pull requests: read and write)."
     );
+    return null;
   }
 }
 
@@ -77,6 +297,7 @@ export async function openGitHubPRInBrowser(
  * @param {string} currentBranch The current branch name.
  * @param {string} baseBranch The base branch name for the PR.
  * @param {Object} argv Command line arguments.
+ * @returns {Promise<string|null>} The PR URL, or null when nothing was created or updated.
  */
 export async function createGitHubPRWithCLI(
   prDescription,
@@ -86,58 +307,80 @@ export async function createGitHubPRWithCLI(
   argv
 ) {
   try {
-    await executeCommand("gh --version", "Checking for GitHub CLI...");
+    await runCommand("gh", ["--version"], {
+      spinnerText: "Checking for GitHub CLI...",
+      logSuccess: true,
+    });
     console.log("GitHub CLI detected.");
 
+    const repoInfo = await getGitHubRepoInfo();
+    const repoArgs = getRepoArgs(repoInfo);
+    const headRef = repoInfo
+      ? (await resolveGitHubHead(currentBranch, repoInfo)).ref
+      : currentBranch;
+
     try {
-      const existingPr = await executeCommand(
-        `gh pr view ${currentBranch} --json url --jq .url`,
-        `Checking for existing PR for branch "${currentBranch}"...`,
-        false
+      const { stdout: existingPrJson } = await runCommand(
+        "gh",
+        ["pr", "view", headRef, ...repoArgs, "--json", "url,body,baseRefName"],
+        {
+          spinnerText: `Checking for existing PR for branch "${currentBranch}"...`,
+          logErrors: false,
+        }
       );
+      const {
+        url: existingPr,
+        body: existingBody,
+        baseRefName: currentBase,
+      } = existingPrJson ? JSON.parse(existingPrJson) : {};
       if (existingPr) {
         console.log(
           `A pull request for branch "${currentBranch}" already exists: ${existingPr}`
         );
 
-        let overwritePr = true;
-
-        if (!argv.refill) {
-          const promptResult = await inquirer.prompt([
-            {
-              type: "confirm",
-              name: "overwritePr",
-              message:
-                "A PR for this branch already exists. Do you want to overwrite its description with the newly generated content?",
-              default: true,
-            },
-          ]);
-          overwritePr = promptResult.overwritePr;
-        } else {
-          console.log(
-            "--refill flag detected; overwriting existing PR description without confirmation."
-          );
-        }
-
-        if (!overwritePr) {
+        const updatedDescription = await resolveUpdatedDescription(
+          existingBody,
+          prDescription,
+          argv
+        );
+        const updateBase = shouldUpdateBase(argv, currentBase, baseBranch);
+        if (updatedDescription === null && !updateBase) {
           console.log("Keeping the current PR description. Exiting.");
-          return;
+          return null;
         }
 
-        const tempFilePath = path.join(process.cwd(), "PR_BODY.md");
-        await fs.writeFile(tempFilePath, prDescription);
+        const tempFilePath =
+          updatedDescription !== null ? await writePRBodyFile(updatedDescription) : null;
 
-        const editCmd = `gh pr edit ${currentBranch} --body-file "${tempFilePath}"`;
         try {
-          const ghEditOutput = await executeCommand(
-            editCmd,
-            "Updating PR description..."
+          const { stdout: ghEditOutput } = await runMutatingCommand(
+            "gh",
+            [
+              "pr",
+              "edit",
+              headRef,
+              ...repoArgs,
+              ...(tempFilePath ? ["--body-file", tempFilePath] : []),
+              ...(updateBase ? ["--base", baseBranch] : []),
+            ],
+            { spinnerText: "Updating PR..." }
           );
+          if (updateBase) {
+            reportBaseUpdate(currentBase, baseBranch);
+          }
+          if (isDryRun()) {
+            if (tempFilePath) {
+              console.log("[dry-run] Pull Request description was not updated.");
+            }
+            return existingPr;
+          }
           console.log("GitHub CLI output:\n", ghEditOutput);
 
-          await fs.unlink(tempFilePath);
-          console.log("Pull Request description updated successfully.");
-          return;
+          if (tempFilePath) {
+            await removePRBodyFile(tempFilePath);
+            console.log("Pull Request description updated successfully.");
+          }
+          return existingPr;
         } catch (editError) {
           console.error("Failed to update PR description:", editError.message);
           
@@ -153,10 +396,10 @@ export async function createGitHubPRWithCLI(
           
           console.log(`PR URL: ${existingPr}`);
           
-          try {
-            await fs.unlink(tempFilePath);
-          } catch (unlinkError) {}
-          return;
+          if (tempFilePath) {
+            await removePRBodyFile(tempFilePath);
+          }
+          return null;
         }
       }
     } catch (error) {
@@ -174,64 +417,53 @@ export async function createGitHubPRWithCLI(
       console.log("Will attempt to create a new PR...");
     }
 
-    try {
-      await executeCommand(
-        `git rev-parse --abbrev-ref --symbolic-full-name @{u}`,
-        `Checking if branch "${currentBranch}" is published...`,
-        false
-      );
-    } catch (error) {
-      console.log(`Branch "${currentBranch}" is not published to remote.`);
-      const { publishBranch } = await inquirer.prompt([
-        {
-          type: "confirm",
-          name: "publishBranch",
-          message: `Do you want to publish branch "${currentBranch}" to origin?`,
-          default: true,
-        },
-      ]);
-
-      if (publishBranch) {
-        try {
-          await executeCommand(
-            `git push --set-upstream origin ${currentBranch}`,
-            `Publishing branch "${currentBranch}"...`
-          );
-          console.log(`Branch "${currentBranch}" published successfully.`);
-        } catch (publishError) {
-          console.error(`Failed to publish branch: ${publishError.message}`);
-          return;
-        }
-      } else {
-        console.log("Cannot create PR without publishing the branch. Exiting.");
-        return;
-      }
+    if (!(await ensureBranchPublished(currentBranch))) {
+      return null;
     }
 
     console.log("Creating PR using gh pr create...");
 
-    const tempFilePath = path.join(process.cwd(), "PR_BODY.md");
-    await fs.writeFile(tempFilePath, prDescription);
+    const tempFilePath = await writePRBodyFile(prDescription);
 
-    let ghCommand = `gh pr create --title "${prTitle}" --body-file "${tempFilePath}" --base "${baseBranch}" --head "${currentBranch}"`;
+    const ghArgs = [
+      "pr",
+      "create",
+      "--title",
+      prTitle,
+      "--body-file",
+      tempFilePath,
+      "--base",
+      baseBranch,
+      "--head",
+      headRef,
+      ...repoArgs,
+    ];
 
     if (argv.self) {
-      ghCommand += ' --assignee "@me"';
+      ghArgs.push("--assignee", "@me");
     }
 
     if (argv.draft) {
-      ghCommand += " --draft";
+      ghArgs.push("--draft");
+    }
+    const { stdout: ghOutput } = await runMutatingCommand("gh", ghArgs, {
+      spinnerText: "Creating GitHub PR...",
+    });
+    if (isDryRun()) {
+      console.log("[dry-run] Pull Request was not created.");
+      return null;
     }
-    const ghOutput = await executeCommand(ghCommand, "Creating GitHub PR...");
     console.log("GitHub CLI output:\n", ghOutput);
 
-    await fs.unlink(tempFilePath);
+    await removePRBodyFile(tempFilePath);
 
     console.log("Pull Request created successfully via GitHub CLI.");
+    return ghOutput.split("\n").pop().trim() || null;
   } catch (error) {
     console.error("Failed to create PR using GitHub CLI:", error.message);
     console.log(
       "Please ensure GitHub CLI is installed and you are logged in (`gh auth login`)."
     );
+    return null;
   }
 }
@@ -0,0 +1,110 @@
+import { isDryRun } from "./helpers.js";
+
+/**
+ * Reads the GitLab token from `GITLAB_TOKEN`.
+ * @param {Object.<string, string|undefined>} [env=process.env]
+ * @returns {string|null}
+ */
+export function getGitLabToken(env = process.env) {
+  return env.GITLAB_TOKEN || null;
+}
+
+/**
+ * Creates a minimal GitLab REST (v4) client for merge requests.
+ * The API URL defaults to `GITLAB_API_URL`, then `CI_API_V4_URL` (set in GitLab CI),
+ * then `https://<host>/api/v4` for the remote's host.
+ * In dry-run mode, requests that change state are printed instead of sent and resolve to null.
+ * @param {{token: string, host: string, apiUrl?: string}} options
+ * @returns {Object} The client.
+ */
+export function createGitLabClient({ token, host, apiUrl } = {}) {
+  const baseUrl = (
+    apiUrl ||
+    process.env.GITLAB_API_URL ||
+    process.env.CI_API_V4_URL ||
+    `https://${host}/api/v4`
+  ).replace(/\/+$/, "");
+
+  /**
+   * Sends a request to the GitLab API.
+   * @param {string} method HTTP method.
+   * @param {string} endpoint Path starting with "/".
+   * @param {Object} [body] JSON body.
+   * @returns {Promise<Object|null>}
+   */
+  async function request(method, endpoint, body) {
+    if (method !== "GET" && isDryRun()) {
+      console.log(`[dry-run] Would call: ${method} ${baseUrl}${endpoint}`);
+      return null;
+    }
+
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      method,
+      headers: {
+        "PRIVATE-TOKEN": token,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const message = data.message || data.error || response.statusText;
+      throw new Error(
+        `GitLab API ${method} ${endpoint} failed with ${response.status}: ${
+          typeof message === "string" ? message : JSON.stringify(message)
+        }`
+      );
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  const projectPath = (project) =>
+    `/projects/${encodeURIComponent(project)}`;
+
+  return {
+    /**
+     * Finds the open MR whose source branch is `branch`.
+     * @param {string} project Full project path, e.g. "group/subgroup/repo".
+     * @returns {Promise<Object|null>} The MR or null if none is open.
+     */
+    async findMergeRequest(project, branch) {
+      const mergeRequests = await request(
+        "GET",
+        `${projectPath(project)}/merge_requests?state=opened&source_branch=${encodeURIComponent(branch)}`
+      );
+      return mergeRequests?.[0] || null;
+    },
+
+    /**
+     * Creates an MR.
+     * @param {string} project Full project path.
+     * @param {{source_branch: string, target_branch: string, title: string, description: string, assignee_id?: number}} mr
+     * @returns {Promise<Object|null>}
+     */
+    createMergeRequest(project, mr) {
+      return request("POST", `${projectPath(project)}/merge_requests`, mr);
+    },
+
+    /**
+     * Updates fields (description, title, target_branch, ...) of an existing MR.
+     * @returns {Promise<Object|null>}
+     */
+    updateMergeRequest(project, iid, fields) {
+      return request(
+        "PUT",
+        `${projectPath(project)}/merge_requests/${iid}`,
+        fields
+      );
+    },
+
+    /**
+     * Gets the user the token belongs to.
+     * @returns {Promise<{id: number, username: string}>}
+     */
+    getCurrentUser() {
+      return request("GET", "/user");
+    },
+  };
+}
@@ -0,0 +1,223 @@
+import { isDryRun } from "./helpers.js";
+import { getRemoteUrl, parseRemoteUrl } from "./git.js";
+import { createGitLabClient, getGitLabToken } from "./gitlab-api.js";
+import {
+  ensureBranchPublished,
+  ensureSameRepository,
+  reportBaseUpdate,
+  resolveUpdatedDescription,
+  shareNewPRUrl,
+  shouldUpdateBase,
+  writePRBodyFile,
+} from "./publish.js";
+
+/**
+ * Parses a GitLab remote URL. Projects may live in nested groups, so the
+ * full path is kept as `project` and split into `owner` (namespace) and `repo`.
+ * @param {string} repoUrl The remote URL (HTTPS or SSH).
+ * @returns {{host: string, project: string, owner: string, repo: string}|null}
+ */
+export function parseGitLabRepoUrl(repoUrl) {
+  const remote = parseRemoteUrl(repoUrl);
+  if (!remote || !remote.path.includes("/")) {
+    return null;
+  }
+  const parts = remote.path.split("/");
+  return {
+    host: remote.host,
+    project: remote.path,
+    owner: parts.slice(0, -1).join("/"),
+    repo: parts[parts.length - 1],
+  };
+}
+
+/**
+ * Reads the `origin` remote and parses it as a GitLab project.
+ * @returns {Promise<{host: string, project: string, owner: string, repo: string}|null>}
+ */
+export async function getGitLabRepoInfo() {
+  try {
+    return parseGitLabRepoUrl(await getRemoteUrl());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Opens a new GitLab Merge Request page: prints the pre-filled URL and copies it,
+ * then copies the full description to the clipboard.
+ * @param {string} prDescription The generated MR description.
+ * @param {string} prTitle The MR title.
+ * @param {string} repoUrl The GitLab remote URL.
+ * @param {string} currentBranch The source branch.
+ * @param {string} baseBranch The target branch.
+ */
+export async function openGitLabMRInBrowser(
+  prDescription,
+  prTitle,
+  repoUrl,
+  currentBranch,
+  baseBranch
+) {
+  const repoInfo = parseGitLabRepoUrl(repoUrl);
+  if (!repoInfo) {
+    console.error("Could not parse GitLab repository URL:", repoUrl);
+    return;
+  }
+  if (!(await ensureSameRepository(currentBranch, { forgeName: "GitLab", label: "MR" }))) {
+    return;
+  }
+
+  const params = new URLSearchParams({
+    "merge_request[source_branch]": currentBranch,
+    "merge_request[target_branch]": baseBranch,
+    "merge_request[title]": prTitle,
+    "merge_request[description]": prDescription,
+  });
+  const gitlabMRUrl = `https://${repoInfo.host}/${repoInfo.project}/-/merge_requests/new?${params}`;
+
+  await shareNewPRUrl(gitlabMRUrl, prDescription, {
+    forgeName: "GitLab",
+    label: "MR",
+  });
+}
+
+/**
+ * Fetches the description of the open MR for a branch.
+ * @param {string} branchName The source branch.
+ * @returns {Promise<string|null>} The MR description or null if there is none.
+ */
+export async function getGitLabMRDescription(branchName) {
+  const token = getGitLabToken();
+  const repoInfo = await getGitLabRepoInfo();
+  if (!token || !repoInfo) {
+    return null;
+  }
+  try {
+    const mr = await createGitLabClient({
+      token,
+      host: repoInfo.host,
+    }).findMergeRequest(repoInfo.project, branchName);
+    return mr?.description || null;
+  } catch (error) {
+    console.warn(`Could not fetch existing MR description: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Creates a GitLab Merge Request (or updates the existing one) through the REST API.
+ * `--draft` prefixes the title with "Draft:" and `--self` assigns the token's user.
+ * @param {string} prDescription The generated MR description.
+ * @param {string} prTitle The MR title.
+ * @param {string} currentBranch The source branch.
+ * @param {string} baseBranch The target branch.
+ * @param {Object} argv Command line arguments.
+ * @returns {Promise<string|null>} The MR URL, or null when nothing was created or updated.
+ */
+export async function createGitLabMR(
+  prDescription,
+  prTitle,
+  currentBranch,
+  baseBranch,
+  argv
+) {
+  const token = getGitLabToken();
+  if (!token) {
+    console.error(
+      "GITLAB_TOKEN is not set. Create a personal access token with the `api` scope to create merge requests."
+    );
+    return null;
+  }
+
+  if (!(await ensureSameRepository(currentBranch, { forgeName: "GitLab", label: "MR" }))) {
+    return null;
+  }
+
+  try {
+    const repoInfo = await getGitLabRepoInfo();
+    if (!repoInfo) {
+      console.error("Could not determine the GitLab project from the origin remote.");
+      return null;
+    }
+    const client = createGitLabClient({ token, host: repoInfo.host });
+
+    const existingMr = await client.findMergeRequest(
+      repoInfo.project,
+      currentBranch
+    );
+    if (existingMr) {
+      console.log(
+        `A merge request for branch "${currentBranch}" already exists: ${existingMr.web_url}`
+      );
+
+      const updatedDescription = await resolveUpdatedDescription(
+        existingMr.description,
+        prDescription,
+        argv
+      );
+      const currentBase = existingMr.target_branch;
+      const updateBase = shouldUpdateBase(argv, currentBase, baseBranch);
+      if (updatedDescription === null && !updateBase) {
+        console.log("Keeping the current MR description. Exiting.");
+        return null;
+      }
+
+      if (isDryRun() && updatedDescription !== null) {
+        await writePRBodyFile(updatedDescription);
+      }
+      await client.updateMergeRequest(repoInfo.project, existingMr.iid, {
+        ...(updatedDescription !== null ? { description: updatedDescription } : {}),
+        ...(updateBase ? { target_branch: baseBranch } : {}),
+      });
+      if (updateBase) {
+        reportBaseUpdate(currentBase, baseBranch, "Merge Request");
+      }
+      if (updatedDescription !== null) {
+        console.log(
+          isDryRun()
+            ? "[dry-run] Merge Request description was not updated."
+            : "Merge Request description updated successfully."
+        );
+      }
+      return existingMr.web_url;
+    }
+
+    if (!(await ensureBranchPublished(currentBranch))) {
+      return null;
+    }
+
+    let assigneeId;
+    if (argv.self) {
+      try {
+        assigneeId = (await client.getCurrentUser()).id;
+      } catch (userError) {
+        console.warn(`Could not assign the MR to yourself: ${userError.message}`);
+      }
+    }
+
+    if (isDryRun()) {
+      await writePRBodyFile(prDescription);
+    }
+    const mr = await client.createMergeRequest(repoInfo.project, {
+      source_branch: currentBranch,
+      target_branch: baseBranch,
+      title: argv.draft ? `Draft: ${prTitle}` : prTitle,
+      description: prDescription,
+      ...(assigneeId ? { assignee_id: assigneeId } : {}),
+    });
+    if (!mr) {
+      console.log("[dry-run] Merge Request was not created.");
+      return null;
+    }
+
+    console.log(`Merge Request created successfully: ${mr.web_url}`);
+    return mr.web_url;
+  } catch (error) {
+    console.error("Failed to create MR using the GitLab API:", error.message);
+    console.log(
+      "Please ensure GITLAB_TOKEN has the `api` scope and access to the project."
+    );
+    return null;
+  }
+}
@@ -1,34 +1,168 @@
-import { exec } from "child_process";
+import { execFile } from "child_process";
 import ora from "ora";
 
+let dryRun = false;
+
+/**
+ * Enables or disables dry-run mode for the rest of the run.
+ * @param {boolean} enabled
+ */
+export function setDryRun(enabled) {
+  dryRun = Boolean(enabled);
+}
+
+/**
+ * Whether mutating commands are only printed instead of executed.
+ * @returns {boolean}
+ */
+export function isDryRun() {
+  return dryRun;
+}
+
+/**
+ * Runs an async function over a list with at most `limit` calls in flight.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit Maximum number of concurrent calls.
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>} The results, in the order of `items`.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker)
+  );
+  return results;
+}
+
 /**
- * Executes a shell command and returns its output.
- * @param {string} command The command to execute.
- * @returns {Promise<string>} The command's stdout.
+ * Time after which a command is killed, in milliseconds.
+ * @type {number}
  */
-export async function executeCommand(
-  command,
-  spinnerText = "Executing command...",
-  logSuccess = true
-) {
-  const spinner = ora(spinnerText).start();
+export const DEFAULT_COMMAND_TIMEOUT = 120000;
+
+/**
+ * Formats a command for display, quoting arguments the way a POSIX shell would
+ * need them so the printed line can be copied and run.
+ * @param {string} file
+ * @param {string[]} args
+ * @returns {string}
+ */
+export function formatCommand(file, args = []) {
+  return [file, ...args]
+    .map((arg) =>
+      /^[\w@%+=:,./^{}~-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`
+    )
+    .join(" ");
+}
+
+/**
+ * Runs a program with an argument list. No shell is involved, so branch names,
+ * titles or bodies containing quotes, spaces or `$()` are passed through as is.
+ * @param {string} file The program, e.g. "git" or "gh".
+ * @param {string[]} [args=[]] Its arguments.
+ * @param {Object} [options={}]
+ * @param {string} [options.spinnerText] Show a spinner with this text while the command runs; none by default.
+ * @param {boolean} [options.logSuccess=false] Log a success message when the command completes.
+ * @param {boolean} [options.logErrors=true] Log failures; disable for probes that are expected to fail.
+ * @param {boolean} [options.showStderr=false] Print what the command wrote to stderr (progress, warnings).
+ * @param {number} [options.timeout=DEFAULT_COMMAND_TIMEOUT] Milliseconds before the command is killed;
+ *   0 never kills it.
+ * @param {boolean} [options.shell=false] Run through the shell, which Windows needs for
+ *   `.cmd` programs such as `npm.cmd`. Only for fixed arguments.
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>} Trimmed stdout and stderr.
+ *   Rejects on a non-zero exit, a timeout or a missing program with an Error that also
+ *   carries `stdout`, `stderr`, `exitCode` and `timedOut`.
+ */
+export function runCommand(file, args = [], options = {}) {
+  const {
+    spinnerText,
+    logSuccess = false,
+    logErrors = true,
+    showStderr = false,
+    timeout = DEFAULT_COMMAND_TIMEOUT,
+    shell = false,
+  } = options;
+  const command = formatCommand(file, args);
+  const spinner = spinnerText ? ora(spinnerText).start() : null;
+
   return new Promise((resolve, reject) => {
-    exec(command, (error, stdout, stderr) => {
-      if (error) {
-        spinner.fail(`Command failed: ${command}`);
-        console.error(`exec error: ${error}`);
-        return reject(error);
-      }
-      if (stderr) {
-        spinner.warn(`Command had stderr: ${stderr}`);
-        console.error(`stderr: ${stderr}`);
-      } else if (logSuccess) {
-        spinner.succeed(`Command successful: ${command}`);
-      } else {
-        spinner.stop();
+    execFile(
+      file,
+      args,
+      { timeout, shell, maxBuffer: 64 * 1024 * 1024, windowsHide: true },
+      (error, stdout, stderr) => {
+        const result = {
+          stdout: String(stdout).trim(),
+          stderr: String(stderr).trim(),
+          exitCode: error ? (typeof error.code === "number" ? error.code : 1) : 0,
+        };
+
+        if (error) {
+          const timedOut = Boolean(error.killed && error.signal);
+          const reason = timedOut
+            ? `timed out after ${timeout / 1000}s`
+            : error.code === "ENOENT"
+              ? `${file} was not found`
+              : `exit code ${result.exitCode}`;
+          const failure = Object.assign(
+            new Error(`Command failed (${reason}): ${command}${result.stderr ? `\n${result.stderr}` : ""}`),
+            result,
+            { timedOut }
+          );
+          if (logErrors) {
+            spinner ? spinner.fail(`Command failed: ${command}`) : console.error(`Command failed: ${command}`);
+            console.error(result.stderr || failure.message);
+          } else {
+            spinner?.stop();
+          }
+          return reject(failure);
+        }
+
+        if (logSuccess) {
+          spinner ? spinner.succeed(`Command successful: ${command}`) : console.log(`Command successful: ${command}`);
+        } else {
+          spinner?.stop();
+        }
+        if (showStderr && result.stderr) {
+          console.error(result.stderr);
+        }
+        resolve(result);
       }
-      resolve(stdout.trim());
-    });
+    );
+  });
+}
+
+/**
+ * Runs a command that changes local or remote state (`git checkout -b`, `git push`,
+ * `gh pr create`, ...). Its stderr (push progress, gh warnings) is shown. In dry-run
+ * mode the command is printed instead and an empty result is returned. These commands
+ * are not killed after DEFAULT_COMMAND_TIMEOUT: a push or an install may take long.
+ * @param {string} file The program.
+ * @param {string[]} [args=[]] Its arguments.
+ * @param {Object} [options={}] See runCommand; a spinner is shown with `spinnerText`
+ *   (default "Executing command..."), success is logged unless `logSuccess` is false
+ *   and `timeout` defaults to 0 (none).
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ */
+export async function runMutatingCommand(file, args = [], options = {}) {
+  if (dryRun) {
+    console.log(`[dry-run] Would run: ${formatCommand(file, args)}`);
+    return { stdout: "", stderr: "", exitCode: 0 };
+  }
+  return runCommand(file, args, {
+    spinnerText: "Executing command...",
+    logSuccess: true,
+    showStderr: true,
+    timeout: 0,
+    ...options,
   });
 }
 
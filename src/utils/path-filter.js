@@ -0,0 +1,125 @@
+import fs from "fs/promises";
+import path from "path";
+import { runCommand } from "./helpers.js";
+
+export const IGNORE_FILE = ".prcliignore";
+
+/**
+ * Paths left out of `--read` diffs unless re-included with `!pattern` in
+ * `.prcliignore` or with `--include`: lockfiles and minified/bundled output.
+ * @type {string[]}
+ */
+export const DEFAULT_EXCLUDES = [
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "composer.lock",
+  "Gemfile.lock",
+  "Cargo.lock",
+  "poetry.lock",
+  "go.sum",
+  "*.min.js",
+  "*.min.css",
+  "*.map",
+];
+
+/**
+ * Converts a gitignore-style glob into a regular expression over repository paths.
+ * `*` and `?` stay within a path segment, `**` crosses segments, a pattern without
+ * a slash matches a file or directory name at any depth, a leading `/` anchors it
+ * to the repository root and a match on a directory covers everything inside it.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let pattern = glob.trim().replace(/\/+$/, "");
+  const anchored = pattern.startsWith("/") || pattern.includes("/");
+  pattern = pattern.replace(/^\//, "");
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`${anchored ? "^" : "(^|/)"}${source}(/|$)`);
+}
+
+/**
+ * Creates a predicate telling whether a changed file is left out of diffs. Rules are
+ * applied in order and the last matching one wins, so `!pattern` re-includes a path
+ * excluded earlier. With `include` globs, only matching paths are kept, and they are
+ * kept even when an exclude rule matches them.
+ * @param {{exclude?: string[], include?: string[]}} [options={}]
+ *   `exclude` holds ignore rules (defaults, then `.prcliignore`, then `--exclude`).
+ * @returns {(filePath: string) => boolean}
+ */
+export function createPathFilter({ exclude = [], include = [] } = {}) {
+  const rules = exclude
+    .map((rule) => rule.trim())
+    .filter((rule) => rule && !rule.startsWith("#"))
+    .map((rule) =>
+      rule.startsWith("!")
+        ? { negate: true, regex: globToRegExp(rule.slice(1)) }
+        : { negate: false, regex: globToRegExp(rule) }
+    );
+  const includes = include.filter(Boolean).map(globToRegExp);
+
+  return (filePath) => {
+    if (includes.length > 0) {
+      return !includes.some((regex) => regex.test(filePath));
+    }
+    let excluded = false;
+    for (const rule of rules) {
+      if (rule.regex.test(filePath)) {
+        excluded = !rule.negate;
+      }
+    }
+    return excluded;
+  };
+}
+
+/**
+ * Reads the `.prcliignore` file at the repository root.
+ * @returns {Promise<string[]>} Its lines, or an empty list when there is none.
+ */
+async function readIgnoreFile() {
+  let root;
+  try {
+    ({ stdout: root } = await runCommand("git", ["rev-parse", "--show-toplevel"], {
+      logErrors: false,
+    }));
+  } catch (error) {
+    root = process.cwd();
+  }
+  try {
+    return (await fs.readFile(path.join(root, IGNORE_FILE), "utf8")).split(/\r?\n/);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Builds the path filter for `--read` diffs from the built-in defaults,
+ * `.prcliignore` and the `--exclude`/`--include` flags.
+ * @param {{exclude?: string|string[], include?: string|string[]}} [options={}]
+ * @returns {Promise<(filePath: string) => boolean>} See createPathFilter.
+ */
+export async function loadPathFilter({ exclude = [], include = [] } = {}) {
+  return createPathFilter({
+    exclude: [...DEFAULT_EXCLUDES, ...(await readIgnoreFile()), ...[].concat(exclude)],
+    include: [].concat(include),
+  });
+}
@@ -0,0 +1,157 @@
+// `else` and closing tags have no name; other tags need one. Tags right after a `$`
+// (GitHub Actions expressions such as `${{ secrets.TOKEN }}`) are left alone.
+const TAG_PATTERN =
+  /(?<!\$)\{\{\s*(?:(else|\/if|\/unless)|(#if|#unless)?\s*([\w.-]+))\s*\}\}/g;
+
+/**
+ * Tells whether a template uses `{{...}}` placeholders.
+ * @param {string} template
+ * @returns {boolean}
+ */
+export function hasPlaceholders(template) {
+  return new RegExp(TAG_PATTERN.source).test(template || "");
+}
+
+/**
+ * Looks up a dotted path (e.g. "changes.feat") in the context.
+ * @param {Object} context
+ * @param {string} path
+ * @returns {*} The value, or undefined when a part of the path is missing.
+ */
+function lookup(context, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * Tells whether a value counts as present for `{{#if}}`: empty strings and lists
+ * do not.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPresent(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Formats a value for output: lists become markdown bullet lists.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => `- ${item}`).join("\n");
+  }
+  return value == null || typeof value === "object" ? "" : String(value);
+}
+
+/**
+ * Splits a template into text and tags. A block tag (`{{#if}}`, `{{else}}`, ...)
+ * alone on its line takes the whole line with it, so blocks leave no blank lines.
+ * @param {string} template
+ * @returns {Array<{type: "text", value: string}|{type: "tag", block: string|undefined, name: string, raw: string}>}
+ */
+function tokenize(template) {
+  const tokens = [];
+  let last = 0;
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    const block = match[1] || match[2];
+    let start = match.index;
+    let end = start + match[0].length;
+    if (block) {
+      const lineStart = template.lastIndexOf("\n", start - 1) + 1;
+      const lineEnd = template.indexOf("\n", end);
+      const standalone =
+        !template.slice(lineStart, start).trim() &&
+        !template.slice(end, lineEnd === -1 ? template.length : lineEnd).trim();
+      if (standalone && lineStart >= last) {
+        start = lineStart;
+        end = lineEnd === -1 ? template.length : lineEnd + 1;
+      }
+    }
+    tokens.push({ type: "text", value: template.slice(last, start) });
+    tokens.push({ type: "tag", block, name: match[3] || "", raw: match[0] });
+    last = end;
+  }
+  tokens.push({ type: "text", value: template.slice(last) });
+  return tokens;
+}
+
+/**
+ * Parses tokens into a tree of text, values and conditional blocks.
+ * @param {Array} tokens From tokenize; consumed from the front.
+ * @param {string|null} closing The closing tag that ends the current block.
+ * @returns {{nodes: Array, elseNodes: Array|null}}
+ */
+function parse(tokens, closing) {
+  const nodes = [];
+  let elseNodes = null;
+  let target = nodes;
+
+  while (tokens.length > 0) {
+    const token = tokens.shift();
+    if (token.type === "text") {
+      target.push(token);
+    } else if (!token.block) {
+      target.push({ type: "value", name: token.name });
+    } else if (token.block === "#if" || token.block === "#unless") {
+      const branches = parse(tokens, token.block === "#if" ? "/if" : "/unless");
+      target.push({
+        type: "block",
+        name: token.name,
+        negate: token.block === "#unless",
+        ...branches,
+      });
+    } else if (token.block === "else" && closing && elseNodes === null) {
+      elseNodes = [];
+      target = elseNodes;
+    } else if (token.block === closing) {
+      return { nodes, elseNodes };
+    } else {
+      throw new Error(`Unexpected ${token.raw}`);
+    }
+  }
+
+  if (closing) {
+    throw new Error(`Missing {{${closing}}}`);
+  }
+  return { nodes, elseNodes };
+}
+
+/**
+ * Renders parsed nodes against a context.
+ * @param {Array} nodes
+ * @param {Object} context
+ * @returns {string}
+ */
+function renderNodes(nodes, context) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") {
+        return node.value;
+      }
+      if (node.type === "value") {
+        return formatValue(lookup(context, node.name));
+      }
+      const present = isPresent(lookup(context, node.name));
+      const branch = present !== node.negate ? node.nodes : node.elseNodes || [];
+      return renderNodes(branch, context);
+    })
+    .join("");
+}
+
+/**
+ * Fills a template's placeholders. `{{name}}` and `{{a.b}}` insert values (lists
+ * as bullet lists, missing values as nothing); `{{#if name}}...{{else}}...{{/if}}`
+ * and `{{#unless name}}...{{/unless}}` keep their content depending on whether the
+ * value is present (non-empty).
+ * @param {string} template
+ * @param {Object} context
+ * @returns {string}
+ * @throws {Error} When the blocks are not properly opened and closed.
+ */
+export function renderTemplate(template, context) {
+  const { nodes } = parse(tokenize(template.replace(/\r\n/g, "\n")), null);
+  return renderNodes(nodes, context);
+}
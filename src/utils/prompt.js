@@ -0,0 +1,92 @@
+import inquirer from "inquirer";
+
+let interactive = true;
+let assumeYes = false;
+
+/**
+ * Error raised when a prompt cannot be answered in non-interactive mode.
+ * The CLI turns it into a message and a non-zero exit code.
+ */
+export class NonInteractiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NonInteractiveError";
+    this.exitCode = 2;
+  }
+}
+
+/**
+ * Configures how prompts are answered for the rest of the run.
+ * @param {{interactive?: boolean, assumeYes?: boolean}} options
+ *   `interactive: false` never reads stdin; `assumeYes` answers every confirmation with "yes".
+ */
+export function configurePrompts(options = {}) {
+  interactive = options.interactive ?? true;
+  assumeYes = options.assumeYes ?? false;
+}
+
+/**
+ * Whether prompts are shown to the user.
+ * @returns {boolean}
+ */
+export function isInteractive() {
+  return interactive;
+}
+
+/**
+ * Answers a single question without reading stdin.
+ * Confirmations need `--yes`; other questions use their default value.
+ * @param {Object} question An inquirer question, optionally with a `flag` hint.
+ * @returns {Promise<*>} The answer.
+ */
+async function answerNonInteractively(question) {
+  const { flag, message } = question;
+  const hint = flag ? ` Pass ${flag} to answer it.` : "";
+
+  if (question.type === "confirm") {
+    if (assumeYes) {
+      return true;
+    }
+    throw new NonInteractiveError(
+      `Confirmation required in non-interactive mode: "${message}". Re-run with --yes to accept.${hint}`
+    );
+  }
+
+  if (question.default === undefined) {
+    throw new NonInteractiveError(
+      `No answer available in non-interactive mode for: "${message}".${hint}`
+    );
+  }
+
+  const answer = question.filter
+    ? await question.filter(question.default)
+    : question.default;
+  if (question.validate) {
+    const valid = await question.validate(answer);
+    if (valid !== true) {
+      throw new NonInteractiveError(
+        `Invalid default answer for "${message}": ${valid}.${hint}`
+      );
+    }
+  }
+  return answer;
+}
+
+/**
+ * Drop-in replacement for `inquirer.prompt` that honours non-interactive mode.
+ * Questions may carry a `flag` property naming the CLI flag that answers them,
+ * which is used in error messages and stripped before reaching inquirer.
+ * @param {Object[]} questions Inquirer questions.
+ * @returns {Promise<Object>} Answers keyed by question name.
+ */
+export async function promptUser(questions) {
+  if (interactive) {
+    return inquirer.prompt(questions.map(({ flag, ...question }) => question));
+  }
+
+  const answers = {};
+  for (const question of questions) {
+    answers[question.name] = await answerNonInteractively(question);
+  }
+  return answers;
+}
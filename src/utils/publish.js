@@ -0,0 +1,305 @@
+import fs from "fs/promises";
+import clipboardy from "clipboardy";
+import path from "path";
+import {
+  runCommand,
+  runMutatingCommand,
+  isDryRun,
+} from "./helpers.js";
+import { isInteractive, promptUser } from "./prompt.js";
+import { getBaseRemote, getHeadRemote, isPushedToBaseRepository } from "./git.js";
+import {
+  KEEP_MARKER,
+  applySectionChanges,
+  compareSections,
+  mergeDescriptions,
+  stripMarkers,
+} from "./sections.js";
+import { formatUnifiedDiff } from "./text-diff.js";
+
+/**
+ * Writes the PR body to a file (for `gh --body-file`, or as the dry-run audit copy). In dry-run mode the file is
+ * named `PR_BODY.dry-run.md` and kept so the would-be body can be audited.
+ * @param {string} prDescription The PR description.
+ * @returns {Promise<string>} The path of the written file.
+ */
+export async function writePRBodyFile(prDescription) {
+  const filePath = path.join(
+    process.cwd(),
+    isDryRun() ? "PR_BODY.dry-run.md" : "PR_BODY.md"
+  );
+  await fs.writeFile(filePath, prDescription);
+  if (isDryRun()) {
+    console.log(`[dry-run] PR body written to ${filePath}`);
+  }
+  return filePath;
+}
+
+/**
+ * Removes the temporary PR body file, keeping it in dry-run mode.
+ * @param {string} filePath
+ * @returns {Promise<void>}
+ */
+export async function removePRBodyFile(filePath) {
+  if (isDryRun()) {
+    return;
+  }
+  try {
+    await fs.unlink(filePath);
+  } catch (unlinkError) {}
+}
+
+/**
+ * Copies a text to the clipboard and reports it. In dry-run mode nothing is copied.
+ * @param {string} text
+ * @param {string} what What is copied, e.g. "PR description".
+ * @param {string} [hint=""] Printed after the success message.
+ * @returns {Promise<boolean>} True when the text was copied.
+ */
+export async function copyToClipboard(text, what, hint = "") {
+  if (isDryRun()) {
+    console.log(`[dry-run] ${what} was not copied to the clipboard.`);
+    return false;
+  }
+  try {
+    await clipboardy.write(text);
+    console.log(`${what} copied to clipboard!${hint ? ` ${hint}` : ""}`);
+    return true;
+  } catch (clipboardError) {
+    console.error(`Failed to copy ${what} to clipboard:`, clipboardError.message);
+    return false;
+  }
+}
+
+/**
+ * Prints the pre-filled new PR page URL and copies it to the clipboard, then copies
+ * the full description so it can be pasted on forges whose URLs cannot carry it.
+ * @param {string} url The new PR page URL.
+ * @param {string} prDescription The PR description.
+ * @param {{forgeName: string, label?: string}} options Forge name and "PR"/"MR" label for messages.
+ */
+export async function shareNewPRUrl(url, prDescription, { forgeName, label = "PR" }) {
+  console.log(`\nGenerated ${forgeName} ${label} URL: ${url}`);
+  await copyToClipboard(
+    url,
+    `${forgeName} ${label} URL`,
+    "Please paste it into your browser."
+  );
+  await copyToClipboard(
+    prDescription,
+    `Full ${label} description`,
+    `Paste it into the description field on the ${forgeName} page after opening the URL.`
+  );
+}
+
+/**
+ * Asks whether an existing PR description should be overwritten when the changes
+ * cannot be reviewed interactively; `--refill` skips the question.
+ * @param {Object} argv Command line arguments.
+ * @returns {Promise<boolean>}
+ */
+async function confirmOverwrite(argv) {
+  if (argv.refill) {
+    console.log(
+      "--refill flag detected; overwriting existing PR description without confirmation."
+    );
+    return true;
+  }
+
+  const { overwritePr } = await promptUser([
+    {
+      type: "confirm",
+      name: "overwritePr",
+      flag: "--refill",
+      message:
+        "A PR for this branch already exists. Do you want to overwrite its description with the newly generated content?",
+      default: true,
+    },
+  ]);
+  return overwritePr;
+}
+
+/**
+ * Tells whether an existing PR must be moved onto another base. Only callers that
+ * own the base ask for it (`argv.updateBase`, set by `pr-cli stack` so re-stacked
+ * PRs follow the branch below them); a plain refill never changes the target.
+ * @param {Object} argv Command line arguments.
+ * @param {string|null|undefined} currentBase The PR's current base branch.
+ * @param {string} baseBranch The base it should have.
+ * @returns {boolean}
+ */
+export function shouldUpdateBase(argv, currentBase, baseBranch) {
+  return Boolean(argv.updateBase && currentBase && baseBranch && currentBase !== baseBranch);
+}
+
+/**
+ * Reports a base change made (or, in dry-run mode, skipped) by shouldUpdateBase.
+ * @param {string} currentBase
+ * @param {string} baseBranch
+ * @param {string} [label="Pull Request"]
+ */
+export function reportBaseUpdate(currentBase, baseBranch, label = "Pull Request") {
+  console.log(
+    isDryRun()
+      ? `[dry-run] ${label} base was not changed from "${currentBase}" to "${baseBranch}".`
+      : `${label} base changed from "${currentBase}" to "${baseBranch}".`
+  );
+}
+
+/**
+ * Works out the description that replaces an existing one: the new description
+ * merged section by section into the current one (see mergeDescriptions). The
+ * changes are shown as a diff, then applied in full, section by section or not at
+ * all. They are applied without asking only in non-interactive runs (`--yes`, no
+ * terminal) with `--refill` or `--yes`, or when the caller already got them
+ * approved (`argv.acceptChanges`, e.g. the Stack links added by `pr-cli stack`).
+ * @param {string|null} currentDescription The description on the forge.
+ * @param {string} prDescription The newly generated description.
+ * @param {Object} argv Command line arguments.
+ * @returns {Promise<string|null>} The description to publish, or null to keep the
+ *   current one (also when nothing changed).
+ */
+export async function resolveUpdatedDescription(currentDescription, prDescription, argv) {
+  const current = currentDescription || "";
+  const { body, keptSections } = mergeDescriptions(current, prDescription);
+  if (keptSections.length > 0) {
+    console.log(
+      `Keeping ${keptSections.length} section(s) edited by hand or marked ${KEEP_MARKER}: ${keptSections.join(", ")}`
+    );
+  }
+
+  const diff = formatUnifiedDiff(stripMarkers(current), stripMarkers(body), {
+    labels: ["current description", "new description"],
+  });
+  if (!diff) {
+    console.log("The new description matches the current one; nothing to update.");
+    return null;
+  }
+  console.log(`\n--- Changes to the PR description ---\n${diff}\n`);
+
+  if (argv.acceptChanges) {
+    return body;
+  }
+  if (!isInteractive()) {
+    return (await confirmOverwrite(argv)) ? body : null;
+  }
+
+  const { action } = await promptUser([
+    {
+      type: "list",
+      name: "action",
+      message: "Apply these changes to the PR description?",
+      choices: [
+        { name: "Accept all changes", value: "all" },
+        { name: "Choose section by section", value: "sections" },
+        { name: "Cancel", value: "cancel" },
+      ],
+      default: "all",
+    },
+  ]);
+  if (action === "cancel") {
+    return null;
+  }
+  if (action === "all") {
+    return body;
+  }
+
+  const accepted = new Set();
+  for (const change of compareSections(current, body)) {
+    if (change.before === change.after) {
+      continue;
+    }
+    const name = change.heading || "(text before the first heading)";
+    console.log(
+      `\n${formatUnifiedDiff(change.before || "", change.after || "", {
+        labels: [`current: ${name}`, `new: ${name}`],
+      })}\n`
+    );
+    const { apply } = await promptUser([
+      {
+        type: "confirm",
+        name: "apply",
+        message:
+          change.after === null
+            ? `Remove the section "${name}"?`
+            : change.before === null
+              ? `Add the section "${name}"?`
+              : `Apply the changes to "${name}"?`,
+        default: true,
+      },
+    ]);
+    if (apply) {
+      accepted.add(change.key);
+    }
+  }
+  if (accepted.size === 0) {
+    return null;
+  }
+  return applySectionChanges(current, body, accepted);
+}
+
+/**
+ * Makes sure the branch exists on its head remote (`origin`, or the fork), offering to publish it.
+ * @param {string} currentBranch The current branch name.
+ * @returns {Promise<boolean>} True when the branch is (now) published.
+ */
+export async function ensureBranchPublished(currentBranch) {
+  try {
+    await runCommand(
+      "git",
+      ["rev-parse", "--abbrev-ref", "--symbolic-full-name", `${currentBranch}@{u}`],
+      {
+        spinnerText: `Checking if branch "${currentBranch}" is published...`,
+        logErrors: false,
+      }
+    );
+    return true;
+  } catch (error) {
+    console.log(`Branch "${currentBranch}" is not published to remote.`);
+  }
+
+  const remote = await getHeadRemote(currentBranch);
+  const { publishBranch } = await promptUser([
+    {
+      type: "confirm",
+      name: "publishBranch",
+      message: `Do you want to publish branch "${currentBranch}" to ${remote}?`,
+      default: true,
+    },
+  ]);
+
+  if (!publishBranch) {
+    console.log("Cannot create PR without publishing the branch. Exiting.");
+    return false;
+  }
+
+  try {
+    await runMutatingCommand("git", ["push", "--set-upstream", remote, currentBranch], {
+      spinnerText: `Publishing branch "${currentBranch}"...`,
+    });
+    console.log(`Branch "${currentBranch}" published successfully.`);
+    return true;
+  } catch (publishError) {
+    console.error(`Failed to publish branch: ${publishError.message}`);
+    return false;
+  }
+}
+
+/**
+ * Stops PRs from forks on forges that cannot open them yet: only GitHub resolves a
+ * fork head (`owner:branch`). Elsewhere a branch pushed to another repository would
+ * be looked up and opened against the base repository by name.
+ * @param {string} currentBranch The branch to open the PR from.
+ * @param {{forgeName: string, label?: string}} forge Forge name and request label for messages.
+ * @returns {Promise<boolean>} False (after printing why) when the branch is pushed to a fork.
+ */
+export async function ensureSameRepository(currentBranch, { forgeName, label = "PR" }) {
+  if (await isPushedToBaseRepository(currentBranch)) {
+    return true;
+  }
+  const headRemote = await getHeadRemote(currentBranch);
+  console.error(
+    `✖ Branch "${currentBranch}" is pushed to "${headRemote}", another repository than "${getBaseRemote()}". ${forgeName} ${label}s from forks are not supported; push the branch to "${getBaseRemote()}" (--head-remote ${getBaseRemote()}) or open the ${label} from the fork.`
+  );
+  return false;
+}
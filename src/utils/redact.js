@@ -0,0 +1,164 @@
+/**
+ * Built-in detectors, applied in order. `mask` receives the match and its capture
+ * groups and returns the replacement; by default the whole match is replaced.
+ * @type {Array<{name: string, pattern: RegExp, mask?: Function}>}
+ */
+const DETECTORS = [
+  {
+    name: "private-key",
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  { name: "aws-access-key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: "github-token", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { name: "gitlab-token", pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g },
+  { name: "slack-token", pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { name: "google-api-key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: "stripe-key", pattern: /\b[sr]k_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+  { name: "api-key", pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { name: "jwt", pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  {
+    name: "url-credentials",
+    pattern: /\b([a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)([^\s@/]+)@/gi,
+    mask: (match, prefix) => `${prefix}[REDACTED:url-credentials]@`,
+  },
+  {
+    name: "secret-assignment",
+    pattern: /\b([\w.-]*(?:password|passwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)[\w.-]*["']?\s*[:=]\s*)(["'])([^"'\s]{6,})\2/gi,
+    mask: (match, prefix, quote, value) =>
+      isRedacted(value) ? match : `${prefix}${quote}[REDACTED:secret-assignment]${quote}`,
+  },
+  {
+    name: "env-secret",
+    pattern: /^([+-]?\s*(?:export\s+)?[A-Z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*\s*=\s*)(\S+)$/gm,
+    mask: (match, prefix, value) =>
+      isRedacted(value) ? match : `${prefix}[REDACTED:env-secret]`,
+  },
+  { name: "email", pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  {
+    name: "high-entropy",
+    pattern: /[A-Za-z0-9/_=-][A-Za-z0-9+/_=-]{23,}/g,
+    mask: (match) => (isHighEntropySecret(match) ? "[REDACTED:high-entropy]" : match),
+  },
+];
+
+/**
+ * Minimum Shannon entropy (bits per character) for a long token to count as a secret.
+ * @type {number}
+ */
+const ENTROPY_THRESHOLD = 4;
+
+let redactionEnabled = true;
+let customDetectors = [];
+
+/**
+ * Configures redaction for every prompt sent to the AI. Called once by the CLI
+ * from the `redact` and `redactPatterns` options.
+ * @param {{enabled?: boolean, patterns?: Array<string|{name: string, pattern: string}>}} [options={}]
+ *   `patterns` are extra regular expressions (as strings) whose matches are masked.
+ */
+export function configureRedaction({ enabled = true, patterns = [] } = {}) {
+  redactionEnabled = enabled !== false;
+  customDetectors = [];
+  for (const entry of [].concat(patterns || [])) {
+    const name = typeof entry === "string" ? "custom" : entry.name || "custom";
+    const source = typeof entry === "string" ? entry : entry.pattern;
+    try {
+      customDetectors.push({ name, pattern: new RegExp(source, "g") });
+    } catch (error) {
+      console.warn(`Ignoring invalid redaction pattern "${source}": ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Tells whether a value was already masked by an earlier detector.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isRedacted(value) {
+  return value.includes("[REDACTED:");
+}
+
+/**
+ * Computes the Shannon entropy of a string in bits per character.
+ * @param {string} text
+ * @returns {number}
+ */
+function shannonEntropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / text.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Tells whether a long token looks like a random secret rather than code: mixed
+ * case, several digits and high entropy. Hex strings (commit hashes, checksums) and
+ * identifiers with a digit or two are kept.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isHighEntropySecret(token) {
+  if (/^[0-9a-f]+$/i.test(token)) {
+    return false;
+  }
+  return (
+    (token.match(/\d/g) || []).length >= 3 &&
+    /[a-z]/.test(token) &&
+    /[A-Z]/.test(token) &&
+    shannonEntropy(token) >= ENTROPY_THRESHOLD
+  );
+}
+
+/**
+ * Masks secrets and personal data in a text: common key and token formats,
+ * credentials in URLs and assignments, emails, high-entropy strings and the
+ * configured custom patterns.
+ * @param {string} text
+ * @returns {{text: string, findings: Object.<string, number>}} The masked text and
+ *   how many values each detector masked.
+ */
+export function redactText(text) {
+  const findings = {};
+  if (!redactionEnabled || !text) {
+    return { text, findings };
+  }
+
+  let result = text;
+  for (const detector of [...customDetectors, ...DETECTORS]) {
+    result = result.replace(detector.pattern, (...args) => {
+      const match = args[0];
+      const masked = detector.mask
+        ? detector.mask(...args)
+        : `[REDACTED:${detector.name}]`;
+      if (masked !== match) {
+        findings[detector.name] = (findings[detector.name] || 0) + 1;
+      }
+      return masked;
+    });
+  }
+  return { text: result, findings };
+}
+
+/**
+ * Prints what redactText masked, without revealing the values.
+ * @param {Object.<string, number>} findings From redactText.
+ * @param {string} destination Where the text was going, e.g. "gemini".
+ */
+export function printRedactionReport(findings, destination) {
+  const entries = Object.entries(findings);
+  if (entries.length === 0) {
+    return;
+  }
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+  console.log("\n--- Redaction Report ---");
+  console.warn(`⚠ Masked ${total} value(s) before sending the prompt to ${destination}:`);
+  for (const [name, count] of entries) {
+    console.warn(`   ${count} × ${name}`);
+  }
+  console.log("");
+}
@@ -0,0 +1,317 @@
+import crypto from "crypto";
+
+/**
+ * Marks a section of a PR description as owned by people: refills never replace it.
+ * @type {string}
+ */
+export const KEEP_MARKER = "<!-- pr-cli:keep -->";
+
+const GENERATED_MARKER_PATTERN = /\n*<!-- pr-cli:generated=([0-9a-f,]*) -->\n*/g;
+const LAST_SHA_MARKER_PATTERN = /\n*<!-- pr-cli:last-sha=([0-9a-f]{7,40}) -->\n*/g;
+const CHECKBOX_PATTERN = /^(\s*[-*+]\s+\[)([ xX])(\]\s*)(.*)$/;
+
+/**
+ * Splits a description into sections at markdown headings. Headings inside code
+ * fences are ignored; text before the first heading is a section without heading.
+ * @param {string} body
+ * @returns {Array<{heading: string|null, key: string, text: string}>} Sections in
+ *   order. `key` is the normalized heading text, numbered when a heading repeats.
+ */
+export function parseSections(body) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  let inFence = false;
+
+  for (const line of (body || "").replace(/\r\n/g, "\n").split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    const heading = !inFence && line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      sections.push(current);
+      current = { heading: heading[1].trim(), lines: [] };
+    }
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  const seen = {};
+  return sections
+    .map(({ heading, lines }) => ({ heading, text: lines.join("\n").trim() }))
+    .filter((section) => section.heading !== null || section.text)
+    .map((section) => {
+      const base =
+        section.heading === null
+          ? ""
+          : section.heading.replace(/[\s:]+$/, "").toLowerCase();
+      seen[base] = (seen[base] || 0) + 1;
+      return { ...section, key: seen[base] > 1 ? `${base}#${seen[base]}` : base };
+    });
+}
+
+/**
+ * Fingerprints a section so later refills can tell whether someone edited it.
+ * Checkbox states and whitespace are ignored: ticking a box does not make a
+ * section hand-written.
+ * @param {string} text
+ * @returns {string}
+ */
+function fingerprint(text) {
+  const normalized = text
+    .split("\n")
+    .map((line) => line.replace(CHECKBOX_PATTERN, "$1 $3$4").trim())
+    .filter(Boolean)
+    .join("\n");
+  return crypto.createHash("sha1").update(normalized).digest("hex").slice(0, 8);
+}
+
+/**
+ * Reads the fingerprints of the generated sections recorded in a description.
+ * @param {string} body
+ * @returns {Set<string>|null} Null when the description has no marker, e.g. it was
+ *   written by hand or before markers existed.
+ */
+function readGeneratedFingerprints(body) {
+  const matches = [...(body || "").matchAll(GENERATED_MARKER_PATTERN)];
+  if (matches.length === 0) {
+    return null;
+  }
+  return new Set(matches.flatMap((match) => match[1].split(",").filter(Boolean)));
+}
+
+/**
+ * Reads the newest commit a description was generated from.
+ * @param {string} body
+ * @returns {string|null}
+ */
+export function readLastSha(body) {
+  const matches = [...(body || "").matchAll(LAST_SHA_MARKER_PATTERN)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+/**
+ * Removes the hidden pr-cli markers from a description.
+ * @param {string} body
+ * @returns {string}
+ */
+export function stripMarkers(body) {
+  return (body || "")
+    .replace(GENERATED_MARKER_PATTERN, "\n\n")
+    .replace(LAST_SHA_MARKER_PATTERN, "\n\n")
+    .trim();
+}
+
+/**
+ * Joins sections into a description ending with hidden markers: the fingerprints
+ * of the generated sections and, when known, the newest commit described.
+ * @param {Array<{text: string, generated: boolean}>} sections
+ * @param {string|null} lastSha
+ * @returns {string}
+ */
+function joinSections(sections, lastSha) {
+  const fingerprints = sections
+    .filter((section) => section.generated)
+    .map((section) => fingerprint(section.text));
+  return [
+    ...sections.map((section) => section.text),
+    `<!-- pr-cli:generated=${fingerprints.join(",")} -->`,
+    ...(lastSha ? [`<!-- pr-cli:last-sha=${lastSha} -->`] : []),
+  ].join("\n\n");
+}
+
+/**
+ * Marks every section of a freshly generated description as generated, so a later
+ * refill knows which sections it may replace, and records the newest commit it
+ * describes, so a later refill only reads the commits after it.
+ * @param {string} body
+ * @param {{lastSha?: string|null}} [options={}]
+ * @returns {string}
+ */
+export function markGenerated(body, { lastSha = null } = {}) {
+  return joinSections(
+    parseSections(stripMarkers(body)).map((section) => ({
+      text: section.text,
+      generated: true,
+    })),
+    lastSha
+  );
+}
+
+/**
+ * Shortens a description to at most `limit` characters without losing its hidden
+ * markers: whole sections are dropped from the end and the last one that fits in
+ * part is cut, while the markers stay at the end (with the fingerprint of the cut
+ * section, so it still counts as generated).
+ * @param {string} body A description, e.g. from markGenerated.
+ * @param {number} limit
+ * @returns {string}
+ */
+export function truncateDescription(body, limit) {
+  if (body.length <= limit) {
+    return body;
+  }
+  const generated = readGeneratedFingerprints(body);
+  const lastSha = readLastSha(body);
+  const sections = parseSections(stripMarkers(body)).map((section) => ({
+    text: section.text,
+    generated: generated !== null && generated.has(fingerprint(section.text)),
+  }));
+  const addMarkers = generated !== null || lastSha !== null;
+  const join = (list) =>
+    addMarkers ? joinSections(list, lastSha) : list.map((section) => section.text).join("\n\n");
+
+  const kept = [];
+  for (const section of sections) {
+    if (join([...kept, section]).length <= limit) {
+      kept.push(section);
+      continue;
+    }
+    const room = limit - join([...kept, { ...section, text: "" }]).length;
+    if (room > 0) {
+      kept.push({ ...section, text: section.text.slice(0, room).trimEnd() });
+    }
+    break;
+  }
+  return join(kept);
+}
+
+/**
+ * Tells whether a section of the current description belongs to people: it has the
+ * keep marker, or it differs from every generated section recorded in the marker.
+ * @param {{text: string}} section
+ * @param {Set<string>|null} generated From readGeneratedFingerprints.
+ * @returns {boolean}
+ */
+function isHumanOwned(section, generated) {
+  if (section.text.includes(KEEP_MARKER)) {
+    return true;
+  }
+  return generated !== null && !generated.has(fingerprint(section.text));
+}
+
+/**
+ * Ticks the checkboxes of the new section whose items (matched by their text) are
+ * ticked in the current section.
+ * @param {string} text The new section.
+ * @param {string} previousText The current section.
+ * @returns {string}
+ */
+export function preserveCheckboxes(text, previousText) {
+  const ticked = new Set();
+  for (const line of previousText.split("\n")) {
+    const match = line.match(CHECKBOX_PATTERN);
+    if (match && match[2] !== " ") {
+      ticked.add(match[4].trim().toLowerCase());
+    }
+  }
+  return text
+    .split("\n")
+    .map((line) => {
+      const match = line.match(CHECKBOX_PATTERN);
+      return match && ticked.has(match[4].trim().toLowerCase())
+        ? `${match[1]}x${match[3]}${match[4]}`
+        : line;
+    })
+    .join("\n");
+}
+
+/**
+ * Merges a newly generated description into the current one section by section.
+ * Generated sections are replaced (keeping ticked checkboxes); sections marked with
+ * KEEP_MARKER or edited since they were generated are kept as they are, and
+ * hand-written sections the new description lacks stay where they were. Without a
+ * marker from an earlier run only KEEP_MARKER protects a section.
+ * @param {string} currentBody The description on the forge.
+ * @param {string} generatedBody The newly generated description, from markGenerated.
+ * @returns {{body: string, keptSections: string[]}} The merged description (with
+ *   updated markers) and the headings of the sections kept from the current one.
+ */
+export function mergeDescriptions(currentBody, generatedBody) {
+  const generated = readGeneratedFingerprints(currentBody);
+  const current = parseSections(stripMarkers(currentBody));
+  const currentByKey = new Map(current.map((section) => [section.key, section]));
+  const keptSections = [];
+
+  const merged = parseSections(stripMarkers(generatedBody)).map((section) => {
+    const previous = currentByKey.get(section.key);
+    if (previous && isHumanOwned(previous, generated)) {
+      keptSections.push(previous.heading || "(text before the first heading)");
+      return { key: section.key, text: previous.text, generated: false };
+    }
+    return {
+      key: section.key,
+      text: previous ? preserveCheckboxes(section.text, previous.text) : section.text,
+      generated: true,
+    };
+  });
+
+  let anchor = merged.length > 0 && merged[0].key === "" ? 0 : -1;
+  for (const section of current) {
+    const index = merged.findIndex((entry) => entry.key === section.key);
+    if (index !== -1) {
+      anchor = index;
+    } else if (isHumanOwned(section, generated)) {
+      keptSections.push(section.heading || "(text before the first heading)");
+      merged.splice(++anchor, 0, { key: section.key, text: section.text, generated: false });
+    }
+  }
+
+  return { body: joinSections(merged, readLastSha(generatedBody)), keptSections };
+}
+
+/**
+ * Lists the sections of a new description next to the same sections of the current
+ * one. Sections only in the current description are listed where they were.
+ * @param {string} currentBody
+ * @param {string} newBody
+ * @returns {Array<{key: string, heading: string|null, before: string|null, after: string|null}>}
+ *   `before`/`after` are null for added/removed sections.
+ */
+export function compareSections(currentBody, newBody) {
+  const current = parseSections(stripMarkers(currentBody));
+  const currentByKey = new Map(current.map((section) => [section.key, section]));
+  const changes = parseSections(stripMarkers(newBody)).map((section) => ({
+    key: section.key,
+    heading: section.heading,
+    before: currentByKey.get(section.key)?.text ?? null,
+    after: section.text,
+  }));
+
+  let anchor = changes.length > 0 && changes[0].key === "" ? 0 : -1;
+  for (const section of current) {
+    const index = changes.findIndex((change) => change.key === section.key);
+    if (index !== -1) {
+      anchor = index;
+    } else {
+      changes.splice(++anchor, 0, {
+        key: section.key,
+        heading: section.heading,
+        before: section.text,
+        after: null,
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Builds a description from the current one and a new one, applying the changes of
+ * the accepted sections only. Sections keep their generated/hand-written status
+ * from the markers of both descriptions.
+ * @param {string} currentBody
+ * @param {string} newBody The new description, from markGenerated or mergeDescriptions.
+ * @param {Set<string>} acceptedKeys Keys (see compareSections) of the sections to change.
+ * @returns {string}
+ */
+export function applySectionChanges(currentBody, newBody, acceptedKeys) {
+  const generated = new Set([
+    ...(readGeneratedFingerprints(currentBody) || []),
+    ...(readGeneratedFingerprints(newBody) || []),
+  ]);
+  const sections = compareSections(currentBody, newBody)
+    .map((change) => (acceptedKeys.has(change.key) ? change.after : change.before))
+    .filter((text) => text !== null)
+    .map((text) => ({ text, generated: generated.has(fingerprint(text)) }));
+  return joinSections(sections, readLastSha(newBody));
+}
+
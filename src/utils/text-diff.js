@@ -0,0 +1,204 @@
+const COLORS = {
+  red: "\x1b[31m",
+  green: "\x1b[32m",
+  cyan: "\x1b[36m",
+  dim: "\x1b[2m",
+  inverse: "\x1b[7m",
+  reset: "\x1b[0m",
+};
+
+/**
+ * Tells whether diffs printed to the terminal should be colored: stdout is a
+ * terminal and `NO_COLOR` is not set.
+ * @returns {boolean}
+ */
+function useColor() {
+  return Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+}
+
+/**
+ * Computes the shortest edit script between two token lists with a longest common
+ * subsequence table. Descriptions are small enough for the quadratic cost.
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {Array<{type: "equal"|"remove"|"add", value: string}>}
+ */
+function diffTokens(before, after) {
+  const lengths = Array.from({ length: before.length + 1 }, () =>
+    new Array(after.length + 1).fill(0)
+  );
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        before[i] === after[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      ops.push({ type: "equal", value: before[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: "remove", value: before[i++] });
+    } else {
+      ops.push({ type: "add", value: after[j++] });
+    }
+  }
+  while (i < before.length) {
+    ops.push({ type: "remove", value: before[i++] });
+  }
+  while (j < after.length) {
+    ops.push({ type: "add", value: after[j++] });
+  }
+  return ops;
+}
+
+/**
+ * Diffs two texts line by line.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: "equal"|"remove"|"add", value: string}>}
+ */
+export function diffLines(before, after) {
+  const split = (text) => (text ? text.replace(/\r\n/g, "\n").split("\n") : []);
+  return diffTokens(split(before), split(after));
+}
+
+/**
+ * Highlights the words that differ between a removed line and the line that
+ * replaced it.
+ * @param {string} removed
+ * @param {string} added
+ * @returns {[string, string]} The colored removed and added lines.
+ */
+function highlightWords(removed, added) {
+  const ops = diffTokens(removed.split(/(\s+)/), added.split(/(\s+)/));
+  const render = (skip, color) =>
+    ops
+      .filter((op) => op.type !== skip)
+      .map((op) =>
+        op.type === "equal"
+          ? op.value
+          : `${COLORS.inverse}${op.value}${COLORS.reset}${color}`
+      )
+      .join("");
+  return [
+    `${COLORS.red}-${render("add", COLORS.red)}${COLORS.reset}`,
+    `${COLORS.green}+${render("remove", COLORS.green)}${COLORS.reset}`,
+  ];
+}
+
+/**
+ * Renders a run of changed lines, pairing removed and added lines for word-level
+ * highlighting when colors are on.
+ * @param {string[]} removed
+ * @param {string[]} added
+ * @param {boolean} color
+ * @returns {string[]}
+ */
+function renderChange(removed, added, color) {
+  if (!color) {
+    return [...removed.map((line) => `-${line}`), ...added.map((line) => `+${line}`)];
+  }
+  const removedLines = [];
+  const addedLines = [];
+  for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+    if (k < removed.length && k < added.length) {
+      const [before, after] = highlightWords(removed[k], added[k]);
+      removedLines.push(before);
+      addedLines.push(after);
+    } else if (k < removed.length) {
+      removedLines.push(`${COLORS.red}-${removed[k]}${COLORS.reset}`);
+    } else {
+      addedLines.push(`${COLORS.green}+${added[k]}${COLORS.reset}`);
+    }
+  }
+  return [...removedLines, ...addedLines];
+}
+
+/**
+ * Formats a unified diff between two texts, colored (with changed words
+ * highlighted) when printed to a terminal.
+ * @param {string} before
+ * @param {string} after
+ * @param {{context?: number, labels?: [string, string]}} [options={}] `context` is
+ *   the number of unchanged lines shown around changes.
+ * @returns {string} The diff, or an empty string when the texts are equal.
+ */
+export function formatUnifiedDiff(before, after, options = {}) {
+  const { context = 3, labels = ["current", "new"] } = options;
+  const ops = diffLines(before, after);
+  if (ops.every((op) => op.type === "equal")) {
+    return "";
+  }
+  const color = useColor();
+  const paint = (code, text) => (color ? `${code}${text}${COLORS.reset}` : text);
+
+  const changed = ops.map((op) => op.type !== "equal");
+  const visible = ops.map((op, index) =>
+    changed
+      .slice(Math.max(0, index - context), index + context + 1)
+      .some(Boolean)
+  );
+
+  const output = [paint(COLORS.dim, `--- ${labels[0]}`), paint(COLORS.dim, `+++ ${labels[1]}`)];
+  let oldLine = 1;
+  let newLine = 1;
+  let index = 0;
+  while (index < ops.length) {
+    if (!visible[index]) {
+      if (ops[index].type !== "add") {
+        oldLine++;
+      }
+      if (ops[index].type !== "remove") {
+        newLine++;
+      }
+      index++;
+      continue;
+    }
+
+    let end = index;
+    while (end < ops.length && visible[end]) {
+      end++;
+    }
+    const hunk = ops.slice(index, end);
+    const oldCount = hunk.filter((op) => op.type !== "add").length;
+    const newCount = hunk.filter((op) => op.type !== "remove").length;
+    output.push(
+      paint(
+        COLORS.cyan,
+        // Like git, an empty side starts at the line before the change.
+        `@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`
+      )
+    );
+
+    let removed = [];
+    let added = [];
+    const flush = () => {
+      output.push(...renderChange(removed, added, color));
+      removed = [];
+      added = [];
+    };
+    for (const op of hunk) {
+      if (op.type === "remove") {
+        removed.push(op.value);
+      } else if (op.type === "add") {
+        added.push(op.value);
+      } else {
+        flush();
+        output.push(` ${op.value}`);
+      }
+    }
+    flush();
+
+    oldLine += oldCount;
+    newLine += newCount;
+    index = end;
+  }
+  return output.join("\n");
+}
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import inquirer from "inquirer";
+import { after, afterEach, before, describe, it } from "node:test";
+import { configureAIProvider, generateAIContent } from "../src/utils/ai.js";
+import { configurePrompts } from "../src/utils/prompt.js";
+import { startStubServer } from "./helpers/stub-server.js";
+
+const PARTIAL = "## Summary\nPartial answer";
+
+/**
+ * Generates a PR description, pressing Ctrl-C (a SIGINT) as soon as `trigger`
+ * has been printed, or as soon as the request is made when `trigger` is null.
+ * @param {string|null} trigger
+ * @returns {Promise<{description: string|null, warnings: string[]}>}
+ */
+async function generateAndInterrupt(trigger) {
+  const { write } = process.stdout;
+  const { log, warn } = console;
+  const warnings = [];
+  console.log = () => {};
+  console.warn = (...args) => warnings.push(args.join(" "));
+  process.stdout.write = function (chunk, ...rest) {
+    if (trigger !== null && String(chunk).includes(trigger)) {
+      setImmediate(() => process.emit("SIGINT"));
+    }
+    return write.call(this, chunk, ...rest);
+  };
+  try {
+    const description = await generateAIContent(["feat: stream"], "", "English", "");
+    return { description, warnings };
+  } finally {
+    process.stdout.write = write;
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+describe("streamed generation", () => {
+  const { prompt } = inquirer;
+  const questions = [];
+  let server;
+  let interruptOnRequest = false;
+
+  before(async () => {
+    server = await startStubServer(() => {
+      if (interruptOnRequest) {
+        setImmediate(() => process.emit("SIGINT"));
+        return { lines: [], keepOpen: true };
+      }
+      return { lines: [JSON.stringify({ response: PARTIAL })], keepOpen: true };
+    });
+    configureAIProvider({ provider: "ollama", model: "test", baseUrl: server.url });
+  });
+
+  afterEach(() => {
+    inquirer.prompt = prompt;
+    configurePrompts();
+    questions.length = 0;
+    interruptOnRequest = false;
+  });
+
+  after(async () => {
+    configureAIProvider();
+    await server.close();
+  });
+
+  /**
+   * Answers the keep-or-discard question in interactive mode.
+   * @param {boolean} keep
+   */
+  function answerKeep(keep) {
+    inquirer.prompt = async (asked) => {
+      questions.push(...asked);
+      return { keep };
+    };
+  }
+
+  it("asks what to do with the partial text and keeps it", async () => {
+    answerKeep(true);
+    const listeners = process.listenerCount("SIGINT");
+    const { description } = await generateAndInterrupt("Partial answer");
+    assert.equal(description, PARTIAL);
+    assert.equal(questions.length, 1);
+    assert.equal(questions[0].name, "keep");
+    assert.equal(
+      questions[0].message,
+      "Generation stopped. What should happen to the partial PR description?"
+    );
+    assert.equal(questions[0].default, false);
+    assert.equal(process.listenerCount("SIGINT"), listeners);
+  });
+
+  it("returns null when the partial text is discarded", async () => {
+    answerKeep(false);
+    const { description, warnings } = await generateAndInterrupt("Partial answer");
+    assert.equal(description, null);
+    assert.match(warnings.join("\n"), /the partial PR description was discarded/);
+  });
+
+  it("discards the partial text without asking in non-interactive mode", async () => {
+    configurePrompts({ interactive: false });
+    answerKeep(true);
+    const { description, warnings } = await generateAndInterrupt("Partial answer");
+    assert.equal(description, null);
+    assert.equal(questions.length, 0);
+    assert.match(warnings.join("\n"), /the partial PR description was discarded/);
+  });
+
+  it("does not ask when nothing was generated yet", async () => {
+    interruptOnRequest = true;
+    answerKeep(true);
+    const { description } = await generateAndInterrupt(null);
+    assert.equal(description, null);
+    assert.equal(questions.length, 0);
+  });
+});
@@ -0,0 +1,190 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, it } from "node:test";
+import { createAzureClient, getAzureAuthHeader } from "../src/utils/azure-api.js";
+import { parseBitbucketRepoUrl } from "../src/utils/bitbucket.js";
+import { createBitbucketClient, getBitbucketAuthHeader } from "../src/utils/bitbucket-api.js";
+import { setDryRun } from "../src/utils/helpers.js";
+import { startStubServer } from "./helpers/stub-server.js";
+
+/**
+ * Runs a function with console.log silenced, collecting what it printed.
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<string[]>}
+ */
+async function captureLog(fn) {
+  const log = console.log;
+  const logged = [];
+  console.log = (line) => logged.push(line);
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+  }
+  return logged;
+}
+
+describe("parseBitbucketRepoUrl", () => {
+  it("parses Bitbucket Cloud remotes", () => {
+    assert.deepEqual(parseBitbucketRepoUrl("git@bitbucket.org:team/repo.git"), {
+      host: "bitbucket.org",
+      cloud: true,
+      baseUrl: "https://bitbucket.org",
+      owner: "team",
+      repo: "repo",
+    });
+  });
+
+  it("parses self-hosted Bitbucket Server remotes, with a context path", () => {
+    assert.deepEqual(parseBitbucketRepoUrl("https://git.example.com/bitbucket/scm/PROJ/repo.git"), {
+      host: "git.example.com",
+      cloud: false,
+      baseUrl: "https://git.example.com/bitbucket",
+      owner: "PROJ",
+      repo: "repo",
+    });
+    assert.equal(
+      parseBitbucketRepoUrl("ssh://git@git.example.com:7999/PROJ/repo.git").baseUrl,
+      "https://git.example.com"
+    );
+    assert.equal(parseBitbucketRepoUrl("https://git.example.com/a/b/c.git"), null);
+  });
+});
+
+describe("getBitbucketAuthHeader / getAzureAuthHeader", () => {
+  it("prefer tokens and fall back to Basic credentials", () => {
+    assert.equal(getBitbucketAuthHeader({ BITBUCKET_TOKEN: "t" }), "Bearer t");
+    assert.equal(
+      getBitbucketAuthHeader({ BITBUCKET_USERNAME: "u", BITBUCKET_APP_PASSWORD: "p" }),
+      `Basic ${Buffer.from("u:p").toString("base64")}`
+    );
+    assert.equal(getBitbucketAuthHeader({}), null);
+    assert.equal(
+      getAzureAuthHeader({ AZURE_DEVOPS_TOKEN: "pat" }),
+      `Basic ${Buffer.from(":pat").toString("base64")}`
+    );
+    assert.equal(getAzureAuthHeader({ SYSTEM_ACCESSTOKEN: "job" }), "Bearer job");
+  });
+});
+
+describe("forge clients against a local stub", () => {
+  let server;
+
+  before(async () => {
+    server = await startStubServer(({ method, url, body }) => {
+      if (method === "GET" && url.startsWith("/repositories/team/repo/pullrequests?")) {
+        return { json: { values: [{ id: 1, title: "Cloud PR" }] } };
+      }
+      if (method === "GET" && url.startsWith("/projects/PROJ/repos/repo/pull-requests?")) {
+        return { json: { values: [{ id: 2, version: 5, title: "Server PR" }] } };
+      }
+      if (method === "GET" && url.startsWith("/proj/_apis/git/repositories/repo/pullrequests?")) {
+        return { json: { value: [{ pullRequestId: 3 }] } };
+      }
+      if (method === "POST" || method === "PUT" || method === "PATCH") {
+        return { json: { method, ...body } };
+      }
+      return { status: 404, json: { error: { message: "Repository not found" } } };
+    });
+  });
+
+  afterEach(() => setDryRun(false));
+
+  after(() => server.close());
+
+  it("creates, finds and updates Bitbucket Cloud PRs", async () => {
+    const client = createBitbucketClient({ auth: "Bearer t", cloud: true, apiUrl: server.url });
+    const pr = await client.findPullRequest("team", "repo", "feat/x");
+    assert.equal(pr.id, 1);
+    assert.match(
+      decodeURIComponent(server.requests.at(-1).url),
+      /q=source\.branch\.name="feat\/x" AND state="OPEN"/
+    );
+    assert.equal(server.requests.at(-1).headers.authorization, "Bearer t");
+
+    const created = await client.createPullRequest("team", "repo", {
+      title: "Add x",
+      description: "Body",
+      source: "feat/x",
+      destination: "main",
+    });
+    assert.deepEqual(created.source, { branch: { name: "feat/x" } });
+    assert.deepEqual(created.destination, { branch: { name: "main" } });
+
+    const updated = await client.updatePullRequest("team", "repo", pr, { description: "New" });
+    assert.equal(server.requests.at(-1).url, "/repositories/team/repo/pullrequests/1");
+    assert.deepEqual(updated, { method: "PUT", title: "Cloud PR", description: "New" });
+  });
+
+  it("creates, finds and updates Bitbucket Server PRs with their version", async () => {
+    const client = createBitbucketClient({
+      auth: "Bearer t",
+      cloud: false,
+      baseUrl: "https://git.example.com",
+      apiUrl: server.url,
+    });
+    const pr = await client.findPullRequest("PROJ", "repo", "feat/x");
+    assert.match(server.requests.at(-1).url, /at=refs%2Fheads%2Ffeat%2Fx/);
+
+    const created = await client.createPullRequest("PROJ", "repo", {
+      title: "Add x",
+      description: "Body",
+      source: "feat/x",
+      destination: "main",
+    });
+    assert.deepEqual(created.fromRef, { id: "refs/heads/feat/x" });
+    assert.deepEqual(created.toRef, { id: "refs/heads/main" });
+
+    const updated = await client.updatePullRequest("PROJ", "repo", pr, { description: "New" });
+    assert.equal(server.requests.at(-1).url, "/projects/PROJ/repos/repo/pull-requests/2");
+    assert.equal(updated.version, 5);
+  });
+
+  it("creates, finds and updates Azure DevOps PRs with the API version", async () => {
+    const client = createAzureClient({ auth: "Bearer job", organization: "org", apiUrl: server.url });
+    assert.equal((await client.findPullRequest("proj", "repo", "feat/x")).pullRequestId, 3);
+    assert.match(server.requests.at(-1).url, /sourceRefName=refs%2Fheads%2Ffeat%2Fx&api-version=7\.1$/);
+
+    const created = await client.createPullRequest("proj", "repo", {
+      title: "Add x",
+      description: "Body",
+      source: "feat/x",
+      destination: "main",
+      draft: true,
+    });
+    assert.equal(created.sourceRefName, "refs/heads/feat/x");
+    assert.equal(created.isDraft, true);
+
+    await client.updatePullRequest("proj", "repo", 3, { description: "New" });
+    assert.equal(
+      server.requests.at(-1).url,
+      "/proj/_apis/git/repositories/repo/pullrequests/3?api-version=7.1"
+    );
+  });
+
+  it("surfaces API errors", async () => {
+    const client = createBitbucketClient({ auth: "Bearer t", cloud: true, apiUrl: server.url });
+    await assert.rejects(
+      client.findPullRequest("team", "missing", "feat/x"),
+      /Bitbucket API GET .* failed with 404: Repository not found/
+    );
+  });
+
+  it("only sends GET requests in dry-run mode", async () => {
+    setDryRun(true);
+    const count = server.requests.length;
+    const bitbucket = createBitbucketClient({ auth: "Bearer t", cloud: true, apiUrl: server.url });
+    const azure = createAzureClient({ auth: "Bearer job", organization: "org", apiUrl: server.url });
+
+    const logged = await captureLog(async () => {
+      assert.equal(await bitbucket.createPullRequest("team", "repo", { title: "x" }), null);
+      assert.equal(await bitbucket.updatePullRequest("team", "repo", { id: 1 }, {}), null);
+      assert.equal(await azure.updatePullRequest("proj", "repo", 3, {}), null);
+    });
+    assert.equal(server.requests.length, count);
+    assert.equal(logged.length, 3);
+    assert.ok(logged.every((line) => line.startsWith("[dry-run] Would call: ")));
+
+    await bitbucket.findPullRequest("team", "repo", "feat/x");
+    assert.equal(server.requests.length, count + 1);
+  });
+});
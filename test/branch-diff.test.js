@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { formatDiffsForAI } from "../src/services/commit.js";
+import {
+  BRANCH_DIFF_COMMIT_THRESHOLD,
+  getBranchDiff,
+  getChangedFiles,
+  resolveReadMode,
+} from "../src/utils/git.js";
+import { createTempRepo } from "./helpers/git-repo.js";
+
+/**
+ * Runs a function with console output silenced.
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<*>}
+ */
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+describe("resolveReadMode", () => {
+  it("keeps an explicit mode", () => {
+    assert.equal(resolveReadMode("commits", 50), "commits");
+    assert.equal(resolveReadMode("branch", 1), "branch");
+  });
+
+  it("switches to the branch diff above the threshold", () => {
+    assert.equal(BRANCH_DIFF_COMMIT_THRESHOLD, 10);
+    assert.equal(resolveReadMode(true, 10), "commits");
+    assert.equal(resolveReadMode("auto", 10), "commits");
+    assert.equal(resolveReadMode(true, 11), "branch");
+    assert.equal(resolveReadMode("auto", 11), "branch");
+  });
+});
+
+describe("getBranchDiff", () => {
+  const cwd = process.cwd();
+  let repo;
+  let root;
+  let hashes;
+
+  before(() => {
+    repo = createTempRepo();
+    root = repo.commit("chore: initial", { "keep.txt": "one\n" });
+    const added = repo.commit("feat: add files", {
+      "a.txt": "alpha\n",
+      "old.txt": "line 1\nline 2\nline 3\nline 4\nline 5\n",
+      "image.bin": Buffer.from([0, 1, 2, 0, 255]),
+    });
+    repo.git("mv", "old.txt", "new.txt");
+    const renamed = repo.commit("refactor: rename old.txt", { "a.txt": "alpha\nbeta\n" });
+    const reverted = repo.commit("revert: drop beta", { "a.txt": "alpha\n" });
+    hashes = [reverted, renamed, added];
+    process.chdir(repo.dir);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    repo.remove();
+  });
+
+  it("diffs from the parent of the oldest commit to the newest one", async () => {
+    const [diff] = await quietly(() => getBranchDiff(hashes));
+    assert.equal(diff.hash, `${hashes[2]}^..${hashes[0]}`);
+    assert.equal(diff.error, null);
+    assert.equal(
+      diff.stat,
+      [
+        "3 file(s) changed, +6 -0:",
+        "  a.txt (+1 -0)",
+        "  image.bin (binary)",
+        "  new.txt (+5 -0)",
+      ].join("\n")
+    );
+    assert.doesNotMatch(diff.content, /beta/);
+  });
+
+  it("reports renames inside the range with their old and new paths", async () => {
+    const [diff] = await quietly(() => getBranchDiff(hashes.slice(0, 2)));
+    assert.match(diff.stat, /^1 file\(s\) changed, \+0 -0:/);
+    assert.match(diff.stat, /  old\.txt => new\.txt \(\+0 -0\)/);
+    assert.match(diff.content, /rename from old\.txt\nrename to new\.txt/);
+  });
+
+  it("uses the given range and starts a root commit at the empty tree", async () => {
+    const [ranged] = await quietly(() => getBranchDiff(hashes, { range: `${root}..HEAD` }));
+    assert.equal(ranged.hash, `${root}..HEAD`);
+
+    const [fromRoot] = await quietly(() => getBranchDiff([root]));
+    assert.match(fromRoot.hash, /^4b825dc642cb6eb9a060e54bf8d69288fbee4904\.\./);
+    assert.match(fromRoot.stat, /  keep\.txt \(\+1 -0\)/);
+    assert.deepEqual(await getChangedFiles([root]), ["keep.txt"]);
+  });
+
+  it("leaves out excluded files but lists them", async () => {
+    const [diff] = await quietly(() =>
+      getBranchDiff(hashes, { isExcluded: (file) => file === "new.txt" })
+    );
+    assert.deepEqual(diff.excludedFiles, ["new.txt"]);
+    assert.doesNotMatch(diff.content, /line 1/);
+    assert.match(diff.stat, /new\.txt/);
+  });
+
+  it("returns nothing for empty or invalid input", async () => {
+    assert.deepEqual(await quietly(() => getBranchDiff([])), []);
+    assert.deepEqual(await quietly(() => getBranchDiff(["not-a-hash"])), []);
+  });
+});
+
+describe("formatDiffsForAI", () => {
+  it("shows a branch diff once, headed by its file list", () => {
+    const formatted = formatDiffsForAI(
+      [{ hash: "a^..b", content: "diff --git", truncated: false, stat: "1 file(s) changed, +1 -0:\n  a.txt (+1 -0)" }],
+      ["feat: one", "fix: two"]
+    );
+    assert.match(formatted, /Net changes of all 2 commits \(a\^\.\.b\):\n1 file\(s\) changed, \+1 -0:\n  a\.txt \(\+1 -0\)\n\n```diff\ndiff --git\n```/);
+    assert.doesNotMatch(formatted, /Commit 1:/);
+  });
+
+  it("shows per-commit diffs with their messages", () => {
+    const formatted = formatDiffsForAI(
+      [
+        { hash: "abc1234", content: "x", truncated: false },
+        { hash: "def5678", content: "y", truncated: true, excludedFiles: ["package-lock.json"] },
+      ],
+      ["feat: one", "fix: two"]
+    );
+    assert.match(formatted, /Commit 1: feat: one\nHash: abc1234/);
+    assert.match(formatted, /Commit 2: fix: two\nHash: def5678/);
+    assert.match(formatted, /excluded from the diff: package-lock\.json/);
+    assert.match(formatted, /Parts of this diff were left out/);
+  });
+});
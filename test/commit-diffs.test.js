@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { getCommitDiffs, isMergeCommit } from "../src/utils/git.js";
+import { mapWithConcurrency } from "../src/utils/helpers.js";
+import { createTempRepo } from "./helpers/git-repo.js";
+
+/**
+ * Runs a function with console output silenced.
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<*>}
+ */
+async function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+describe("mapWithConcurrency", () => {
+  it("keeps the order of the items whatever order the calls finish in", async () => {
+    const delays = [30, 5, 20, 0, 10];
+    const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return `${index}:${delay}`;
+    });
+    assert.deepEqual(results, ["0:30", "1:5", "2:20", "3:0", "4:10"]);
+  });
+
+  it("never has more than `limit` calls in flight", async () => {
+    let active = 0;
+    let peak = 0;
+    await mapWithConcurrency(Array.from({ length: 9 }, (_, i) => i), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+    });
+    assert.equal(peak, 3);
+  });
+
+  it("handles empty lists and limits below one", async () => {
+    assert.deepEqual(await mapWithConcurrency([], 4, async (item) => item), []);
+    assert.deepEqual(await mapWithConcurrency([1, 2], 0, async (item) => item * 2), [2, 4]);
+  });
+
+  it("rejects when a call fails", async () => {
+    await assert.rejects(
+      mapWithConcurrency([1, 2, 3], 2, async (item) => {
+        if (item === 2) {
+          throw new Error("boom");
+        }
+        return item;
+      }),
+      /boom/
+    );
+  });
+});
+
+describe("getCommitDiffs", () => {
+  const cwd = process.cwd();
+  let repo;
+  let commits;
+  let merge;
+
+  before(() => {
+    repo = createTempRepo();
+    repo.commit("chore: initial");
+    repo.git("checkout", "-q", "-b", "feat/x");
+    const side = repo.commit("feat: side", { "side.txt": "side\n" });
+    repo.git("checkout", "-q", "main");
+    const first = repo.commit("feat: first", { "first.txt": "first\n" });
+    repo.git("merge", "-q", "--no-ff", "-m", "Merge feat/x", "feat/x");
+    merge = repo.git("rev-parse", "HEAD");
+    const last = repo.commit("fix: last", { "last.txt": "last\n" });
+    commits = { side, first, last };
+    process.chdir(repo.dir);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    repo.remove();
+  });
+
+  it("returns the diffs in the order given, with merge commits left out", async () => {
+    const { side, first, last } = commits;
+    const diffs = await quietly(() => getCommitDiffs([last, merge, first, side]));
+    assert.deepEqual(
+      diffs.map((diff) => diff.hash),
+      [last, merge, first, side]
+    );
+    assert.match(diffs[0].content, /\+\+\+ b\/last\.txt/);
+    assert.equal(diffs[1].content, "[Merge commit - diff excluded]");
+    assert.match(diffs[2].content, /\+\+\+ b\/first\.txt/);
+    assert.match(diffs[3].content, /\+\+\+ b\/side\.txt/);
+    assert.ok(diffs.every((diff) => diff.error === null));
+  });
+
+  it("includes merge diffs when asked to", async () => {
+    const [diff] = await quietly(() => getCommitDiffs([merge], { includeMergeDiffs: true }));
+    assert.notEqual(diff.content, "[Merge commit - diff excluded]");
+    assert.equal(diff.error, null);
+  });
+
+  it("recognises abbreviated and upper-case hashes", async () => {
+    const short = merge.slice(0, 8).toUpperCase();
+    const [diff, other] = await quietly(() =>
+      getCommitDiffs([short, commits.first.slice(0, 7)])
+    );
+    assert.equal(diff.content, "[Merge commit - diff excluded]");
+    assert.match(other.content, /first\.txt/);
+    assert.equal(await isMergeCommit(merge), true);
+    assert.equal(await isMergeCommit(commits.first), false);
+  });
+
+  it("skips invalid and unknown hashes but keeps their places", async () => {
+    const diffs = await quietly(() =>
+      getCommitDiffs([commits.first, "not-a-hash", "deadbeefdeadbeef", commits.last])
+    );
+    assert.equal(diffs.length, 4);
+    assert.match(diffs[0].content, /first\.txt/);
+    assert.equal(diffs[1].content, "[Invalid commit hash - skipped]");
+    assert.equal(diffs[2].content, "[Error fetching diff]");
+    assert.ok(diffs[2].error);
+    assert.match(diffs[3].content, /last\.txt/);
+  });
+
+  it("returns nothing for empty or invalid input", async () => {
+    assert.deepEqual(await quietly(() => getCommitDiffs([])), []);
+    const { error } = console;
+    console.error = () => {};
+    try {
+      assert.deepEqual(await getCommitDiffs("abc1234"), []);
+    } finally {
+      console.error = error;
+    }
+  });
+});
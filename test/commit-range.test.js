@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { resolveCommitRange } from "../src/utils/git.js";
+import { createTempRepo } from "./helpers/git-repo.js";
+
+describe("resolveCommitRange", () => {
+  const cwd = process.cwd();
+  let repo;
+  let forkPoint;
+
+  before(() => {
+    repo = createTempRepo();
+    repo.commit("chore: initial");
+    forkPoint = repo.commit("feat: base work");
+    repo.git("checkout", "-q", "-b", "feat/x");
+    repo.commit("feat: first");
+    repo.commit("fix: second");
+    repo.git("tag", "v1");
+    process.chdir(repo.dir);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    repo.remove();
+  });
+
+  it("returns null when no range option is given", async () => {
+    assert.equal(await resolveCommitRange({ baseBranch: "main" }), null);
+  });
+
+  it("uses a range with both sides as given", async () => {
+    assert.equal(await resolveCommitRange({ range: "main..feat/x" }), "main..feat/x");
+    assert.equal(await resolveCommitRange({ range: "main...v1" }), "main...v1");
+  });
+
+  it("rejects ranges with a missing or unknown side", async () => {
+    for (const range of ["main..", "..HEAD", "main", "a..b..c"]) {
+      await assert.rejects(
+        resolveCommitRange({ range }),
+        /Expected the form A\.\.B with both revisions given/,
+        range
+      );
+    }
+    await assert.rejects(
+      resolveCommitRange({ range: "main..nope" }),
+      /Unknown revision "nope" in range "main\.\.nope"/
+    );
+  });
+
+  it("combines --from and --to, with --to defaulting to HEAD", async () => {
+    assert.equal(await resolveCommitRange({ from: "main" }), "main..HEAD");
+    assert.equal(await resolveCommitRange({ from: "main", to: "v1" }), "main..v1");
+    await assert.rejects(resolveCommitRange({ from: "nope" }), /Unknown revision "nope"/);
+    await assert.rejects(resolveCommitRange({ from: "--all" }), /Unknown revision "--all"/);
+  });
+
+  it("starts at the fork point from the base branch", async () => {
+    assert.equal(
+      await resolveCommitRange({ forkPoint: true, baseBranch: "main" }),
+      `${forkPoint}..HEAD`
+    );
+    assert.equal(
+      await resolveCommitRange({ to: "HEAD~1", baseBranch: "main" }),
+      `${forkPoint}..HEAD~1`
+    );
+    await assert.rejects(
+      resolveCommitRange({ forkPoint: true }),
+      /Cannot find the fork point without a base branch/
+    );
+  });
+
+  it("rejects --fork-point together with --from", async () => {
+    await assert.rejects(
+      resolveCommitRange({ from: "main", forkPoint: true, baseBranch: "main" }),
+      /--fork-point and --from both set the start of the range/
+    );
+  });
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, it } from "node:test";
+import {
+  DEFAULT_CONFIG,
+  loadConfig,
+  resolveOptions,
+  runConfigCommand,
+  validateConfigValue,
+} from "../src/services/config.js";
+
+describe("config layers", () => {
+  const cwd = process.cwd();
+  const home = process.env.HOME;
+  let tmp;
+
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), "pr-cli-config-"));
+    const repo = path.join(tmp, "repo");
+    fs.mkdirSync(path.join(tmp, "home", ".pr-cli"), { recursive: true });
+    fs.mkdirSync(repo);
+    execFileSync("git", ["init", "-q", repo]);
+    fs.writeFileSync(
+      path.join(repo, ".prclirc"),
+      JSON.stringify({
+        language: "pt",
+        base: "develop",
+        provider: "ollama",
+        diffBudget: 1000,
+        commitTypes: { feat: "Features", wip: "Work in Progress" },
+      })
+    );
+    fs.writeFileSync(
+      path.join(tmp, "home", ".pr-cli", "config"),
+      JSON.stringify({ base: "main", provider: "openai", commitTypes: { feat: "New" } })
+    );
+    process.env.HOME = path.join(tmp, "home");
+    process.chdir(repo);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    process.env.HOME = home;
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it("merges defaults < project file < user file < PR_CLI_* env", async () => {
+    const { config, sources } = await loadConfig({
+      PR_CLI_PROVIDER: "anthropic",
+      PR_CLI_DIFF_BUDGET: "2000",
+      PR_CLI_DRAFT: "true",
+    });
+
+    assert.equal(config.template, DEFAULT_CONFIG.template);
+    assert.equal(sources.template, "default");
+    assert.equal(config.language, "pt");
+    assert.equal(sources.language, path.join(fs.realpathSync(process.cwd()), ".prclirc"));
+    assert.equal(config.base, "main");
+    assert.equal(sources.base, path.join(process.env.HOME, ".pr-cli", "config"));
+    assert.equal(config.provider, "anthropic");
+    assert.equal(config.diffBudget, 2000);
+    assert.equal(config.draft, true);
+    assert.equal(sources.draft, "env");
+    assert.deepEqual(config.commitTypes, { feat: "New", wip: "Work in Progress" });
+  });
+
+  it("lets flags win over every layer, unless they were not passed", async () => {
+    const { config } = await loadConfig({ PR_CLI_PROVIDER: "anthropic" });
+    const options = resolveOptions(config, { provider: "gemini", base: undefined });
+    assert.equal(options.provider, "gemini");
+    assert.equal(options.base, "main");
+  });
+
+  it("fails on unknown keys and invalid values", async () => {
+    await assert.rejects(
+      runConfigCommand({ action: "set", key: "colour", value: "red" }),
+      /Unknown config key "colour"/
+    );
+    await assert.rejects(
+      runConfigCommand({ action: "set", key: "diffBudget", value: "lots" }),
+      /Invalid value for "diffBudget": expected a number/
+    );
+    await assert.rejects(runConfigCommand({ action: "get", key: "nope" }), /is not set/);
+    await assert.rejects(runConfigCommand({ action: "remove" }), /Unknown config action/);
+  });
+});
+
+describe("validateConfigValue", () => {
+  it("accepts values of the option's type and nested keys of object options", () => {
+    validateConfigValue("diffBudget", 8000);
+    validateConfigValue("draft", false);
+    validateConfigValue("redactPatterns", ["CUST-\\d+"]);
+    validateConfigValue("commitTypes.wip", "Work in Progress");
+    validateConfigValue("contextSize", 8192);
+  });
+
+  it("rejects nested keys of plain options", () => {
+    assert.throws(() => validateConfigValue("base.main", "x"), /has no nested keys/);
+    assert.throws(() => validateConfigValue("draft", "yes"), /expected a boolean/);
+  });
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  PRIORITY,
+  getFilePriority,
+  packDiffs,
+  parseDiffFiles,
+} from "../src/utils/diff-budget.js";
+
+/**
+ * Builds the diff of one file with a single hunk of `lines` added lines.
+ * @param {string} path
+ * @param {number} lines
+ * @returns {string}
+ */
+function fileDiff(path, lines) {
+  const added = Array.from({ length: lines }, (_, i) => `+const line${i} = ${i};`);
+  return [
+    `diff --git a/${path} b/${path}`,
+    "index 0000000..1111111 100644",
+    `--- a/${path}`,
+    `+++ b/${path}`,
+    `@@ -0,0 +1,${lines} @@`,
+    ...added,
+  ].join("\n");
+}
+
+/**
+ * Wraps diff content the way getCommitDiffs returns it.
+ * @param {string} content
+ * @returns {{hash: string, content: string, truncated: boolean, error: null}}
+ */
+function commit(content) {
+  return { hash: "abc1234", content, truncated: false, error: null };
+}
+
+describe("getFilePriority", () => {
+  it("ranks source over tests and docs, and lockfiles last", () => {
+    assert.equal(getFilePriority("src/index.js"), PRIORITY.HIGH);
+    assert.equal(getFilePriority("test/index.test.js"), PRIORITY.MEDIUM);
+    assert.equal(getFilePriority("README.md"), PRIORITY.MEDIUM);
+    assert.equal(getFilePriority("package-lock.json"), PRIORITY.LOW);
+    assert.equal(getFilePriority("dist/bundle.js"), PRIORITY.LOW);
+  });
+});
+
+describe("parseDiffFiles", () => {
+  it("splits a diff into files, hunks and line counts", () => {
+    const files = parseDiffFiles(`${fileDiff("a.js", 2)}\n${fileDiff("b.js", 3)}`);
+    assert.deepEqual(
+      files.map((file) => [file.path, file.hunks.length, file.added]),
+      [
+        ["a.js", 1, 2],
+        ["b.js", 1, 3],
+      ]
+    );
+  });
+});
+
+describe("packDiffs", () => {
+  it("keeps everything that fits in the budget", () => {
+    const content = fileDiff("src/a.js", 5);
+    const { diffs, report } = packDiffs([commit(content)], 10000);
+    assert.equal(diffs[0].content, content);
+    assert.equal(diffs[0].truncated, false);
+    assert.equal(report.droppedHunks, 0);
+  });
+
+  it("spends the budget on source files and summarizes the rest", () => {
+    const { diffs, report } = packDiffs(
+      [
+        commit(
+          [
+            fileDiff("package-lock.json", 100),
+            fileDiff("docs/guide.md", 100),
+            fileDiff("src/a.js", 40),
+          ].join("\n")
+        ),
+      ],
+      300
+    );
+    const { content } = diffs[0];
+    assert.match(content, /\+const line39 = 39;/);
+    assert.match(content, /\[summarized\] package-lock\.json \(\+100 -0\)/);
+    assert.match(content, /\[summarized\] docs\/guide\.md \(\+100 -0\)/);
+    assert.deepEqual(report.summarizedFiles, ["package-lock.json", "docs/guide.md"]);
+    assert.equal(report.droppedHunks, 2);
+    assert.equal(diffs[0].truncated, true);
+    assert.ok(report.usedTokens <= 300);
+  });
+
+  it("hides the lowest-priority summaries when even they do not fit", () => {
+    const { diffs, report } = packDiffs(
+      [commit([fileDiff("src/a.js", 1), fileDiff("yarn.lock", 1)].join("\n"))],
+      12
+    );
+    assert.equal(report.hiddenFiles, 1);
+    assert.match(diffs[0].content, /\[\.\.\. 1 more file\(s\) changed\]/);
+    assert.doesNotMatch(diffs[0].content, /yarn\.lock/);
+  });
+
+  it("passes commits that are not diffs through", () => {
+    const skipped = { hash: "abc1234", content: "[skipped]", truncated: false, error: "boom" };
+    assert.deepEqual(packDiffs([skipped], 100).diffs, [skipped]);
+  });
+});
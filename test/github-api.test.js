@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, it } from "node:test";
+import { createGitHubClient, getGitHubToken } from "../src/utils/github-api.js";
+import { setDryRun } from "../src/utils/helpers.js";
+import { startStubServer } from "./helpers/stub-server.js";
+
+describe("getGitHubToken", () => {
+  it("prefers GITHUB_TOKEN over GH_TOKEN", () => {
+    assert.equal(getGitHubToken({ GITHUB_TOKEN: "a", GH_TOKEN: "b" }), "a");
+    assert.equal(getGitHubToken({ GH_TOKEN: "b" }), "b");
+    assert.equal(getGitHubToken({}), null);
+  });
+});
+
+describe("createGitHubClient against a local stub", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startStubServer(({ method, url, body }) => {
+      if (method === "GET" && url.startsWith("/repos/owner/repo/pulls?")) {
+        return url.includes("head=owner%3Afeat%2Fx")
+          ? { json: [{ number: 7, html_url: "https://github.com/owner/repo/pull/7" }] }
+          : { json: [] };
+      }
+      if (method === "POST" && url === "/repos/owner/repo/pulls") {
+        return { status: 201, json: { number: 8, ...body } };
+      }
+      if (method === "PATCH" && url === "/repos/owner/repo/pulls/8") {
+        return { json: { number: 8, ...body } };
+      }
+      return { status: 422, json: { message: "Validation Failed" } };
+    });
+    client = createGitHubClient({ token: "secret", apiUrl: `${server.url}/` });
+  });
+
+  afterEach(() => setDryRun(false));
+
+  after(() => server.close());
+
+  it("finds the open PR of a branch", async () => {
+    const pull = await client.findPullRequest("owner", "repo", "feat/x");
+    assert.equal(pull.number, 7);
+    assert.equal(await client.findPullRequest("owner", "repo", "other"), null);
+
+    const request = server.requests[0];
+    assert.equal(request.headers.authorization, "Bearer secret");
+    assert.equal(request.headers.accept, "application/vnd.github+json");
+  });
+
+  it("creates and updates PRs", async () => {
+    const pr = { title: "Add x", body: "Body", head: "feat/x", base: "main" };
+    assert.deepEqual(await client.createPullRequest("owner", "repo", pr), { number: 8, ...pr });
+    assert.equal(
+      (await client.updatePullRequest("owner", "repo", 8, { body: "New" })).body,
+      "New"
+    );
+  });
+
+  it("turns API errors into messages", async () => {
+    await assert.rejects(
+      client.addAssignees("owner", "repo", 8, ["someone"]),
+      /GitHub API POST \/repos\/owner\/repo\/issues\/8\/assignees failed with 422: Validation Failed/
+    );
+  });
+
+  it("does not send changes in dry-run mode", async () => {
+    setDryRun(true);
+    const count = server.requests.length;
+    const log = console.log;
+    console.log = () => {};
+    try {
+      assert.equal(await client.createPullRequest("owner", "repo", { title: "x" }), null);
+    } finally {
+      console.log = log;
+    }
+    assert.equal(server.requests.length, count);
+  });
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, it } from "node:test";
+import { parseGitLabRepoUrl } from "../src/utils/gitlab.js";
+import { createGitLabClient, getGitLabToken } from "../src/utils/gitlab-api.js";
+import { setDryRun } from "../src/utils/helpers.js";
+import { startStubServer } from "./helpers/stub-server.js";
+
+describe("parseGitLabRepoUrl", () => {
+  it("keeps nested groups of self-hosted instances", () => {
+    assert.deepEqual(parseGitLabRepoUrl("git@gitlab.example.com:group/sub/repo.git"), {
+      host: "gitlab.example.com",
+      project: "group/sub/repo",
+      owner: "group/sub",
+      repo: "repo",
+    });
+    assert.deepEqual(
+      parseGitLabRepoUrl("ssh://git@git.example.com:2222/team/my.repo.git"),
+      { host: "git.example.com", project: "team/my.repo", owner: "team", repo: "my.repo" }
+    );
+  });
+
+  it("rejects remotes without a namespace", () => {
+    assert.equal(parseGitLabRepoUrl("https://gitlab.com/repo.git"), null);
+  });
+});
+
+describe("createGitLabClient against a local stub", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startStubServer(({ method, url, body }) => {
+      const project = "/projects/group%2Fsub%2Frepo";
+      if (method === "GET" && url.startsWith(`${project}/merge_requests?`)) {
+        return url.includes("source_branch=feat%2Fx")
+          ? { json: [{ iid: 3 }] }
+          : { json: [] };
+      }
+      if (method === "POST" && url === `${project}/merge_requests`) {
+        return { status: 201, json: { iid: 4, ...body } };
+      }
+      if (method === "PUT" && url === `${project}/merge_requests/4`) {
+        return { json: { iid: 4, ...body } };
+      }
+      if (method === "GET" && url === "/user") {
+        return { json: { id: 1, username: "dev" } };
+      }
+      return { status: 400, json: { message: { target_branch: ["is invalid"] } } };
+    });
+    client = createGitLabClient({ token: "secret", host: "gitlab.example.com", apiUrl: server.url });
+  });
+
+  afterEach(() => setDryRun(false));
+
+  after(() => server.close());
+
+  it("reads the token from GITLAB_TOKEN", () => {
+    assert.equal(getGitLabToken({ GITLAB_TOKEN: "t" }), "t");
+    assert.equal(getGitLabToken({}), null);
+  });
+
+  it("finds the open MR of a branch with the private token", async () => {
+    assert.equal((await client.findMergeRequest("group/sub/repo", "feat/x")).iid, 3);
+    assert.equal(await client.findMergeRequest("group/sub/repo", "other"), null);
+    assert.equal(server.requests[0].headers["private-token"], "secret");
+    assert.equal((await client.getCurrentUser()).username, "dev");
+  });
+
+  it("creates and updates MRs", async () => {
+    const mr = {
+      source_branch: "feat/x",
+      target_branch: "main",
+      title: "Add x",
+      description: "Body",
+    };
+    assert.deepEqual(await client.createMergeRequest("group/sub/repo", mr), { iid: 4, ...mr });
+    const updated = await client.updateMergeRequest("group/sub/repo", 4, { description: "New" });
+    assert.equal(updated.description, "New");
+  });
+
+  it("turns API errors, including field errors, into messages", async () => {
+    await assert.rejects(
+      client.updateMergeRequest("group/sub/repo", 9, { target_branch: "" }),
+      /GitLab API PUT \/projects\/group%2Fsub%2Frepo\/merge_requests\/9 failed with 400: \{"target_branch":\["is invalid"\]\}/
+    );
+  });
+
+  it("only sends GET requests in dry-run mode", async () => {
+    setDryRun(true);
+    const count = server.requests.length;
+    const log = console.log;
+    const logged = [];
+    console.log = (line) => logged.push(line);
+    try {
+      assert.equal(await client.createMergeRequest("group/sub/repo", { title: "x" }), null);
+      assert.equal(await client.updateMergeRequest("group/sub/repo", 4, { title: "x" }), null);
+    } finally {
+      console.log = log;
+    }
+    assert.equal(server.requests.length, count);
+    assert.match(logged[0], /^\[dry-run\] Would call: POST http:\/\/127\.0\.0\.1:\d+\/projects\//);
+
+    assert.equal((await client.findMergeRequest("group/sub/repo", "feat/x")).iid, 3);
+    assert.equal(server.requests.length, count + 1);
+  });
+});
@@ -0,0 +1,49 @@
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/**
+ * Creates a throwaway Git repository on `main` with a fixed identity, for tests
+ * of the functions that shell out to git. Tests `process.chdir` into `dir`, since
+ * the git helpers run in the current directory.
+ * @returns {{dir: string, git: (...args: string[]) => string, commit: (message: string, files?: Object.<string, string>) => string, remove: () => void}}
+ *   `git` runs a command and returns its trimmed output; `commit` writes the files,
+ *   commits them and returns the new commit hash.
+ */
+export function createTempRepo() {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "pr-cli-repo-")));
+  const git = (...args) =>
+    execFileSync("git", args, {
+      cwd: dir,
+      encoding: "utf8",
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: "Test",
+        GIT_AUTHOR_EMAIL: "test@example.com",
+        GIT_COMMITTER_NAME: "Test",
+        GIT_COMMITTER_EMAIL: "test@example.com",
+      },
+    }).trim();
+
+  git("init", "-q", "-b", "main");
+  git("config", "commit.gpgsign", "false");
+
+  let counter = 0;
+  const commit = (message, files = { [`file${++counter}.txt`]: `${message}\n` }) => {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    }
+    git("add", "-A");
+    git("commit", "-q", "--allow-empty", "-m", message);
+    return git("rev-parse", "HEAD");
+  };
+
+  return {
+    dir,
+    git,
+    commit,
+    remove: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
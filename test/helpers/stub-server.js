@@ -0,0 +1,57 @@
+import http from "http";
+
+/**
+ * Starts a local HTTP server that stands in for an AI provider or forge API.
+ * Each request is recorded (method, URL, headers and parsed JSON body) and
+ * answered by `handler`, which returns `{status, json}` for a JSON response or
+ * `{status, lines}` for a streamed one (the lines are written one by one). With
+ * `keepOpen` a streamed response is left open after its lines, like a model that
+ * is still generating, until the client goes away or the server is closed.
+ * @param {(request: {method: string, url: string, headers: Object, body: *}) => {status?: number, json?: *, lines?: string[], keepOpen?: boolean}} handler
+ * @returns {Promise<{url: string, requests: Array<Object>, close: () => Promise<void>}>}
+ */
+export async function startStubServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", async () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null,
+      };
+      requests.push(request);
+
+      const { status = 200, json, lines, keepOpen = false } = (await handler(request)) || {};
+      if (lines) {
+        res.writeHead(status, { "Content-Type": "text/event-stream" });
+        for (const line of lines) {
+          res.write(`${line}\n`);
+        }
+        if (!keepOpen) {
+          res.end();
+        }
+        return;
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(json === undefined ? "" : JSON.stringify(json));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+}
@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createPathFilter, globToRegExp } from "../src/utils/path-filter.js";
+
+describe("globToRegExp", () => {
+  it("matches a name without a slash at any depth", () => {
+    const regex = globToRegExp("*.min.js");
+    assert.ok(regex.test("app.min.js"));
+    assert.ok(regex.test("public/js/app.min.js"));
+    assert.ok(!regex.test("app.js"));
+  });
+
+  it("anchors patterns with a slash to the repository root", () => {
+    const regex = globToRegExp("/docs/*.md");
+    assert.ok(regex.test("docs/guide.md"));
+    assert.ok(!regex.test("src/docs/guide.md"));
+    assert.ok(!regex.test("docs/api/guide.md"));
+  });
+
+  it("lets ** cross directories and ? match one character", () => {
+    assert.ok(globToRegExp("src/**/*.snap").test("src/a/b/c.snap"));
+    assert.ok(globToRegExp("src/**/*.snap").test("src/c.snap"));
+    assert.ok(globToRegExp("file?.txt").test("file1.txt"));
+    assert.ok(!globToRegExp("file?.txt").test("file10.txt"));
+  });
+
+  it("covers everything inside a matched directory", () => {
+    const regex = globToRegExp("generated/");
+    assert.ok(regex.test("generated/api.ts"));
+    assert.ok(regex.test("packages/a/generated/api.ts"));
+  });
+
+  it("escapes regular expression characters", () => {
+    assert.ok(globToRegExp("a+b(1).txt").test("a+b(1).txt"));
+    assert.ok(!globToRegExp("a.txt").test("abtxt"));
+  });
+});
+
+describe("createPathFilter", () => {
+  it("lets the last matching rule win", () => {
+    const isExcluded = createPathFilter({ exclude: ["*.lock", "# comment", "!Cargo.lock"] });
+    assert.equal(isExcluded("yarn.lock"), true);
+    assert.equal(isExcluded("Cargo.lock"), false);
+    assert.equal(isExcluded("src/index.js"), false);
+  });
+
+  it("keeps only included paths, even when excluded", () => {
+    const isExcluded = createPathFilter({ exclude: ["*.map"], include: ["src/"] });
+    assert.equal(isExcluded("src/app.js.map"), false);
+    assert.equal(isExcluded("README.md"), true);
+  });
+});
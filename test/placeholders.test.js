@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, it } from "node:test";
+import { describeChanges } from "../src/services/pr.js";
+import { configureAIProvider } from "../src/utils/ai.js";
+import { hasPlaceholders, renderTemplate } from "../src/utils/placeholders.js";
+import { startStubServer } from "./helpers/stub-server.js";
+
+describe("hasPlaceholders", () => {
+  it("finds names, dotted paths and blocks", () => {
+    assert.equal(hasPlaceholders("Branch: {{branch}}"), true);
+    assert.equal(hasPlaceholders("{{ changes.feat }}"), true);
+    assert.equal(hasPlaceholders("{{#if ticket}}x{{/if}}"), true);
+  });
+
+  it("ignores plain text, empty tags and GitHub Actions expressions", () => {
+    assert.equal(hasPlaceholders("## Summary"), false);
+    assert.equal(hasPlaceholders("{{}}"), false);
+    assert.equal(hasPlaceholders("token: ${{ secrets.TOKEN }}"), false);
+  });
+});
+
+describe("renderTemplate", () => {
+  it("inserts values, lists as bullet lists and missing values as nothing", () => {
+    const text = renderTemplate("{{branch}} -> {{base}}\n{{changes.feat}}\n[{{missing}}]", {
+      branch: "feat/x",
+      base: "main",
+      changes: { feat: ["Add a", "Add b"] },
+    });
+    assert.equal(text, "feat/x -> main\n- Add a\n- Add b\n[]");
+  });
+
+  it("keeps the matching branch of if/else and unless blocks", () => {
+    const template = "{{#if ticket}}Ticket {{ticket}}{{else}}No ticket{{/if}}" +
+      "{{#unless breaking}}, safe{{/unless}}";
+    assert.equal(renderTemplate(template, { ticket: "PR-1", breaking: [] }), "Ticket PR-1, safe");
+    assert.equal(renderTemplate(template, { ticket: "", breaking: ["x"] }), "No ticket");
+  });
+
+  it("leaves GitHub Actions expressions alone", () => {
+    const template = "run: echo ${{ github.sha }} on {{branch}}";
+    assert.equal(
+      renderTemplate(template, { branch: "main", github: { sha: "abc" } }),
+      "run: echo ${{ github.sha }} on main"
+    );
+  });
+
+  it("throws on unbalanced blocks", () => {
+    assert.throws(() => renderTemplate("{{#if ticket}}open", {}));
+    assert.throws(() => renderTemplate("close{{/if}}", {}));
+  });
+});
+
+describe("describeChanges with a template with placeholders", () => {
+  const template = "## Summary\n{{summary}}\n\n## Branch\n{{branch}}\n\n## Testing\n";
+  const options = {
+    commitMessages: ["feat: add export"],
+    templateContent: template,
+    branch: "feat/export",
+    language: "English",
+  };
+  const geminiKey = process.env.GEMINI_API_KEY;
+  let server;
+  let logged;
+  let savedConsole;
+
+  before(async () => {
+    server = await startStubServer(() => ({
+      lines: [JSON.stringify({ response: "## Summary\nAdd export\n\n## Testing\nExport a file" })],
+    }));
+  });
+
+  afterEach(() => {
+    Object.assign(console, savedConsole);
+    configureAIProvider();
+  });
+
+  after(async () => {
+    if (geminiKey !== undefined) {
+      process.env.GEMINI_API_KEY = geminiKey;
+    }
+    await server.close();
+  });
+
+  /**
+   * Runs describeChanges with console output collected.
+   * @returns {Promise<string|null>}
+   */
+  async function generate() {
+    logged = [];
+    savedConsole = { log: console.log, warn: console.warn };
+    console.log = (...args) => logged.push(args.join(" "));
+    console.warn = (...args) => logged.push(args.join(" "));
+    return describeChanges(options);
+  }
+
+  it("uses the filled template and says the AI was skipped without a provider", async () => {
+    delete process.env.GEMINI_API_KEY;
+    configureAIProvider({ provider: "gemini" });
+    const description = await generate();
+    assert.equal(
+      description,
+      "## Summary\n1 change(s) in this PR: feat: add export.\n\n## Branch\nfeat/export\n\n## Testing"
+    );
+    assert.ok(
+      logged.includes("No AI provider is configured; using the template with its placeholders filled.")
+    );
+    assert.equal(server.requests.length, 0);
+  });
+
+  it("lets the AI complete the filled template when a provider is configured", async () => {
+    configureAIProvider({ provider: "ollama", model: "test", baseUrl: server.url });
+    const description = await generate();
+    assert.equal(description, "## Summary\nAdd export\n\n## Testing\nExport a file");
+    const { prompt } = server.requests[0].body;
+    assert.match(prompt, /Its placeholders were already filled from the commits/);
+    assert.match(prompt, /## Branch\nfeat\/export/);
+    assert.doesNotMatch(prompt, /\{\{branch\}\}/);
+  });
+});
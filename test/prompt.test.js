@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { afterEach, describe, it } from "node:test";
+import {
+  NonInteractiveError,
+  configurePrompts,
+  isInteractive,
+  promptUser,
+} from "../src/utils/prompt.js";
+import { createTempRepo } from "./helpers/git-repo.js";
+
+const CLI = fileURLToPath(new URL("../src/cli.js", import.meta.url));
+
+describe("promptUser in non-interactive mode", () => {
+  afterEach(() => configurePrompts());
+
+  it("requires --yes for confirmations", async () => {
+    configurePrompts({ interactive: false });
+    assert.equal(isInteractive(), false);
+    await assert.rejects(
+      promptUser([{ type: "confirm", name: "go", message: "Publish?", default: true }]),
+      (error) =>
+        error instanceof NonInteractiveError &&
+        error.exitCode === 2 &&
+        /Confirmation required in non-interactive mode: "Publish\?"\. Re-run with --yes/.test(
+          error.message
+        )
+    );
+
+    configurePrompts({ interactive: false, assumeYes: true });
+    assert.deepEqual(
+      await promptUser([{ type: "confirm", name: "go", message: "Publish?", default: false }]),
+      { go: true }
+    );
+  });
+
+  it("answers other questions with their filtered and validated defaults", async () => {
+    configurePrompts({ interactive: false });
+    const answers = await promptUser([
+      { type: "list", name: "lang", message: "Language?", default: "en" },
+      {
+        type: "input",
+        name: "branch",
+        message: "Branch?",
+        default: "Add User Auth",
+        filter: (input) => input.toLowerCase().replace(/\s+/g, "-"),
+        validate: (input) => input.length > 0 || "empty",
+      },
+    ]);
+    assert.deepEqual(answers, { lang: "en", branch: "add-user-auth" });
+  });
+
+  it("names the answering flag when a question has no usable default", async () => {
+    configurePrompts({ interactive: false });
+    await assert.rejects(
+      promptUser([{ type: "input", name: "d", message: "Describe", flag: "--description" }]),
+      /No answer available in non-interactive mode for: "Describe"\. Pass --description/
+    );
+    await assert.rejects(
+      promptUser([
+        { type: "number", name: "n", message: "Count", default: -1, validate: () => "too small" },
+      ]),
+      /Invalid default answer for "Count": too small/
+    );
+  });
+});
+
+describe("the CLI in non-interactive mode", () => {
+  it("exits with status 2 when a confirmation is needed", () => {
+    const repo = createTempRepo();
+    try {
+      repo.commit("feat: add x");
+      repo.git("remote", "add", "origin", "https://github.com/owner/repo.git");
+      const env = { ...process.env, HOME: repo.dir };
+      for (const key of ["GEMINI_API_KEY", "GITHUB_TOKEN", "GH_TOKEN", "PR_CLI_PROVIDER"]) {
+        delete env[key];
+      }
+
+      const result = spawnSync(
+        process.execPath,
+        [CLI, "--gh", "--no-input", "-n", "1", "--template", "none"],
+        { cwd: repo.dir, env, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"], timeout: 60000 }
+      );
+
+      assert.equal(result.status, 2);
+      assert.match(result.stderr, /Confirmation required in non-interactive mode/);
+    } finally {
+      repo.remove();
+    }
+  });
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { createProvider } from "../src/providers/index.js";
+import { startStubServer } from "./helpers/stub-server.js";
+
+const OPTIONS = { temperature: 0.2, maxOutputTokens: 100 };
+
+/**
+ * Collects a provider's streamed text.
+ * @param {AsyncIterable<string>} stream
+ * @returns {Promise<string>}
+ */
+async function collect(stream) {
+  let text = "";
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+/**
+ * Formats server-sent event lines.
+ * @param {Array<Object|string>} events
+ * @returns {string[]}
+ */
+function sse(events) {
+  return events.map((event) => `data: ${typeof event === "string" ? event : JSON.stringify(event)}`);
+}
+
+describe("providers against a local stub", () => {
+  let server;
+
+  before(async () => {
+    server = await startStubServer(({ url, body }) => {
+      if (url === "/v1/chat/completions") {
+        return body.stream
+          ? {
+              lines: sse([
+                { choices: [{ delta: { content: "Hello" } }] },
+                { choices: [{ delta: { content: " world" } }] },
+                "[DONE]",
+              ]),
+            }
+          : { json: { choices: [{ message: { content: "openai text" } }] } };
+      }
+      if (url === "/v1/messages") {
+        return body.stream
+          ? {
+              lines: sse([
+                { type: "message_start" },
+                { type: "content_block_delta", delta: { type: "text_delta", text: "Hi" } },
+                { type: "content_block_delta", delta: { type: "text_delta", text: " there" } },
+                { type: "message_stop" },
+              ]),
+            }
+          : { json: { content: [{ type: "text", text: "anthropic text" }] } };
+      }
+      if (url === "/api/generate") {
+        return body.stream
+          ? {
+              lines: [{ response: "Local" }, { response: " model" }, { done: true }].map(
+                (line) => JSON.stringify(line)
+              ),
+            }
+          : { json: { response: "ollama text" } };
+      }
+      if (url.startsWith("/v1beta/models/gemini-test:generateContent")) {
+        return { json: { candidates: [{ content: { parts: [{ text: "gemini text" }] } }] } };
+      }
+      if (url.startsWith("/v1beta/models/gemini-test:streamGenerateContent")) {
+        return {
+          lines: sse([
+            { candidates: [{ content: { parts: [{ text: "Streamed" }] } }] },
+            { candidates: [{ content: { parts: [{ text: " gemini" }] } }] },
+          ]).flatMap((line) => [line, ""]),
+        };
+      }
+      if (url === "/fail/chat/completions") {
+        return { status: 429, json: { error: { message: "quota exceeded" } } };
+      }
+      return { status: 404, json: {} };
+    });
+  });
+
+  after(() => server.close());
+
+  it("calls an OpenAI-compatible endpoint with the API key", async () => {
+    const provider = createProvider(
+      { provider: "openai", model: "gpt-test", baseUrl: `${server.url}/v1/` },
+      { OPENAI_API_KEY: "secret" }
+    );
+    assert.equal(await provider.generate("Describe", OPTIONS), "openai text");
+    assert.equal(await collect(provider.stream("Describe", OPTIONS)), "Hello world");
+
+    const [request] = server.requests.filter((entry) => entry.url === "/v1/chat/completions");
+    assert.equal(request.headers.authorization, "Bearer secret");
+    assert.deepEqual(request.body, {
+      model: "gpt-test",
+      messages: [{ role: "user", content: "Describe" }],
+      temperature: 0.2,
+      max_tokens: 100,
+    });
+  });
+
+  it("calls the Anthropic Messages API", async () => {
+    const provider = createProvider(
+      { provider: "anthropic", baseUrl: server.url },
+      { ANTHROPIC_API_KEY: "secret" }
+    );
+    assert.equal(await provider.generate("Describe", OPTIONS), "anthropic text");
+    assert.equal(await collect(provider.stream("Describe", OPTIONS)), "Hi there");
+
+    const request = server.requests.find((entry) => entry.url === "/v1/messages");
+    assert.equal(request.headers["x-api-key"], "secret");
+    assert.equal(request.headers["anthropic-version"], "2023-06-01");
+  });
+
+  it("calls Ollama at OLLAMA_HOST, with or without a scheme", async () => {
+    const host = server.url.replace("http://", "");
+    const provider = createProvider({ provider: "ollama" }, { OLLAMA_HOST: host });
+    assert.equal(await provider.generate("Describe", OPTIONS), "ollama text");
+    assert.equal(await collect(provider.stream("Describe", OPTIONS)), "Local model");
+
+    const request = server.requests.find((entry) => entry.url === "/api/generate");
+    assert.deepEqual(request.body.options, { temperature: 0.2, num_predict: 100 });
+  });
+
+  it("sends Gemini requests to the configured base URL", async () => {
+    const provider = createProvider(
+      { provider: "gemini", model: "gemini-test", baseUrl: server.url },
+      { GEMINI_API_KEY: "secret" }
+    );
+    assert.equal(await provider.generate("Describe", OPTIONS), "gemini text");
+    assert.equal(await collect(provider.stream("Describe", OPTIONS)), "Streamed gemini");
+  });
+
+  it("surfaces the status and body of failed requests", async () => {
+    const provider = createProvider({ provider: "openai", baseUrl: `${server.url}/fail` }, {});
+    await assert.rejects(provider.generate("Describe", OPTIONS), /429 .*quota exceeded/);
+  });
+});
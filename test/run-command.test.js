@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import childProcess from "child_process";
+import { syncBuiltinESMExports } from "module";
+import { after, afterEach, before, describe, it } from "node:test";
+import {
+  DEFAULT_COMMAND_TIMEOUT,
+  formatCommand,
+  runCommand,
+  runMutatingCommand,
+  setDryRun,
+} from "../src/utils/helpers.js";
+
+const PRINT_ARGS = "process.stdout.write(JSON.stringify(process.argv.slice(1)))";
+const TRICKY_ARGS = ["two words", `it's "quoted"`, "$(touch pwned)", "`id`", "a;b|c&d", "*"];
+
+/**
+ * Runs a function with console output silenced and returns what it logged.
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<{result: *, logged: string[]}>}
+ */
+async function quietly(fn) {
+  const { log, error } = console;
+  const logged = [];
+  console.log = (...args) => logged.push(args.join(" "));
+  console.error = (...args) => logged.push(args.join(" "));
+  try {
+    return { result: await fn(), logged };
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+describe("formatCommand", () => {
+  it("leaves plain arguments bare and quotes the rest for a POSIX shell", () => {
+    assert.equal(formatCommand("git", ["push", "-u", "origin", "feat/x"]), "git push -u origin feat/x");
+    assert.equal(
+      formatCommand("gh", ["pr", "create", "--title", "Fix it's $(broken)"]),
+      `gh pr create --title 'Fix it'\\''s $(broken)'`
+    );
+    assert.equal(formatCommand("git", ["commit", "-m", ""]), "git commit -m ''");
+    assert.equal(formatCommand("git"), "git");
+  });
+});
+
+describe("runCommand", () => {
+  it("passes arguments to the program unchanged, without a shell", async () => {
+    const { stdout, stderr, exitCode } = await runCommand(process.execPath, [
+      "-e",
+      PRINT_ARGS,
+      ...TRICKY_ARGS,
+    ]);
+    assert.deepEqual(JSON.parse(stdout), TRICKY_ARGS);
+    assert.equal(stderr, "");
+    assert.equal(exitCode, 0);
+  });
+
+  it("rejects a non-zero exit with the exit code and output", async () => {
+    await assert.rejects(
+      runCommand(
+        process.execPath,
+        ["-e", "process.stdout.write('partial'); process.stderr.write('bad thing'); process.exit(3)"],
+        { logErrors: false }
+      ),
+      (error) => {
+        assert.match(error.message, /^Command failed \(exit code 3\): .+\nbad thing$/);
+        assert.equal(error.exitCode, 3);
+        assert.equal(error.stdout, "partial");
+        assert.equal(error.stderr, "bad thing");
+        assert.equal(error.timedOut, false);
+        return true;
+      }
+    );
+  });
+
+  it("rejects a missing program", async () => {
+    await assert.rejects(
+      runCommand("pr-cli-no-such-program", ["x"], { logErrors: false }),
+      (error) => {
+        assert.match(error.message, /^Command failed \(pr-cli-no-such-program was not found\)/);
+        assert.equal(error.exitCode, 1);
+        assert.equal(error.timedOut, false);
+        return true;
+      }
+    );
+  });
+
+  it("kills a command that runs past its timeout", async () => {
+    await assert.rejects(
+      runCommand(process.execPath, ["-e", "setTimeout(() => {}, 10000)"], {
+        timeout: 200,
+        logErrors: false,
+      }),
+      (error) => {
+        assert.match(error.message, /^Command failed \(timed out after 0\.2s\)/);
+        assert.equal(error.timedOut, true);
+        return true;
+      }
+    );
+  });
+
+  it("logs failures unless told not to", async () => {
+    const { logged } = await quietly(() =>
+      runCommand(process.execPath, ["-e", "process.exit(1)"]).catch(() => null)
+    );
+    assert.match(logged[0], /^Command failed: /);
+  });
+});
+
+describe("runMutatingCommand", () => {
+  const { execFile } = childProcess;
+  const calls = [];
+
+  before(() => {
+    childProcess.execFile = (file, args, options, callback) => {
+      calls.push({ file, args, options });
+      return execFile(file, args, options, callback);
+    };
+    syncBuiltinESMExports();
+  });
+
+  afterEach(() => {
+    setDryRun(false);
+    calls.length = 0;
+  });
+
+  after(() => {
+    childProcess.execFile = execFile;
+    syncBuiltinESMExports();
+  });
+
+  it("never times out unless a timeout is given", async () => {
+    await quietly(() => runMutatingCommand(process.execPath, ["-e", ""]));
+    await quietly(() => runMutatingCommand(process.execPath, ["-e", ""], { timeout: 500 }));
+    await runCommand(process.execPath, ["-e", ""]);
+    assert.deepEqual(
+      calls.map((call) => call.options.timeout),
+      [0, 500, DEFAULT_COMMAND_TIMEOUT]
+    );
+  });
+
+  it("passes arguments through unchanged and reports success", async () => {
+    const { result, logged } = await quietly(() =>
+      runMutatingCommand(process.execPath, ["-e", PRINT_ARGS, ...TRICKY_ARGS], {
+        spinnerText: "",
+        logSuccess: true,
+      })
+    );
+    assert.deepEqual(JSON.parse(result.stdout), TRICKY_ARGS);
+    assert.match(logged.join("\n"), /Command successful: /);
+  });
+
+  it("only prints the command in dry-run mode", async () => {
+    setDryRun(true);
+    const { result, logged } = await quietly(() =>
+      runMutatingCommand("git", ["push", "origin", "feat/it's here"])
+    );
+    assert.deepEqual(result, { stdout: "", stderr: "", exitCode: 0 });
+    assert.deepEqual(logged, [`[dry-run] Would run: git push origin 'feat/it'\\''s here'`]);
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  KEEP_MARKER,
+  applySectionChanges,
+  compareSections,
+  markGenerated,
+  mergeDescriptions,
+  parseSections,
+  preserveCheckboxes,
+  readLastSha,
+  stripMarkers,
+  truncateDescription,
+} from "../src/utils/sections.js";
+
+const SHA = "0123456789abcdef0123456789abcdef01234567";
+
+describe("parseSections", () => {
+  it("splits at headings and ignores headings inside code fences", () => {
+    const sections = parseSections(
+      "Intro\n\n## Summary\nText\n```\n# not a heading\n```\n## Tests\n- [ ] run"
+    );
+    assert.deepEqual(
+      sections.map((section) => [section.key, section.heading]),
+      [
+        ["", null],
+        ["summary", "Summary"],
+        ["tests", "Tests"],
+      ]
+    );
+    assert.match(sections[1].text, /# not a heading/);
+  });
+
+  it("numbers repeated headings", () => {
+    const keys = parseSections("## Notes\na\n## Notes:\nb").map((section) => section.key);
+    assert.deepEqual(keys, ["notes", "notes#2"]);
+  });
+});
+
+describe("markers", () => {
+  it("records the last sha and strips the markers again", () => {
+    const body = markGenerated("## Summary\nText", { lastSha: SHA });
+    assert.match(body, /<!-- pr-cli:generated=[0-9a-f]{8} -->/);
+    assert.equal(readLastSha(body), SHA);
+    assert.equal(stripMarkers(body), "## Summary\nText");
+  });
+
+  it("reads no sha from a hand-written description", () => {
+    assert.equal(readLastSha("## Summary\nText"), null);
+  });
+});
+
+describe("preserveCheckboxes", () => {
+  it("ticks the items ticked before, matched by their text", () => {
+    const text = preserveCheckboxes(
+      "- [ ] Tests pass\n- [ ] Docs updated",
+      "- [x] tests pass\n- [ ] Docs updated"
+    );
+    assert.equal(text, "- [x] Tests pass\n- [ ] Docs updated");
+  });
+});
+
+describe("mergeDescriptions", () => {
+  it("replaces generated sections and keeps edited and kept ones", () => {
+    const current = markGenerated("## Summary\nOld summary\n\n## Tests\n- [ ] Unit tests");
+    const edited = current
+      .replace("Old summary", "Summary written by hand")
+      .replace("- [ ] Unit tests", "- [x] Unit tests");
+    const withKept = edited.replace(
+      "<!-- pr-cli:generated",
+      `## Deploy\n${KEEP_MARKER}\nRun the migration first.\n\n<!-- pr-cli:generated`
+    );
+
+    const { body, keptSections } = mergeDescriptions(
+      withKept,
+      markGenerated("## Summary\nNew summary\n\n## Tests\n- [ ] Unit tests", { lastSha: SHA })
+    );
+
+    assert.match(body, /Summary written by hand/);
+    assert.doesNotMatch(body, /New summary/);
+    assert.match(body, /- \[x\] Unit tests/);
+    assert.match(body, /Run the migration first\./);
+    assert.deepEqual(keptSections, ["Summary", "Deploy"]);
+    assert.equal(readLastSha(body), SHA);
+  });
+
+  it("only protects kept sections when the current description has no marker", () => {
+    const { body, keptSections } = mergeDescriptions(
+      "## Summary\nWritten by hand",
+      markGenerated("## Summary\nGenerated")
+    );
+    assert.match(body, /Generated/);
+    assert.deepEqual(keptSections, []);
+  });
+});
+
+describe("section changes", () => {
+  it("applies only the accepted sections", () => {
+    const current = markGenerated("## Summary\nOld\n\n## Tests\nOld tests");
+    const next = markGenerated("## Summary\nNew\n\n## Tests\nNew tests");
+    assert.deepEqual(
+      compareSections(current, next).map((change) => change.key),
+      ["summary", "tests"]
+    );
+
+    const body = applySectionChanges(current, next, new Set(["tests"]));
+    assert.equal(stripMarkers(body), "## Summary\nOld\n\n## Tests\nNew tests");
+  });
+});
+
+describe("truncateDescription", () => {
+  it("returns short descriptions unchanged", () => {
+    const body = markGenerated("## Summary\nText");
+    assert.equal(truncateDescription(body, 1000), body);
+  });
+
+  it("drops sections from the end and keeps the markers", () => {
+    const body = markGenerated(
+      `## Summary\n${"a".repeat(50)}\n\n## Details\n${"b".repeat(200)}`,
+      { lastSha: SHA }
+    );
+    const truncated = truncateDescription(body, 250);
+
+    assert.ok(truncated.length <= 250);
+    assert.equal(readLastSha(truncated), SHA);
+    assert.match(truncated, /<!-- pr-cli:generated=[0-9a-f]{8},[0-9a-f]{8} -->/);
+    assert.match(stripMarkers(truncated), /^## Summary\na{50}\n\n## Details\nb+$/);
+  });
+
+  it("keeps the cut section marked as generated", () => {
+    const body = markGenerated(`## Summary\n${"a".repeat(300)}`);
+    const truncated = truncateDescription(body, 120);
+    const { keptSections } = mergeDescriptions(truncated, markGenerated("## Summary\nNew"));
+    assert.deepEqual(keptSections, []);
+  });
+});
@@ -0,0 +1,242 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, it } from "node:test";
+import {
+  buildStackSection,
+  detectStack,
+  insertStackSection,
+  removeStackSection,
+  runStackCommand,
+} from "../src/services/stack.js";
+import { configureAIProvider } from "../src/utils/ai.js";
+import { createGitLabMR } from "../src/utils/gitlab.js";
+import { configurePrompts } from "../src/utils/prompt.js";
+import { createTempRepo } from "./helpers/git-repo.js";
+import { startStubServer } from "./helpers/stub-server.js";
+
+const LAYERS = [
+  { branch: "feat/a", base: "main" },
+  { branch: "feat/b", base: "feat/a" },
+];
+
+/**
+ * Runs a function with console output silenced.
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<*>}
+ */
+async function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+describe("stack sections", () => {
+  it("lists the stack bottom first, linking known PRs", () => {
+    const section = buildStackSection(LAYERS, 1, ["https://example.com/pr/1", null]);
+    assert.equal(
+      section,
+      [
+        "<!-- pr-cli:stack -->",
+        "### Stack",
+        "",
+        "Based on `main`:",
+        "",
+        "1. [feat/a](https://example.com/pr/1)",
+        "2. **`feat/b`** ← this PR",
+        "<!-- /pr-cli:stack -->",
+      ].join("\n")
+    );
+  });
+
+  it("replaces an older section and leaves the rest of the description alone", () => {
+    const first = insertStackSection("## Summary\nText", buildStackSection(LAYERS, 0));
+    const second = insertStackSection(
+      first,
+      buildStackSection(LAYERS, 0, ["https://example.com/pr/1", "https://example.com/pr/2"])
+    );
+    assert.equal(second.match(/<!-- pr-cli:stack -->/g).length, 1);
+    assert.match(second, /\[feat\/b\]\(https:\/\/example\.com\/pr\/2\)/);
+    assert.equal(removeStackSection(second), "## Summary\nText");
+    assert.equal(removeStackSection("## Summary\nText"), "## Summary\nText");
+  });
+});
+
+describe("stacked branches in a repository", () => {
+  const cwd = process.cwd();
+  const env = {};
+  let repo;
+
+  before(() => {
+    repo = createTempRepo();
+    repo.commit("chore: initial");
+    for (const [branch, base] of [
+      ["feat/a", "main"],
+      ["feat/b", "feat/a"],
+      ["feat/c", "feat/b"],
+      ["feat/z", "main"],
+    ]) {
+      repo.git("checkout", "-q", "-b", branch, base);
+      repo.commit(`feat: work on ${branch}`);
+      repo.git("config", `branch.${branch}.remote`, ".");
+      repo.git("config", `branch.${branch}.merge`, `refs/heads/${base}`);
+    }
+    repo.git("checkout", "-q", "feat/c");
+    process.chdir(repo.dir);
+
+    for (const key of ["GEMINI_API_KEY", "PR_CLI_PROVIDER", "PR_CLI_MODEL"]) {
+      env[key] = process.env[key];
+      delete process.env[key];
+    }
+    configureAIProvider();
+  });
+
+  afterEach(() => configurePrompts());
+
+  after(() => {
+    process.chdir(cwd);
+    for (const [key, value] of Object.entries(env)) {
+      if (value !== undefined) {
+        process.env[key] = value;
+      }
+    }
+    repo.remove();
+  });
+
+  it("detects the chain of branches from any branch of the stack", async () => {
+    const expected = [
+      { branch: "feat/a", base: "main" },
+      { branch: "feat/b", base: "feat/a" },
+      { branch: "feat/c", base: "feat/b" },
+    ];
+    assert.deepEqual(await quietly(() => detectStack("main", "feat/c")), expected);
+    assert.deepEqual(await quietly(() => detectStack("main", "feat/a")), expected);
+    assert.deepEqual(await quietly(() => detectStack("main", "feat/z")), [
+      { branch: "feat/z", base: "main" },
+    ]);
+    assert.deepEqual(await quietly(() => detectStack("main", "main")), []);
+  });
+
+  it("stops where a branch has several branches on top of it", async () => {
+    repo.git("branch", "feat/b2", "feat/b");
+    repo.git("checkout", "-q", "feat/b2");
+    repo.commit("feat: other work on feat/b");
+    repo.git("checkout", "-q", "feat/c");
+    try {
+      assert.deepEqual(await quietly(() => detectStack("main", "feat/a")), [
+        { branch: "feat/a", base: "main" },
+        { branch: "feat/b", base: "feat/a" },
+      ]);
+    } finally {
+      repo.git("branch", "-D", "feat/b2");
+    }
+  });
+
+  it("starts from the resolved base and publishes each layer onto the one below", async () => {
+    configurePrompts({ interactive: false, assumeYes: true });
+    const published = [];
+    const bodies = {};
+    const forge = {
+      name: "GitHub",
+      requestName: "PR",
+      async publish(body, title, branch, base, argv) {
+        published.push({ branch, base, updateBase: argv.updateBase });
+        bodies[branch] = body;
+        return `https://example.com/${branch}`;
+      },
+      async getExistingDescription(branch) {
+        return bodies[branch];
+      },
+    };
+
+    // feat/c tracks feat/b, so the resolved base is feat/b; the stack still starts at main.
+    await quietly(() => runStackCommand({ language: "en" }, forge, "github", "feat/b"));
+
+    assert.deepEqual(published.slice(0, 3), [
+      { branch: "feat/a", base: "main", updateBase: true },
+      { branch: "feat/b", base: "feat/a", updateBase: true },
+      { branch: "feat/c", base: "feat/b", updateBase: true },
+    ]);
+    assert.equal(published.length, 6);
+    assert.match(bodies["feat/a"], /1\. \*\*\[feat\/a\]\(https:\/\/example\.com\/feat\/a\)\*\* ← this PR/);
+    assert.match(bodies["feat/a"], /3\. \[feat\/c\]\(https:\/\/example\.com\/feat\/c\)/);
+  });
+
+  it("uses --base as given", async () => {
+    configurePrompts({ interactive: false, assumeYes: true });
+    const published = [];
+    const forge = {
+      name: "GitHub",
+      requestName: "PR",
+      async publish(body, title, branch, base) {
+        published.push(`${base} <- ${branch}`);
+        return null;
+      },
+    };
+    await quietly(() =>
+      runStackCommand({ language: "en", base: "feat/a" }, forge, "github", "feat/a")
+    );
+    assert.deepEqual(published, ["feat/a <- feat/b", "feat/b <- feat/c"]);
+  });
+});
+
+describe("moving an existing PR onto a new base", () => {
+  const saved = {};
+  let server;
+
+  before(async () => {
+    server = await startStubServer(({ method, url, body }) => {
+      if (method === "GET" && url.includes("/merge_requests?")) {
+        return {
+          json: [{ iid: 5, target_branch: "main", description: "## Summary\nSame", web_url: "u" }],
+        };
+      }
+      return { json: { iid: 5, ...body } };
+    });
+    for (const key of ["GITLAB_TOKEN", "GITLAB_API_URL"]) {
+      saved[key] = process.env[key];
+    }
+    process.env.GITLAB_TOKEN = "secret";
+    process.env.GITLAB_API_URL = server.url;
+    configurePrompts({ interactive: false, assumeYes: true });
+  });
+
+  after(async () => {
+    configurePrompts();
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+    await server.close();
+  });
+
+  it("changes the GitLab target branch only when asked to", async () => {
+    const repo = createTempRepo();
+    const cwd = process.cwd();
+    repo.commit("feat: x");
+    repo.git("remote", "add", "origin", "git@gitlab.example.com:group/repo.git");
+    process.chdir(repo.dir);
+    try {
+      await quietly(() =>
+        createGitLabMR("## Summary\nSame", "Title", "feat/b", "feat/a", { updateBase: true })
+      );
+      const update = server.requests.find((request) => request.method === "PUT");
+      assert.deepEqual(update.body, { target_branch: "feat/a" });
+
+      const count = server.requests.length;
+      await quietly(() => createGitLabMR("## Summary\nSame", "Title", "feat/b", "feat/a", {}));
+      assert.equal(server.requests.filter((request) => request.method === "PUT").length, 1);
+      assert.equal(server.requests.length, count + 1);
+    } finally {
+      process.chdir(cwd);
+      repo.remove();
+    }
+  });
+});
@@ -0,0 +1,187 @@
+import assert from "node:assert/strict";
+import path from "path";
+import { after, afterEach, before, describe, it } from "node:test";
+import { chooseTemplate, matchTemplate, readTemplate } from "../src/services/pr.js";
+import { configurePrompts } from "../src/utils/prompt.js";
+import { createTempRepo } from "./helpers/git-repo.js";
+
+const TEMPLATES = {
+  "docs.md": '---\npaths:\n  - "docs/**"\n  - \'*.md\'\n---\n\n## Docs\n',
+  "hotfix.md": '---\nbranch: [hotfix/*, "release/*"]\n---\n## Hotfix\n',
+  "feature.md": "---\ntype: feat, perf\n---\n## Feature\n",
+  "refactor.md": "## Refactor\n",
+  "fix.md": "## Fix\n",
+};
+
+/**
+ * Runs a function with console output collected.
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<{result: *, logged: string[]}>}
+ */
+async function collecting(fn) {
+  const { log, warn } = console;
+  const logged = [];
+  console.log = (...args) => logged.push(args.join(" "));
+  console.warn = (...args) => logged.push(args.join(" "));
+  try {
+    return { result: await fn(), logged };
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+describe("template selection", () => {
+  const cwd = process.cwd();
+  let repo;
+  let templates;
+  let docsOnly;
+  let docsAndCode;
+
+  before(() => {
+    repo = createTempRepo();
+    repo.commit(
+      "chore: add templates",
+      Object.fromEntries(
+        Object.entries(TEMPLATES).map(([name, content]) => [
+          `.github/PULL_REQUEST_TEMPLATE/${name}`,
+          content,
+        ])
+      )
+    );
+    docsOnly = repo.commit("docs: update the guide", {
+      "docs/guide.md": "Guide\n",
+      "README.md": "Readme\n",
+    });
+    docsAndCode = repo.commit("feat: add export", {
+      "docs/export.md": "Export\n",
+      "src/export.js": "export {};\n",
+    });
+    templates = Object.keys(TEMPLATES).map((name) =>
+      path.join(repo.dir, ".github", "PULL_REQUEST_TEMPLATE", name)
+    );
+    process.chdir(repo.dir);
+  });
+
+  afterEach(() => configurePrompts());
+
+  after(() => {
+    process.chdir(cwd);
+    repo.remove();
+  });
+
+  /**
+   * Matches the templates for a branch and commits, returning the template name.
+   * @param {Object} selection See matchTemplate.
+   * @returns {Promise<{name: string, reason: string}|null>}
+   */
+  async function match(selection) {
+    const { result } = await collecting(() => matchTemplate(templates, selection));
+    return result && { name: path.basename(result.path), reason: result.reason };
+  }
+
+  it("reads templates without their frontmatter", async () => {
+    assert.equal(await readTemplate(templates[0]), "## Docs\n");
+    assert.equal(await readTemplate(templates[1]), "## Hotfix\n");
+    assert.equal(await readTemplate(templates[3]), "## Refactor\n");
+  });
+
+  it("matches frontmatter branch globs, in every list form", async () => {
+    assert.deepEqual(await match({ commitMessages: ["fix: login"], branch: "hotfix/login" }), {
+      name: "hotfix.md",
+      reason: 'branch "hotfix/login"',
+    });
+    assert.equal(
+      (await match({ commitMessages: ["fix: login"], branch: "release/1.0" })).name,
+      "hotfix.md"
+    );
+  });
+
+  it("matches the dominant commit type", async () => {
+    assert.deepEqual(
+      await match({ commitMessages: ["feat: a", "fix: b", "feat: c"], branch: "work" }),
+      { name: "feature.md", reason: "mostly feat commits" }
+    );
+  });
+
+  it("matches paths only when every changed file is covered", async () => {
+    assert.deepEqual(
+      await match({ commitMessages: ["update"], commitHashes: [docsOnly], branch: "work" }),
+      { name: "docs.md", reason: "only docs/**, *.md changed" }
+    );
+    assert.equal(
+      await match({ commitMessages: ["update"], commitHashes: [docsAndCode], branch: "work" }),
+      null
+    );
+  });
+
+  it("tries config rules before frontmatter, and needs every condition of a rule", async () => {
+    assert.deepEqual(
+      await match({
+        commitMessages: ["fix: login"],
+        branch: "hotfix/login",
+        rules: [{ template: "refactor", branch: "hotfix/*" }],
+      }),
+      { name: "refactor.md", reason: 'branch "hotfix/login"' }
+    );
+    assert.equal(
+      (
+        await match({
+          commitMessages: ["fix: login"],
+          branch: "hotfix/login",
+          rules: [{ template: "refactor", branch: "hotfix/*", type: "feat" }],
+        })
+      ).name,
+      "hotfix.md"
+    );
+  });
+
+  it("ignores rules for unknown templates and rules without conditions", async () => {
+    const { result, logged } = await collecting(() =>
+      matchTemplate(templates, {
+        commitMessages: ["fix: login"],
+        branch: "hotfix/login",
+        rules: [{ template: "missing", branch: "*" }, { template: "refactor" }],
+      })
+    );
+    assert.equal(path.basename(result.path), "hotfix.md");
+    assert.deepEqual(logged, ['Ignoring template rule for unknown template "missing".']);
+  });
+
+  it("falls back to the branch prefix, then the commit type", async () => {
+    assert.deepEqual(
+      await match({ commitMessages: ["chore: tidy"], branch: "refactor/cleanup" }),
+      { name: "refactor.md", reason: 'branch prefix "refactor/"' }
+    );
+    assert.deepEqual(await match({ commitMessages: ["fix: a"], branch: "cleanup" }), {
+      name: "fix.md",
+      reason: "mostly fix commits",
+    });
+    assert.equal(await match({ commitMessages: ["update stuff"], branch: "misc" }), null);
+  });
+
+  it("prefers --template over matching, which beats a single template and the prompt", async () => {
+    const selection = { commitMessages: ["fix: login"], branch: "hotfix/login" };
+    const choose = async (...args) => (await collecting(() => chooseTemplate(...args))).result;
+
+    assert.equal(await choose(templates, "fix.md", selection), "## Fix\n");
+    assert.equal(await choose(templates, "none", selection), null);
+
+    const { result, logged } = await collecting(() =>
+      chooseTemplate(templates, "missing", selection)
+    );
+    assert.equal(result, "## Hotfix\n");
+    assert.match(logged[0], /Configured template "missing" was not found/);
+    assert.match(logged[1], /^Using template hotfix\.md \(branch "hotfix\/login"\)/);
+
+    assert.equal(await choose([templates[3]], null, selection), "## Refactor\n");
+    assert.equal(await choose([], "fix", selection), null);
+
+    configurePrompts({ interactive: false });
+    assert.equal(await choose(templates, null, null), null);
+    assert.equal(
+      await choose(templates, null, { commitMessages: ["update stuff"], branch: "misc" }),
+      null
+    );
+  });
+});
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { diffLines, formatUnifiedDiff } from "../src/utils/text-diff.js";
+
+describe("diffLines", () => {
+  it("keeps the longest common subsequence of lines", () => {
+    assert.deepEqual(diffLines("a\nb\nc\nd", "a\nc\nx\nd"), [
+      { type: "equal", value: "a" },
+      { type: "remove", value: "b" },
+      { type: "equal", value: "c" },
+      { type: "add", value: "x" },
+      { type: "equal", value: "d" },
+    ]);
+  });
+
+  it("treats CRLF like LF and empty text as no lines", () => {
+    assert.deepEqual(diffLines("a\r\nb", "a\nb"), [
+      { type: "equal", value: "a" },
+      { type: "equal", value: "b" },
+    ]);
+    assert.deepEqual(diffLines("", "a"), [{ type: "add", value: "a" }]);
+  });
+});
+
+describe("formatUnifiedDiff", () => {
+  const { isTTY } = process.stdout;
+  const noColor = process.env.NO_COLOR;
+
+  afterEach(() => {
+    process.stdout.isTTY = isTTY;
+    if (noColor === undefined) {
+      delete process.env.NO_COLOR;
+    } else {
+      process.env.NO_COLOR = noColor;
+    }
+  });
+
+  it("returns an empty string for equal texts", () => {
+    assert.equal(formatUnifiedDiff("a\nb", "a\nb"), "");
+  });
+
+  it("splits distant changes into hunks with their own line numbers", () => {
+    const before = Array.from({ length: 10 }, (_, i) => `line ${i + 1}`);
+    const after = [...before];
+    after[1] = "LINE 2";
+    after[8] = "line 9 changed";
+    assert.equal(
+      formatUnifiedDiff(before.join("\n"), after.join("\n"), { context: 1 }),
+      [
+        "--- current",
+        "+++ new",
+        "@@ -1,3 +1,3 @@",
+        " line 1",
+        "-line 2",
+        "+LINE 2",
+        " line 3",
+        "@@ -8,3 +8,3 @@",
+        " line 8",
+        "-line 9",
+        "+line 9 changed",
+        " line 10",
+      ].join("\n")
+    );
+  });
+
+  it("starts an empty side at the line before the change, like git", () => {
+    assert.equal(
+      formatUnifiedDiff("", "x\ny", { labels: ["old", "new"] }),
+      "--- old\n+++ new\n@@ -0,0 +1,2 @@\n+x\n+y"
+    );
+    assert.equal(formatUnifiedDiff("a\nb", "a"), "--- current\n+++ new\n@@ -1,2 +1,1 @@\n a\n-b");
+  });
+
+  it("highlights the changed words on a terminal unless NO_COLOR is set", () => {
+    process.stdout.isTTY = true;
+    delete process.env.NO_COLOR;
+    const lines = formatUnifiedDiff("the quick fox", "the slow fox").split("\n");
+    assert.equal(lines[3], "\x1b[31m-the \x1b[7mquick\x1b[0m\x1b[31m fox\x1b[0m");
+    assert.equal(lines[4], "\x1b[32m+the \x1b[7mslow\x1b[0m\x1b[32m fox\x1b[0m");
+
+    process.env.NO_COLOR = "1";
+    assert.doesNotMatch(formatUnifiedDiff("the quick fox", "the slow fox"), /\x1b/);
+  });
+});
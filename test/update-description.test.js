@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import inquirer from "inquirer";
+import { afterEach, describe, it } from "node:test";
+import { resolveUpdatedDescription } from "../src/utils/publish.js";
+import { NonInteractiveError, configurePrompts } from "../src/utils/prompt.js";
+import { markGenerated, stripMarkers } from "../src/utils/sections.js";
+
+const CURRENT = markGenerated("## Summary\nOld summary\n\n## Tests\nOld tests\n\n## Notes\nOld notes");
+const NEW = markGenerated("## Summary\nNew summary\n\n## Tests\nNew tests");
+
+/**
+ * Resolves the updated description with console output silenced.
+ * @param {Object} argv
+ * @returns {Promise<string|null>}
+ */
+async function resolveQuietly(argv) {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return await resolveUpdatedDescription(CURRENT, NEW, argv);
+  } finally {
+    console.log = log;
+  }
+}
+
+describe("resolveUpdatedDescription", () => {
+  const { prompt } = inquirer;
+  const asked = [];
+
+  afterEach(() => {
+    inquirer.prompt = prompt;
+    configurePrompts();
+    asked.length = 0;
+  });
+
+  /**
+   * Answers interactive prompts from a list, one answer per question.
+   * @param {Array<*>} answers
+   */
+  function answerWith(answers) {
+    inquirer.prompt = async ([question]) => {
+      asked.push(question.message);
+      return { [question.name]: answers.shift() };
+    };
+  }
+
+  it("keeps the current description when nothing changed", async () => {
+    answerWith([]);
+    const { log } = console;
+    console.log = () => {};
+    try {
+      assert.equal(await resolveUpdatedDescription(CURRENT, CURRENT, {}), null);
+    } finally {
+      console.log = log;
+    }
+    assert.equal(asked.length, 0);
+  });
+
+  it("accepts all changes", async () => {
+    answerWith(["all"]);
+    const body = await resolveQuietly({});
+    assert.equal(stripMarkers(body), "## Summary\nNew summary\n\n## Tests\nNew tests");
+    assert.deepEqual(asked, ["Apply these changes to the PR description?"]);
+  });
+
+  it("applies only the sections accepted one by one", async () => {
+    answerWith(["sections", false, true, false]);
+    const body = await resolveQuietly({});
+    assert.deepEqual(asked.slice(1), [
+      'Apply the changes to "Summary"?',
+      'Apply the changes to "Tests"?',
+      'Remove the section "Notes"?',
+    ]);
+    assert.equal(
+      stripMarkers(body),
+      "## Summary\nOld summary\n\n## Tests\nNew tests\n\n## Notes\nOld notes"
+    );
+  });
+
+  it("keeps the current description when every section or the whole update is declined", async () => {
+    answerWith(["sections", false, false, false]);
+    assert.equal(await resolveQuietly({}), null);
+
+    answerWith(["cancel"]);
+    assert.equal(await resolveQuietly({}), null);
+  });
+
+  it("applies changes approved by the caller without asking", async () => {
+    answerWith([]);
+    const body = await resolveQuietly({ acceptChanges: true });
+    assert.match(body, /New tests/);
+    assert.equal(asked.length, 0);
+  });
+
+  it("needs --refill or --yes in non-interactive mode", async () => {
+    configurePrompts({ interactive: false });
+    assert.match(await resolveQuietly({ refill: true }), /New summary/);
+    await assert.rejects(
+      resolveQuietly({}),
+      (error) => error instanceof NonInteractiveError && /--refill/.test(error.message)
+    );
+
+    configurePrompts({ interactive: false, assumeYes: true });
+    assert.match(await resolveQuietly({}), /New summary/);
+  });
+});